@@ -0,0 +1,47 @@
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// Raw responses are stored under the sha256 of their URL so a run can be
+// replayed byte-for-byte without touching the network.
+function cacheKey(url) {
+  return crypto.createHash("sha256").update(String(url)).digest("hex");
+}
+
+function createResponseCache({ dir, offline = false, refresh = false }) {
+  const root = path.resolve(dir);
+  fs.mkdirSync(root, { recursive: true });
+
+  // Entries are raw response bodies of whatever type the URL returned, hence the neutral extension
+  function entryPath(url) {
+    return path.join(root, `${cacheKey(url)}.body`);
+  }
+
+  return {
+    dir: root,
+    offline,
+    refresh,
+    read(url) {
+      const filePath = entryPath(url);
+      if (!fs.existsSync(filePath)) return null;
+      return fs.readFileSync(filePath, "utf8");
+    },
+    write(url, body) {
+      const filePath = entryPath(url);
+      // Write to a temp file first so an interrupted run never leaves a truncated entry
+      const tmpPath = `${filePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpPath, body, "utf8");
+      fs.renameSync(tmpPath, filePath);
+    },
+  };
+}
+
+function cacheMissError(url) {
+  const error = new Error(`Not in cache (offline): ${url}`);
+  error.code = "ECACHEMISS";
+  return error;
+}
+
+module.exports = { cacheKey, createResponseCache, cacheMissError };
@@ -0,0 +1,101 @@
+/* global window */
+// Scales and statistics behind the viewer's charts dashboard, also used by the game-night
+// scorer in lib/recommend.js. The SVG drawing stays in viewer.js; this is the arithmetic,
+// kept free of requires so the browser can load it with a plain <script> tag and node can
+// test it.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.BGGCharts = factory();
+})(typeof window !== "undefined" ? window : this, function () {
+  "use strict";
+
+  // [min, max] of any iterable of numbers; spreading a whole dataset into Math.min overflows the stack
+  function extent(values) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const v of values) {
+      if (v < min) min = v;
+      if (v > max) max = v;
+    }
+    return [min, max];
+  }
+
+  // Maps d0..d1 onto r0..r1; scale.invert maps back, e.g. from a dragged pixel to a value
+  function linearScale(d0, d1, r0, r1) {
+    const span = d1 - d0 || 1;
+    const scale = (v) => r0 + ((v - d0) / span) * (r1 - r0);
+    scale.invert = (p) => d0 + ((p - r0) / (r1 - r0)) * span;
+    return scale;
+  }
+
+  // About `count` round-numbered ticks covering min..max
+  function niceTicks(min, max, count) {
+    const raw = (max - min || 1) / count;
+    const magnitude = 10 ** Math.floor(Math.log10(raw));
+    const step = [1, 2, 2.5, 5, 10].map((m) => m * magnitude).find((s) => s >= raw);
+    const ticks = [];
+    for (let v = Math.ceil(min / step) * step; v <= max + step / 1e6; v += step) ticks.push(Number(v.toFixed(6)));
+    return ticks;
+  }
+
+  // Correlation of [x, y] points, plus the least-squares slope through their mean for a trend line
+  function pearson(points) {
+    const n = points.length;
+    const mx = points.reduce((s, p) => s + p[0], 0) / n;
+    const my = points.reduce((s, p) => s + p[1], 0) / n;
+    let sxy = 0;
+    let sxx = 0;
+    let syy = 0;
+    for (const [px, py] of points) {
+      sxy += (px - mx) * (py - my);
+      sxx += (px - mx) ** 2;
+      syy += (py - my) ** 2;
+    }
+    return { r: sxx && syy ? sxy / Math.sqrt(sxx * syy) : 0, slope: sxx ? sxy / sxx : 0, mx, my };
+  }
+
+  // Quartile by linear interpolation between the closest ranks
+  function quantile(sorted, q) {
+    const pos = (sorted.length - 1) * q;
+    const lower = Math.floor(pos);
+    return sorted[lower] + (sorted[Math.min(lower + 1, sorted.length - 1)] - sorted[lower]) * (pos - lower);
+  }
+
+  // Box plot figures; whiskers stop at the last values within 1.5 IQR, the rest are outliers
+  function boxStats(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const q1 = quantile(sorted, 0.25);
+    const q3 = quantile(sorted, 0.75);
+    const fence = 1.5 * (q3 - q1);
+    const inside = sorted.filter((v) => v >= q1 - fence && v <= q3 + fence);
+    return { q1, median: quantile(sorted, 0.5), q3, low: inside[0], high: inside[inside.length - 1], count: sorted.length };
+  }
+
+  // Histogram bins for release years, every bin from the first to the last year even when
+  // empty. Wide spans (an 1876 classic next to this year's releases) are binned by 5 or 10.
+  function yearBins(years) {
+    if (!years.length) return { size: 1, bins: [] };
+    const [min, max] = extent(years);
+    const size = max - min > 60 ? 10 : max - min > 20 ? 5 : 1;
+    const counts = new Map();
+    for (const year of years) {
+      const bin = Math.floor(year / size) * size;
+      counts.set(bin, (counts.get(bin) || 0) + 1);
+    }
+    const bins = [];
+    for (let start = Math.floor(min / size) * size; start <= max; start += size) {
+      bins.push({ start, end: start + size - 1, count: counts.get(start) || 0 });
+    }
+    return { size, bins };
+  }
+
+  return {
+    extent,
+    linearScale,
+    niceTicks,
+    pearson,
+    quantile,
+    boxStats,
+    yearBins,
+  };
+});
@@ -0,0 +1,892 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const scraper = require("./scraper");
+const { createResponseCache } = require("./cache");
+const xmlapi = require("./xmlapi");
+const history = require("./history");
+const { createRateLimiter } = require("./http");
+const { createJournal } = require("./journal");
+const exporter = require("./export");
+const validation = require("./validate");
+const collection = require("./collection");
+const recommender = require("./recommend");
+const images = require("./images");
+const sources = require("./sources");
+const server = require("./server");
+const incremental = require("./incremental");
+const { createLogger, LOG_FORMATS, LOG_LEVELS } = require("./log");
+const { EXIT_CODES, manifestPathFor, assessRun, createRunManifest } = require("./run");
+
+const PROGRAM = "bgg250";
+const CONFIG_FILE = "bgg250.config.json";
+// BGG250_CONFIG names another config file; BGG250_<OPTION> sets one option, e.g. BGG250_LOG_FORMAT=json
+const ENV_PREFIX = "BGG250_";
+const DEFAULT_CACHE_DIR = ".cache";
+const DEFAULT_HISTORY_DIR = "history";
+const defaultLog = createLogger();
+
+// Value parsers throw a short "expected …" message; readOption adds the option and the value
+function number(text) {
+  const value = Number(text);
+  if (String(text).trim() === "" || !Number.isFinite(value)) throw new Error("expected a number");
+  return value;
+}
+
+function nonNegativeNumber(text) {
+  const value = number(text);
+  if (value < 0) throw new Error("expected a number of 0 or more");
+  return value;
+}
+
+function positiveNumber(text) {
+  const value = number(text);
+  if (value <= 0) throw new Error("expected a number above 0");
+  return value;
+}
+
+function positiveInteger(text) {
+  const value = number(text);
+  if (!Number.isInteger(value) || value < 1) throw new Error("expected a whole number of 1 or more");
+  return value;
+}
+
+function nonNegativeInteger(text) {
+  const value = number(text);
+  if (!Number.isInteger(value) || value < 0) throw new Error("expected a whole number of 0 or more");
+  return value;
+}
+
+function portNumber(text) {
+  const value = number(text);
+  if (!Number.isInteger(value) || value < 0 || value > 65535) throw new Error("expected a port from 0 to 65535");
+  return value;
+}
+
+// Accepts 0.05 or 5%
+function parseRatio(text) {
+  const value = String(text).trim();
+  const ratio = value.endsWith("%") ? Number(value.slice(0, -1)) / 100 : Number(value);
+  if (value === "" || value === "%" || !(ratio >= 0 && ratio <= 1)) throw new Error("expected a ratio from 0 to 1, such as 0.05 or 5%");
+  return ratio;
+}
+
+// "2-3" is a band, a single "2.5" means exactly that weight
+function parseWeightBand(text) {
+  const [min, max = min] = String(text).split("-").map((v) => Number(v.trim()));
+  if (!(min >= 1 && max <= 5 && min <= max)) throw new Error("expected a weight from 1 to 5, or a band such as 2-3");
+  return { minWeight: min, maxWeight: max };
+}
+
+function duration(text) {
+  try {
+    return incremental.parseMaxAge(text);
+  } catch (_e) {
+    throw new Error("expected an age such as 30d, 12h or 90m");
+  }
+}
+
+function text(value) {
+  if (!String(value).trim()) throw new Error("expected a value");
+  return String(value);
+}
+
+function oneOf(values) {
+  return (value) => {
+    if (!values.includes(value)) throw new Error(`expected one of: ${values.join(", ")}`);
+    return value;
+  };
+}
+
+function list(value) {
+  return String(value).split(",").map((item) => item.trim()).filter(Boolean);
+}
+
+function formatList(value) {
+  return list(value).map(oneOf(exporter.FORMATS));
+}
+
+// "weight=0.05" limits one field, a bare "0.2" applies to every field without its own limit
+function nullRateLimit(value) {
+  const [field, limit] = String(value).includes("=") ? String(value).split("=") : [null, value];
+  if (field !== null && !validation.REPORTED_FIELDS.includes(field.trim())) {
+    throw new Error(`expected a field from: ${validation.REPORTED_FIELDS.join(", ")}`);
+  }
+  return { field: field && field.trim(), limit: parseRatio(limit) };
+}
+
+// Every option by its long name. `key` is the args field it sets (`apply` for anything more
+// involved), `value` names its argument in the help text (options without one are switches),
+// `parse` validates and converts the argument, and `repeat` keeps every occurrence.
+const OPTIONS = {
+  "all-pages": { alias: "-a", key: "allPages", help: "Follow the list to its last page instead of stopping at --limit" },
+  limit: { alias: "-l", key: "limit", value: "n", parse: positiveInteger, help: "Number of games to list (default 250)" },
+  source: {
+    key: "source",
+    value: "name|url",
+    parse: text,
+    help: `Rank list to read: ${Object.keys(sources.SOURCES).join(", ")}, or a BGG browse URL (default overall)`,
+  },
+  sort: { key: "sort", value: "key[:dir]", parse: text, help: "Sort the list by another column, e.g. numvoters:desc" },
+  out: { alias: "-o", key: "out", value: "file", parse: text, help: "Dataset file (default boardgames.json, or boardgames-<source>.json)" },
+  "cache-dir": { key: "cacheDir", value: "dir", parse: text, help: "Keep every response in this directory and reuse it" },
+  offline: { key: "offline", help: `Only read from the cache (implies --cache-dir ${DEFAULT_CACHE_DIR})` },
+  refresh: { key: "refresh", help: "Fetch everything again and overwrite the cache" },
+  delay: { alias: "-d", key: "delayMs", value: "ms", parse: nonNegativeNumber, help: "Wait between requests, when --rate is not given (default 500)" },
+  rate: { key: "rate", value: "n", parse: positiveNumber, help: "Requests per second" },
+  burst: { key: "burst", value: "n", parse: positiveInteger, help: "Requests allowed at once before --rate applies (default 1)" },
+  concurrency: { alias: "-c", key: "concurrency", value: "n", parse: positiveInteger, help: "Requests in flight (default 4)" },
+  details: { key: "details", value: "backend", parse: oneOf(scraper.DETAIL_BACKENDS), help: "Where game details come from: xmlapi or html (default xmlapi)" },
+  "api-base": { key: "apiBase", value: "url", parse: text, help: `XML API root (default ${xmlapi.DEFAULT_API_BASE})` },
+  extractors: { key: "extractorOrder", value: "names", parse: list, help: "Game page extractors to try, in order (html details)" },
+  extractor: { key: "extractorModules", value: "module", parse: text, repeat: true, help: "Add the extractors a module exports; repeatable" },
+  journal: { key: "journal", value: "file", parse: text, help: "Progress journal (default <out>.journal)" },
+  resume: { key: "resume", help: "Continue an interrupted run from its journal" },
+  incremental: { key: "incremental", help: "Reuse details from the existing dataset that are younger than --max-age" },
+  "max-age": { key: "maxAgeMs", value: "age", parse: duration, help: `Oldest details to keep, e.g. 12h or 2w (default ${incremental.DEFAULT_MAX_AGE})` },
+  "history-dir": { key: "historyDir", value: "dir", parse: text, help: `Snapshot directory (default ${DEFAULT_HISTORY_DIR}, or ${DEFAULT_HISTORY_DIR}/<source>)` },
+  "no-history": { key: "saveHistory", switchValue: false, help: "Do not save a snapshot of this run" },
+  format: {
+    alias: "-f",
+    value: "format",
+    parse: formatList,
+    repeat: true,
+    apply: (args, lists) => {
+      args.formats = Array.from(new Set(lists.flat()));
+    },
+    help: `Also write ${exporter.FORMATS.join(", ")}; repeatable or comma-separated`,
+  },
+  collection: { key: "collection", value: "user|file", parse: text, help: "Merge a BGG collection: a username, or an exported .csv or .xml" },
+  "download-images": { key: "downloadImages", help: "Mirror cover images next to the dataset" },
+  "image-size": { key: "imageSize", value: "size", parse: oneOf(images.IMAGE_SIZES), help: `Cover size to mirror: ${images.IMAGE_SIZES.join(", ")} (default ${images.DEFAULT_IMAGE_SIZE})` },
+  "images-dir": { key: "imagesDir", value: "dir", parse: text, help: "Where mirrored covers go (default images/ next to the dataset)" },
+  "min-success-ratio": {
+    key: "minSuccessRatio",
+    value: "ratio",
+    parse: parseRatio,
+    help: "Keep the existing dataset when fewer games than this succeed, e.g. 0.95 or 95%",
+  },
+  "max-null-rate": {
+    value: "[field=]ratio",
+    parse: nullRateLimit,
+    repeat: true,
+    apply: (args, limits) => {
+      limits.forEach(({ field, limit }) => {
+        if (field) args.thresholds.maxNullRate[field] = limit;
+        else args.thresholds.defaultMaxNullRate = limit;
+      });
+    },
+    help: "Fail validation when a field is missing on more games than this; repeatable",
+  },
+  "max-invalid": {
+    value: "n",
+    parse: nonNegativeInteger,
+    apply: (args, value) => {
+      args.thresholds.maxInvalid = value;
+    },
+    help: "Fail validation above this many problems (default 0)",
+  },
+  players: { key: "players", value: "n", parse: positiveInteger, help: "Group size to recommend for" },
+  minutes: { key: "minutes", value: "n", parse: positiveNumber, help: "Time available, in minutes" },
+  weight: { key: "weightBand", value: "w|min-max", parse: parseWeightBand, help: "Preferred weight, e.g. 2.5 or 2-3" },
+  top: { key: "top", value: "n", parse: positiveInteger, help: "Number of picks (default 10)" },
+  json: { key: "json", help: "Print JSON instead of text" },
+  port: { key: "port", value: "n", parse: portNumber, help: `Port to listen on, 0 for any free one (default ${server.DEFAULT_PORT})` },
+  host: { key: "host", value: "host", parse: text, help: `Interface to listen on (default ${server.DEFAULT_HOST})` },
+  "log-format": { key: "logFormat", value: "format", parse: oneOf(LOG_FORMATS), help: "text, or json for one object per line (default text)" },
+  "log-level": { key: "logLevel", value: "level", parse: oneOf(LOG_LEVELS), help: `Least severe messages to print: ${LOG_LEVELS.join(", ")} (default info)` },
+  help: { alias: "-h", key: "help", help: "Show this help" },
+};
+
+const FETCH_OPTIONS = ["cache-dir", "offline", "refresh", "delay", "rate", "burst", "concurrency", "details", "api-base", "extractors", "extractor"];
+const THRESHOLD_OPTIONS = ["max-null-rate", "max-invalid"];
+const LOG_OPTIONS = ["log-format", "log-level"];
+
+// `positionals` are the file arguments a command takes; `source` picks the default dataset
+const COMMANDS = {
+  scrape: {
+    usage: "[scrape] [options]",
+    summary: "List the top games on BGG, fetch their details and write the dataset (the default command)",
+    options: [
+      "all-pages", "limit", "source", "sort", "out", ...FETCH_OPTIONS, "journal", "resume", "incremental", "max-age",
+      "history-dir", "no-history", "format", "collection", "download-images", "image-size", "images-dir",
+      "min-success-ratio", ...THRESHOLD_OPTIONS, ...LOG_OPTIONS,
+    ],
+  },
+  enrich: {
+    usage: "enrich [input.json] [options]",
+    summary: "Refetch details a dataset is missing or has older than --max-age, and save it in place",
+    positionals: 1,
+    options: ["source", "out", ...FETCH_OPTIONS, "max-age", "min-success-ratio", ...THRESHOLD_OPTIONS, ...LOG_OPTIONS],
+  },
+  export: {
+    usage: "export [input.json] --format <format> [options]",
+    summary: "Convert a dataset to other formats, written next to it",
+    positionals: 1,
+    options: ["source", "format"],
+  },
+  validate: {
+    usage: "validate [input.json] [options]",
+    summary: "Check a dataset against the schema and the null-rate thresholds; exits 1 when it fails",
+    positionals: 1,
+    options: ["source", "json", ...THRESHOLD_OPTIONS],
+  },
+  diff: {
+    usage: "diff [old.json new.json] [options]",
+    summary: "Compare two snapshots, by default the two newest in the history directory",
+    positionals: 2,
+    options: ["source", "history-dir", "json"],
+  },
+  recommend: {
+    usage: "recommend [input.json] --players <n> --minutes <n> [options]",
+    summary: "Suggest games for a game night",
+    positionals: 1,
+    options: ["source", "players", "minutes", "weight", "top", "json"],
+  },
+  serve: {
+    usage: "serve [input.json] [options]",
+    summary: "Serve the viewer and a JSON API over the dataset",
+    positionals: 1,
+    options: ["source", "history-dir", "port", "host"],
+  },
+};
+
+function defaultArgs() {
+  return {
+    command: "scrape",
+    commandGiven: false,
+    positionals: [],
+    help: false,
+    allPages: false,
+    out: "boardgames.json",
+    delayMs: 500,
+    rate: null,
+    burst: 1,
+    concurrency: 4,
+    limit: 250,
+    cacheDir: null,
+    offline: false,
+    refresh: false,
+    details: "xmlapi",
+    apiBase: xmlapi.DEFAULT_API_BASE,
+    historyDir: DEFAULT_HISTORY_DIR,
+    saveHistory: true,
+    json: false,
+    journal: null,
+    resume: false,
+    formats: [],
+    thresholds: { maxNullRate: {} },
+    collection: null,
+    players: null,
+    minutes: null,
+    weightBand: null,
+    top: 10,
+    downloadImages: false,
+    imageSize: images.DEFAULT_IMAGE_SIZE,
+    imagesDir: null,
+    source: sources.DEFAULT_SOURCE,
+    sort: null,
+    extractorOrder: null,
+    extractorModules: [],
+    incremental: false,
+    maxAgeMs: incremental.parseMaxAge(incremental.DEFAULT_MAX_AGE),
+    port: server.DEFAULT_PORT,
+    host: server.DEFAULT_HOST,
+    logFormat: "text",
+    logLevel: "info",
+    minSuccessRatio: null,
+  };
+}
+
+// Usage errors carry the command so main can point at its --help
+function usageError(message, command = null) {
+  const error = new Error(message);
+  error.usage = true;
+  error.command = command;
+  return error;
+}
+
+function usageHint(error) {
+  return `Run "${PROGRAM}${error.command ? ` ${error.command}` : ""} --help" for usage.`;
+}
+
+function envName(name) {
+  return `${ENV_PREFIX}${name.toUpperCase().replace(/-/g, "_")}`;
+}
+
+// A setting is the raw values one source gave an option: strings, or true for a switch
+function configValues(name, value, origin) {
+  const option = OPTIONS[name];
+  if (!option.value) {
+    if (typeof value !== "boolean") throw usageError(`${origin} must be true or false`);
+    return value ? [true] : [];
+  }
+  if (Array.isArray(value)) return option.repeat ? value.map(String) : [value.join(",")];
+  if (value === null || typeof value === "object") throw usageError(`${origin} must be a string or a number`);
+  return [String(value)];
+}
+
+// bgg250.config.json in the working directory, or the file BGG250_CONFIG names. Options go
+// at the top level, where they apply to every command that takes them, or under a
+// command's name:
+//
+//   { "delay": 1000, "log-format": "json", "scrape": { "all-pages": true, "format": ["csv"] } }
+function loadConfig({ env = process.env, cwd = process.cwd() } = {}) {
+  const named = env[`${ENV_PREFIX}CONFIG`];
+  const file = path.resolve(cwd, named || CONFIG_FILE);
+  if (!named && !fs.existsSync(file)) return { file: null, config: {} };
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    throw usageError(`Could not read the config file ${file}: ${e.message}`);
+  }
+  if (!config || typeof config !== "object" || Array.isArray(config)) throw usageError(`${file} must hold a JSON object`);
+  for (const [key, value] of Object.entries(config)) {
+    if (COMMANDS[key]) {
+      if (!value || typeof value !== "object" || Array.isArray(value)) throw usageError(`"${key}" in ${file} must be an object of options`);
+      const unknown = Object.keys(value).filter((name) => !COMMANDS[key].options.includes(name));
+      if (unknown.length) throw usageError(`${file}: ${key} has no option ${unknown.join(", ")}`, key);
+    } else if (!OPTIONS[key]) {
+      throw usageError(`${file}: unknown option or command "${key}"`);
+    }
+  }
+  return { file, config };
+}
+
+function configSettings({ file, config }, command) {
+  const settings = new Map();
+  const take = (entries, prefix) => {
+    for (const [name, value] of entries) {
+      if (!COMMANDS[command].options.includes(name)) continue;
+      const origin = `${prefix}${name} in ${file}`;
+      settings.set(name, { values: configValues(name, value, origin), origin });
+    }
+  };
+  take(Object.entries(config).filter(([key]) => OPTIONS[key]), "");
+  if (config[command]) take(Object.entries(config[command]), `${command}.`);
+  return settings;
+}
+
+function envSettings(env, command) {
+  const settings = new Map();
+  for (const name of COMMANDS[command].options) {
+    const origin = envName(name);
+    const value = env[origin];
+    if (value === undefined || value === "") continue;
+    if (OPTIONS[name].value) {
+      settings.set(name, { values: [value], origin });
+    } else if (/^(1|true|yes)$/i.test(value)) {
+      settings.set(name, { values: [true], origin });
+    } else if (!/^(0|false|no)$/i.test(value)) {
+      throw usageError(`${origin} must be true or false, got "${value}"`, command);
+    }
+  }
+  return settings;
+}
+
+// --name value, --name=value and -x value; switches take no value
+function argvSettings(tokens, command, positionals) {
+  const settings = new Map();
+  const accepted = [...COMMANDS[command].options, "help"];
+  for (let i = 0; i < tokens.length; i += 1) {
+    const token = tokens[i];
+    if (!token.startsWith("-") || token === "-") {
+      positionals.push(token);
+      continue;
+    }
+    const [flag, inline] = token.includes("=") ? [token.slice(0, token.indexOf("=")), token.slice(token.indexOf("=") + 1)] : [token, null];
+    const name = flag.startsWith("--") ? flag.slice(2) : Object.keys(OPTIONS).find((n) => OPTIONS[n].alias === flag);
+    if (!name || !OPTIONS[name]) throw usageError(`Unknown option ${flag}`, command);
+    if (!accepted.includes(name)) throw usageError(`${command} does not take --${name}`, command);
+    const option = OPTIONS[name];
+    let value = true;
+    if (option.value) {
+      if (inline !== null) value = inline;
+      else if (i + 1 < tokens.length) value = tokens[(i += 1)];
+      else throw usageError(`--${name} needs a value (${option.value})`, command);
+    } else if (inline !== null) {
+      throw usageError(`--${name} does not take a value`, command);
+    }
+    // Repeated flags add up; anything else keeps its last value
+    const previous = settings.get(name);
+    const values = option.repeat && previous ? [...previous.values, value] : [value];
+    settings.set(name, { values, origin: `--${name}` });
+  }
+  return settings;
+}
+
+function readOption(args, name, { values, origin }, command) {
+  const option = OPTIONS[name];
+  if (!option.value) {
+    args[option.key] = option.switchValue ?? true;
+    return;
+  }
+  const parsed = values.map((value) => {
+    try {
+      return option.parse(value);
+    } catch (e) {
+      throw usageError(`Invalid ${origin} "${value}": ${e.message}`, command);
+    }
+  });
+  const result = option.repeat ? parsed : parsed[parsed.length - 1];
+  if (option.apply) option.apply(args, result);
+  else args[option.key] = result;
+}
+
+// Reads `argv` (process.argv: node, script, command, options…) into the args object every
+// command runs from. Built-in defaults are overridden by the config file, then by BGG250_*
+// environment variables, then by the command line. Throws usage errors for unknown
+// commands and options, values that do not parse, and options the command does not take.
+function parseArgs(argv, { env = process.env, cwd = process.cwd() } = {}) {
+  const tokens = argv.slice(2);
+  const args = defaultArgs();
+  if (tokens[0] === "help") {
+    args.help = true;
+    if (tokens[1] && !COMMANDS[tokens[1]]) throw usageError(`Unknown command "${tokens[1]}"`);
+    if (tokens[1]) Object.assign(args, { command: tokens[1], commandGiven: true });
+    return args;
+  }
+  if (tokens.length && COMMANDS[tokens[0]]) {
+    args.command = tokens.shift();
+    args.commandGiven = true;
+  } else if (tokens.length && !tokens[0].startsWith("-")) {
+    throw usageError(`Unknown command "${tokens[0]}"; expected one of: ${Object.keys(COMMANDS).join(", ")}`);
+  }
+  const { command } = args;
+
+  const fromArgv = argvSettings(tokens, command, args.positionals);
+  if (fromArgv.has("help")) {
+    args.help = true;
+    return args;
+  }
+  const maxPositionals = COMMANDS[command].positionals || 0;
+  if (args.positionals.length > maxPositionals) {
+    throw usageError(`Unexpected argument "${args.positionals[maxPositionals]}"`, command);
+  }
+  const settings = new Map([...configSettings(loadConfig({ env, cwd }), command), ...envSettings(env, command), ...fromArgv]);
+  for (const [name, setting] of settings) readOption(args, name, setting, command);
+
+  if (args.offline && args.refresh) throw usageError("--offline and --refresh cannot be combined", command);
+  // --offline and --refresh only make sense with a cache, so imply the default one
+  if (!args.cacheDir && (args.offline || args.refresh)) args.cacheDir = DEFAULT_CACHE_DIR;
+  // --delay predates --rate: one request every delayMs is the same budget
+  if (args.rate === null) args.rate = args.delayMs > 0 ? 1000 / args.delayMs : Number.POSITIVE_INFINITY;
+  try {
+    args.source = sources.resolveSource(args.source, { sort: args.sort });
+  } catch (e) {
+    throw usageError(e.message, command);
+  }
+  // Other lists get their own dataset and history, so snapshots of one never diff against another
+  const slug = sources.sourceSlug(args.source);
+  if (slug !== sources.DEFAULT_SOURCE) {
+    if (!settings.has("out")) args.out = `boardgames-${slug}.json`;
+    if (!settings.has("history-dir")) args.historyDir = path.join(DEFAULT_HISTORY_DIR, slug);
+  }
+  // enrich saves the dataset it read unless told otherwise
+  if (command === "enrich" && args.positionals.length && !settings.has("out")) args.out = args.positionals[0];
+  if (!args.journal) args.journal = `${args.out}.journal`;
+  // Covers live next to the dataset so the viewer can load them with relative paths
+  if (!args.imagesDir) args.imagesDir = path.join(path.dirname(args.out), "images");
+  return args;
+}
+
+function formatOptionLine(name) {
+  const option = OPTIONS[name];
+  const flags = `${option.alias ? `${option.alias}, ` : "    "}--${name}${option.value ? ` <${option.value}>` : ""}`;
+  return `  ${flags.padEnd(34)} ${option.help}`;
+}
+
+// Help for one command, or the list of commands when `command` is null
+function formatHelp(command = null) {
+  if (!command) {
+    const width = Math.max(...Object.keys(COMMANDS).map((name) => name.length));
+    return [
+      `Usage: ${PROGRAM} [command] [options]`,
+      "",
+      "Commands:",
+      ...Object.entries(COMMANDS).map(([name, spec]) => `  ${name.padEnd(width)}  ${spec.summary}`),
+      "",
+      `Run "${PROGRAM} <command> --help" for a command's options.`,
+      "",
+    ].join("\n");
+  }
+  const spec = COMMANDS[command];
+  return [
+    `Usage: ${PROGRAM} ${spec.usage}`,
+    "",
+    spec.summary,
+    "",
+    "Options:",
+    ...[...spec.options, "help"].map(formatOptionLine),
+    "",
+    `Defaults can be set in ${CONFIG_FILE} (or the file ${ENV_PREFIX}CONFIG names), at the top level or under "${command}",`,
+    `and with environment variables such as ${envName(spec.options.find((name) => OPTIONS[name].value) || "help")}. Flags override both.`,
+    "",
+  ].join("\n");
+}
+
+function writeJsonFile(filePath, data) {
+  const outPath = path.isAbsolute(filePath)
+    ? filePath
+    : path.join(process.cwd(), filePath);
+  fs.writeFileSync(outPath, JSON.stringify(data, null, 2), "utf8");
+  return outPath;
+}
+
+// --download-images: mirror covers into args.imagesDir and record them as image_local
+async function downloadImages(games, args, limiter, log = defaultLog) {
+  const summary = await images.mirrorImages(games, {
+    dir: args.imagesDir,
+    baseDir: path.dirname(path.resolve(args.out)),
+    size: args.imageSize,
+    limiter,
+    concurrency: args.concurrency,
+    offline: args.offline,
+    onRetry: scraper.retryLogger(log),
+  });
+  log.info(`Mirrored covers → ${args.imagesDir}: ${summary.downloaded} downloaded, ${summary.reused} already saved, ${summary.missing} unavailable`, {
+    dir: args.imagesDir,
+    downloaded: summary.downloaded,
+    reused: summary.reused,
+    missing: summary.missing,
+  });
+  summary.failures.forEach((f) => log.error(`Error downloading the cover of #${f.rank} ${f.title}: ${f.error}`, f));
+  return summary;
+}
+
+// diff [old.json new.json]: defaults to the two newest snapshots in the history dir
+function runDiff(args) {
+  const [previousPath, currentPath] = args.positionals.length >= 2
+    ? args.positionals
+    : history.latestSnapshotPaths(args.historyDir);
+  const diff = history.diffSnapshots(history.loadSnapshot(previousPath), history.loadSnapshot(currentPath));
+  if (args.json) {
+    process.stdout.write(`${JSON.stringify({ previous: previousPath, current: currentPath, ...diff }, null, 2)}\n`);
+  } else {
+    process.stdout.write(history.formatDiff(diff, { previousLabel: previousPath, currentLabel: currentPath }));
+  }
+}
+
+async function writeExtraFormats(games, args, log = defaultLog) {
+  // JSON is always written as the dataset itself, so only the other formats are extra
+  const formats = args.formats.filter((f) => f !== "json");
+  const written = await exporter.writeExports(games, formats, args.out);
+  written.forEach((w) => log.info(`Exported ${w.format} → ${w.path}`, { format: w.format, path: w.path }));
+}
+
+// export [input.json] --format csv ...: converts an existing dataset without scraping
+async function runExport(args) {
+  const input = args.positionals[0] || args.out;
+  if (!args.formats.length) throw usageError(`export needs at least one --format (${exporter.FORMATS.join(", ")})`, "export");
+  const games = history.loadSnapshot(input);
+  await writeExtraFormats(games, { ...args, out: input, formats: args.formats });
+}
+
+// validate [input.json]: schema, invariants and null-rate thresholds; non-zero exit on failure
+function runValidate(args) {
+  const input = args.positionals[0] || args.out;
+  const report = validation.validateGames(history.loadSnapshot(input), args.thresholds);
+  if (args.json) process.stdout.write(`${JSON.stringify({ input, ...report }, null, 2)}\n`);
+  else process.stdout.write(validation.formatReport(report));
+  if (!report.ok) process.exitCode = 1;
+  return report;
+}
+
+// recommend [input.json] --players 5 --minutes 90 [--weight 2-3] [--top 10]
+function runRecommend(args) {
+  if (args.players === null || args.minutes === null) throw usageError("recommend needs --players and --minutes", "recommend");
+  const input = args.positionals[0] || args.out;
+  const options = { players: args.players, minutes: args.minutes, limit: args.top, ...args.weightBand };
+  const picks = recommender.recommend(history.loadSnapshot(input), options);
+  if (args.json) {
+    const rows = picks.map(({ game, score, factors, missing }) => ({ rank: game.rank, title: game.title, url: game.url, score, factors, missing }));
+    process.stdout.write(`${JSON.stringify({ input, ...options, picks: rows }, null, 2)}\n`);
+  } else {
+    process.stdout.write(recommender.formatRecommendations(picks, options));
+  }
+  return picks;
+}
+
+// serve [input.json] [--port 8080] [--host 127.0.0.1]: the viewer plus the /api endpoints
+function runServe(args) {
+  const input = args.positionals[0] || args.out;
+  const app = server.createServer({ root: ".", dataFile: input, historyDir: args.historyDir });
+  return new Promise((resolve, reject) => {
+    app.once("error", reject);
+    app.listen(args.port, args.host, () => {
+      const { port } = app.address();
+      process.stdout.write(`Serving the viewer and ${input} at http://${args.host}:${port}/ (API under /api/games)\n`);
+      resolve(app);
+    });
+  });
+}
+
+// scrape (the default command). The dataset is only replaced when the run is good enough
+// (see assessRun), and a run manifest is written next to it either way; resolves to the
+// exit code.
+async function runScrape(args, log = defaultLog) {
+  const htmlExtractors = createExtractors(args);
+  const manifestPath = manifestPathFor(args.out);
+  const run = createRunManifest({ argv: process.argv.slice(2), args });
+  try {
+    const outcome = await scrapeAndWrite(args, { log, run, htmlExtractors });
+    run.write(manifestPath, outcome);
+    log.info(`Run ${outcome.status}: ${outcome.succeeded}/${outcome.listed} games with details, exit code ${outcome.exitCode}; manifest → ${manifestPath}`, {
+      status: outcome.status,
+      listed: outcome.listed,
+      succeeded: outcome.succeeded,
+      failed: outcome.failed,
+      exitCode: outcome.exitCode,
+      manifest: manifestPath,
+    });
+    return outcome.exitCode;
+  } catch (error) {
+    // Usage errors surface before the manifest exists; anything thrown from here on failed the run
+    run.write(manifestPath, { status: "failed", exitCode: EXIT_CODES.failed, error: error.message });
+    error.exitCode = EXIT_CODES.failed;
+    throw error;
+  }
+}
+
+// Unknown --extractors names and broken --extractor modules are usage errors
+function createExtractors(args) {
+  try {
+    return scraper.createHtmlExtractors({ order: args.extractorOrder, modules: args.extractorModules });
+  } catch (e) {
+    throw usageError(e.message, args.command);
+  }
+}
+
+// The cache and rate limiter every fetching command shares
+function createFetchContext(args, log) {
+  const cache = args.cacheDir
+    ? createResponseCache({ dir: args.cacheDir, offline: args.offline, refresh: args.refresh })
+    : null;
+  if (cache) log.info(`Using response cache at ${cache.dir}${args.offline ? " (offline)" : ""}`, { cacheDir: cache.dir, offline: args.offline });
+  // Replaying from disk does not need to be polite to BGG
+  const limiter = args.offline || !Number.isFinite(args.rate) ? null : createRateLimiter({ ratePerSec: args.rate, burst: args.burst });
+  return { cache, limiter };
+}
+
+// The dataset a run would replace, or null when there is none (or it cannot be read)
+function readExisting(file, log) {
+  if (!fs.existsSync(file)) return null;
+  try {
+    return history.loadSnapshot(file);
+  } catch (e) {
+    log.warn(`Could not read the existing ${file}, it will be replaced: ${e.message}`, { out: file, error: e });
+    return null;
+  }
+}
+
+async function scrapeAndWrite(args, { log, run, htmlExtractors }) {
+  const { cache, limiter } = createFetchContext(args, log);
+  const journal = createJournal(args.journal, { resume: args.resume });
+  log.info(`Source: ${args.source.label} (${args.source.url})`, { source: args.source.key, url: args.source.url });
+  const existing = readExisting(args.out, log);
+  let previous = null;
+  if (args.incremental) {
+    if (existing) previous = existing;
+    else log.info(`Incremental: no previous ${args.out}, enriching every game`, { out: args.out });
+  }
+  if (args.details === "html") log.info(`Extractors: ${htmlExtractors.names().join(" → ")}`, { extractors: htmlExtractors.names() });
+  const { games: names, failures, listingComplete, extraction } = await scraper.scrapeAll({
+    source: args.source,
+    allPages: args.allPages,
+    limit: args.limit,
+    cache,
+    limiter,
+    concurrency: args.concurrency,
+    details: args.details,
+    apiBase: args.apiBase,
+    journal,
+    previous,
+    maxAgeMs: args.maxAgeMs,
+    // Collection data and mirrored covers outlive runs that do not import them again
+    carry: incremental.carriedFields(args),
+    extractors: htmlExtractors,
+    log,
+    run,
+  });
+  // A shift from preload towards the fallbacks is the first sign BGG changed its markup
+  if (extraction.byStrategy.size) {
+    log.info(`Extracted details: ${extraction.format()}`, { strategies: Object.fromEntries(extraction.byStrategy), filledRecords: extraction.filledRecords });
+  }
+  if (failures.length) {
+    log.warn(`${failures.length} games could not be enriched; run again with --resume to retry only those`, { failed: failures.length });
+  }
+  const assessment = assessRun({
+    listed: names.length,
+    failed: failures.length,
+    listingComplete,
+    minSuccessRatio: args.minSuccessRatio,
+    existingCount: existing ? existing.length : null,
+  });
+  if (!assessment.overwrite) {
+    log.error(`Kept the existing ${args.out}: ${assessment.refusal}`, { out: args.out, reason: assessment.refusal });
+    return { ...assessment, output: null };
+  }
+
+  if (args.collection) {
+    const entries = await collection.loadCollection(args.collection, { apiBase: args.apiBase, cache, limiter });
+    const matched = collection.mergeCollection(names, entries);
+    log.info(`Merged collection ${args.collection}: ${entries.size} items, ${matched} in this list`, { collection: args.collection, items: entries.size, matched });
+  }
+  if (args.downloadImages) await downloadImages(names, args, limiter, log);
+  const outPath = writeJsonFile(args.out, names);
+  log.info(`Wrote ${names.length} games → ${outPath}`, { games: names.length, path: outPath });
+  const dataset = sources.recordDataset(path.dirname(outPath), args.source, {
+    file: outPath,
+    historyDir: args.saveHistory ? args.historyDir : null,
+    count: names.length,
+    hash: history.datasetHash(names),
+  });
+  log.info(`Listed ${dataset.label} in ${sources.DATASET_INDEX_FILE} for the viewer`, { dataset: dataset.key });
+  await writeExtraFormats(names, args, log);
+  const report = validation.validateGames(names, args.thresholds);
+  log.info(validation.formatReport(report), { ok: report.ok, count: report.count, violations: report.violations });
+  if (!failures.length && listingComplete) journal.remove();
+  let snapshotPath = null;
+  if (args.saveHistory && names.length) {
+    snapshotPath = history.saveSnapshot(args.historyDir, names);
+    log.info(`Saved snapshot → ${snapshotPath}`, { path: snapshotPath });
+  }
+  log.info("Open index.html in a local server to view the table (e.g. npx http-server).");
+  return {
+    ...assessment,
+    // A clean run that fails validation still exits 1, as before
+    exitCode: assessment.exitCode || (report.ok ? EXIT_CODES.ok : EXIT_CODES.error),
+    output: outPath,
+    snapshot: snapshotPath,
+    validation: { ok: report.ok, violations: report.violations },
+  };
+}
+
+// enrich [input.json] [--max-age 30d]: refetches details that are missing or too old in an
+// existing dataset and saves it (in place unless --out), without listing again. Games that
+// fail keep the details they had. Resolves to the exit code, like scrape.
+async function runEnrich(args, log = defaultLog) {
+  const htmlExtractors = createExtractors(args);
+  const input = args.positionals[0] || args.out;
+  const games = history.loadSnapshot(input);
+  // Enriching in place replaces the input itself; --out may name another existing dataset
+  const existing = path.resolve(args.out) === path.resolve(input) ? games : readExisting(args.out, log);
+  const existingCount = existing ? existing.length : null;
+  const manifestPath = manifestPathFor(args.out);
+  const run = createRunManifest({ argv: process.argv.slice(2), args });
+  try {
+    const { cache, limiter } = createFetchContext(args, log);
+    const now = Date.now();
+    const pending = games.filter((game) => !incremental.isFresh(game, args.maxAgeMs, now));
+    const refreshing = new Set(pending);
+    games.forEach((game) => run.recordGame(game, refreshing.has(game) ? "pending" : "reused"));
+    log.info(`Enriching ${pending.length} of ${games.length} games in ${input}; the rest have details younger than --max-age`, {
+      input,
+      pending: pending.length,
+      total: games.length,
+    });
+    const { failures, extraction } = await scraper.enrichGames(pending, {
+      cache,
+      limiter,
+      concurrency: args.concurrency,
+      details: args.details,
+      apiBase: args.apiBase,
+      extractors: htmlExtractors,
+      log,
+      run,
+    });
+    if (extraction.byStrategy.size) log.info(`Extracted details: ${extraction.format()}`, { strategies: Object.fromEntries(extraction.byStrategy) });
+    const assessment = assessRun({
+      listed: games.length,
+      failed: failures.length,
+      minSuccessRatio: args.minSuccessRatio,
+      existingCount,
+    });
+    let outcome = { ...assessment, output: null };
+    if (assessment.overwrite) {
+      const outPath = writeJsonFile(args.out, games);
+      log.info(`Wrote ${games.length} games → ${outPath}`, { games: games.length, path: outPath });
+      const report = validation.validateGames(games, args.thresholds);
+      log.info(validation.formatReport(report), { ok: report.ok, count: report.count, violations: report.violations });
+      outcome = {
+        ...assessment,
+        exitCode: assessment.exitCode || (report.ok ? EXIT_CODES.ok : EXIT_CODES.error),
+        output: outPath,
+        validation: { ok: report.ok, violations: report.violations },
+      };
+    } else {
+      log.error(`Kept ${args.out} as it was: ${assessment.refusal}`, { out: args.out, reason: assessment.refusal });
+    }
+    run.write(manifestPath, outcome);
+    log.info(`Run ${outcome.status}: ${failures.length} of ${pending.length} games failed, exit code ${outcome.exitCode}; manifest → ${manifestPath}`, {
+      status: outcome.status,
+      failed: failures.length,
+      exitCode: outcome.exitCode,
+      manifest: manifestPath,
+    });
+    return outcome.exitCode;
+  } catch (error) {
+    run.write(manifestPath, { status: "failed", exitCode: EXIT_CODES.failed, error: error.message });
+    error.exitCode = EXIT_CODES.failed;
+    throw error;
+  }
+}
+
+async function main(argv = process.argv) {
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (error) {
+    if (!error.usage) throw error;
+    process.stderr.write(`${error.message}\n${usageHint(error)}\n`);
+    process.exitCode = EXIT_CODES.error;
+    return;
+  }
+  if (args.help) {
+    process.stdout.write(formatHelp(args.commandGiven ? args.command : null));
+    return;
+  }
+  const log = createLogger({ format: args.logFormat, level: args.logLevel });
+  try {
+    if (args.command === "diff") {
+      runDiff(args);
+    } else if (args.command === "export") {
+      await runExport(args);
+    } else if (args.command === "validate") {
+      runValidate(args);
+    } else if (args.command === "recommend") {
+      runRecommend(args);
+    } else if (args.command === "serve") {
+      await runServe(args);
+    } else if (args.command === "enrich") {
+      process.exitCode = await runEnrich(args, log);
+    } else {
+      process.exitCode = await runScrape(args, log);
+    }
+  } catch (error) {
+    log.error(error.usage ? `${error.message}\n${usageHint(error)}` : error.message);
+    process.exitCode = error.exitCode || EXIT_CODES.error;
+  }
+}
+
+module.exports = {
+  PROGRAM,
+  CONFIG_FILE,
+  OPTIONS,
+  COMMANDS,
+  parseArgs,
+  loadConfig,
+  formatHelp,
+  writeJsonFile,
+  downloadImages,
+  runDiff,
+  runExport,
+  runValidate,
+  runRecommend,
+  runServe,
+  runScrape,
+  runEnrich,
+  main,
+};
@@ -0,0 +1,154 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const cheerio = require("cheerio");
+const { DEFAULT_API_BASE, extractGameId, fetchXml } = require("./xmlapi");
+
+// Fields merged into every game record once a collection is loaded
+const COLLECTION_FIELDS = ["owned", "wishlist", "want_to_play", "my_rating", "num_plays"];
+
+// Games the collection doesn't include are unknown rather than unowned and unplayed, so the
+// Unplayed filter and plays:0 only match games the user actually logged
+function unknownEntry() {
+  return Object.fromEntries(COLLECTION_FIELDS.map((key) => [key, null]));
+}
+
+function flag(value) {
+  return String(value ?? "").trim() === "1";
+}
+
+function ratingValue(value) {
+  const n = Number(value);
+  // Unrated items come through as "N/A" or 0
+  return Number.isNaN(n) || n <= 0 ? null : n;
+}
+
+// A user can hold several copies of one game; their flags and plays are combined
+function addEntry(entries, id, entry) {
+  if (!id) return;
+  const existing = entries.get(id);
+  if (!existing) {
+    entries.set(id, entry);
+    return;
+  }
+  existing.owned = existing.owned || entry.owned;
+  existing.wishlist = existing.wishlist || entry.wishlist;
+  existing.want_to_play = existing.want_to_play || entry.want_to_play;
+  existing.my_rating = existing.my_rating ?? entry.my_rating;
+  existing.num_plays = Math.max(existing.num_plays, entry.num_plays);
+}
+
+function parseCollectionXml(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const entries = new Map();
+  $("items > item").each((_, el) => {
+    const $item = $(el);
+    const $status = $item.children("status").first();
+    addEntry(entries, $item.attr("objectid"), {
+      owned: flag($status.attr("own")),
+      wishlist: flag($status.attr("wishlist")),
+      want_to_play: flag($status.attr("wanttoplay")),
+      my_rating: ratingValue($item.find("stats rating").first().attr("value")),
+      num_plays: Number($item.children("numplays").first().text()) || 0,
+    });
+  });
+  return entries;
+}
+
+// Minimal RFC 4180 reader: quoted fields, doubled quotes and embedded newlines
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const input = String(text).replace(/^\uFEFF/, "");
+  for (let i = 0; i < input.length; i += 1) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((cell) => cell !== ""));
+}
+
+// Columns follow BGG's "Export collection" CSV
+function parseCollectionCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return new Map();
+  const column = (name) => header.indexOf(name);
+  const idIndex = column("objectid");
+  if (idIndex === -1) throw new Error("Collection CSV has no objectid column");
+  const entries = new Map();
+  for (const row of rows) {
+    const cell = (name) => (column(name) === -1 ? undefined : row[column(name)]);
+    addEntry(entries, row[idIndex], {
+      owned: flag(cell("own")),
+      wishlist: flag(cell("wishlist")),
+      want_to_play: flag(cell("wanttoplay")),
+      my_rating: ratingValue(cell("rating")),
+      num_plays: Number(cell("numplays")) || 0,
+    });
+  }
+  return entries;
+}
+
+function buildCollectionUrl(username, apiBase = DEFAULT_API_BASE) {
+  return `${apiBase.replace(/\/+$/, "")}/collection?username=${encodeURIComponent(username)}&stats=1`;
+}
+
+// `source` is a saved .xml/.csv export when such a file exists, otherwise a BGG username
+async function loadCollection(source, { apiBase = DEFAULT_API_BASE, cache = null, limiter = null, retryDelayMs = 3000 } = {}) {
+  if (fs.existsSync(source)) {
+    const text = fs.readFileSync(source, "utf8");
+    const isXml = path.extname(source).toLowerCase() === ".xml" || text.trimStart().startsWith("<");
+    return isXml ? parseCollectionXml(text) : parseCollectionCsv(text);
+  }
+  // Collections are built on demand, so BGG answers 202 for a while first
+  const xml = await fetchXml(buildCollectionUrl(source, apiBase), { cache, limiter, polls: 8, retryDelayMs });
+  return parseCollectionXml(xml);
+}
+
+function mergeCollection(games, entries) {
+  let matched = 0;
+  for (const game of games) {
+    const entry = entries.get(extractGameId(game.url));
+    if (entry) matched += 1;
+    Object.assign(game, entry ? { ...entry } : unknownEntry());
+  }
+  return matched;
+}
+
+module.exports = {
+  COLLECTION_FIELDS,
+  parseCollectionXml,
+  parseCsv,
+  parseCollectionCsv,
+  buildCollectionUrl,
+  loadCollection,
+  mergeCollection,
+};
@@ -0,0 +1,238 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { extractGameId } = require("./xmlapi");
+const { remoteImage } = require("./imageref");
+
+const FORMATS = ["json", "csv", "sqlite", "md", "ndjson"];
+const FILE_EXTENSIONS = { json: ".json", csv: ".csv", sqlite: ".sqlite", md: ".md", ndjson: ".ndjson" };
+
+// Column order is part of the export contract; append new fields, never reorder
+const SCALAR_COLUMNS = [
+  { key: "id", type: "INTEGER" },
+  { key: "rank", type: "INTEGER" },
+  { key: "title", type: "TEXT" },
+  { key: "year", type: "INTEGER" },
+  { key: "image", type: "TEXT" },
+  { key: "url", type: "TEXT" },
+  { key: "geek_rating", type: "REAL" },
+  { key: "avg_rating", type: "REAL" },
+  { key: "num_voters", type: "INTEGER" },
+  { key: "min_players", type: "INTEGER" },
+  { key: "max_players", type: "INTEGER" },
+  { key: "min_best_players", type: "INTEGER" },
+  { key: "max_best_players", type: "INTEGER" },
+  { key: "min_playing_time", type: "INTEGER" },
+  { key: "max_playing_time", type: "INTEGER" },
+  { key: "weight", type: "REAL" },
+  { key: "min_age", type: "INTEGER" },
+  { key: "description", type: "TEXT" },
+  { key: "owned", type: "INTEGER" },
+  { key: "wishlist", type: "INTEGER" },
+  { key: "want_to_play", type: "INTEGER" },
+  { key: "my_rating", type: "REAL" },
+  { key: "num_plays", type: "INTEGER" },
+  { key: "best_players", type: "TEXT", encode: "counts" },
+  { key: "recommended_players", type: "TEXT", encode: "counts" },
+  { key: "player_poll", type: "TEXT", encode: "json" },
+  { key: "source", type: "TEXT" },
+  { key: "subdomain_rank", type: "INTEGER" },
+  { key: "scraped_at", type: "TEXT" },
+  { key: "enriched_at", type: "TEXT" },
+  { key: "list_rank", type: "INTEGER" },
+];
+
+// Multi-valued fields; SQLite gets a lookup table and a join table for each
+const LIST_COLUMNS = [
+  { key: "categories", table: "categories", joinTable: "game_categories", joinColumn: "category_id" },
+  { key: "mechanics", table: "mechanics", joinTable: "game_mechanics", joinColumn: "mechanic_id" },
+  { key: "designers", table: "designers", joinTable: "game_designers", joinColumn: "designer_id" },
+  { key: "artists", table: "artists", joinTable: "game_artists", joinColumn: "artist_id" },
+  { key: "publishers", table: "publishers", joinTable: "game_publishers", joinColumn: "publisher_id" },
+];
+
+const CSV_LIST_SEPARATOR = "; ";
+
+// One flat, export-ready record per game with every column present
+function toExportRecord(game) {
+  const id = extractGameId(game.url);
+  const record = {};
+  for (const { key } of SCALAR_COLUMNS) {
+    if (key === "id") record.id = id ? Number(id) : null;
+    else if (key === "image") record.image = remoteImage(game.image);
+    else record[key] = game[key] ?? null;
+  }
+  for (const { key } of LIST_COLUMNS) record[key] = Array.isArray(game[key]) ? game[key] : [];
+  return record;
+}
+
+// Flat formats (CSV, SQLite) store player counts as "2; 4" and the poll as a JSON string
+function flatValue(column, value) {
+  if (value === null || value === undefined) return null;
+  if (column.encode === "counts") return value.join(CSV_LIST_SEPARATOR);
+  if (column.encode === "json") return JSON.stringify(value);
+  return value;
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(games) {
+  const header = SCALAR_COLUMNS.map((c) => c.key).concat(LIST_COLUMNS.map((c) => c.key));
+  const lines = [header.map(csvField).join(",")];
+  for (const record of games.map(toExportRecord)) {
+    const scalars = SCALAR_COLUMNS.map((c) => csvField(flatValue(c, record[c.key])));
+    const lists = LIST_COLUMNS.map((c) => csvField(record[c.key].join(CSV_LIST_SEPARATOR)));
+    lines.push(scalars.concat(lists).join(","));
+  }
+  // CRLF keeps Excel happy and is what RFC 4180 asks for
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+function toNdjson(games) {
+  return games.map((g) => JSON.stringify(toExportRecord(g))).join("\n") + (games.length ? "\n" : "");
+}
+
+function mdCell(value) {
+  if (value === null || value === undefined || value === "") return "";
+  return String(value).replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+}
+
+function mdRange(min, max) {
+  if (min == null && max == null) return "";
+  if (min == null || max == null || min === max) return String(min ?? max);
+  return `${min}–${max}`;
+}
+
+function toMarkdown(games) {
+  const header = ["Rank", "Title", "Year", "Geek", "Avg", "Voters", "Players", "Best", "Time (min)", "Weight"];
+  const lines = [`| ${header.join(" | ")} |`, `| ${header.map((h, i) => (i === 1 ? "---" : "---:")).join(" | ")} |`];
+  for (const g of games.map(toExportRecord)) {
+    const title = g.url ? `[${mdCell(g.title).replace(/[[\]]/g, "\\$&")}](${g.url})` : mdCell(g.title);
+    const cells = [
+      g.rank,
+      title,
+      g.year,
+      g.geek_rating,
+      g.avg_rating,
+      g.num_voters,
+      mdRange(g.min_players, g.max_players),
+      // Listed counts keep gaps ("2, 4") that a min–max range would hide
+      g.best_players && g.best_players.length ? g.best_players.join(", ") : mdRange(g.min_best_players, g.max_best_players),
+      mdRange(g.min_playing_time, g.max_playing_time),
+      g.weight,
+    ];
+    lines.push(`| ${cells.map((c, i) => (i === 1 ? c : mdCell(c))).join(" | ")} |`);
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+function sqliteSchema() {
+  const columns = SCALAR_COLUMNS.map((c) => {
+    if (c.key === "id") return "id INTEGER PRIMARY KEY";
+    if (c.key === "title") return "title TEXT NOT NULL";
+    return `${c.key} ${c.type}`;
+  });
+  const statements = [`CREATE TABLE games (${columns.join(", ")});`, "CREATE INDEX games_rank ON games (rank);"];
+  for (const list of LIST_COLUMNS) {
+    statements.push(`CREATE TABLE ${list.table} (id INTEGER PRIMARY KEY, name TEXT NOT NULL UNIQUE);`);
+    statements.push(
+      `CREATE TABLE ${list.joinTable} (` +
+        "game_id INTEGER NOT NULL REFERENCES games (id), " +
+        `${list.joinColumn} INTEGER NOT NULL REFERENCES ${list.table} (id), ` +
+        `PRIMARY KEY (game_id, ${list.joinColumn}));`
+    );
+  }
+  return statements.join("\n");
+}
+
+async function toSqlite(games) {
+  // sql.js is WebAssembly, so it needs no native build; load it only when asked for
+  const initSqlJs = require("sql.js");
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+  try {
+    db.exec(sqliteSchema());
+    const insertGame = db.prepare(
+      `INSERT INTO games (${SCALAR_COLUMNS.map((c) => c.key).join(", ")}) VALUES (${SCALAR_COLUMNS.map(() => "?").join(", ")})`
+    );
+    const lookups = LIST_COLUMNS.map((list) => ({
+      list,
+      ids: new Map(),
+      insertValue: db.prepare(`INSERT INTO ${list.table} (name) VALUES (?)`),
+      insertLink: db.prepare(`INSERT OR IGNORE INTO ${list.joinTable} (game_id, ${list.joinColumn}) VALUES (?, ?)`),
+    }));
+    db.exec("BEGIN");
+    for (const record of games.map(toExportRecord)) {
+      // SQLite has no boolean type; collection flags are stored as 0/1
+      insertGame.run(SCALAR_COLUMNS.map((c) => {
+        const value = flatValue(c, record[c.key]);
+        return typeof value === "boolean" ? Number(value) : value;
+      }));
+      // Games without a BGG id still get a rowid to join on
+      const gameId = record.id ?? db.exec("SELECT last_insert_rowid()")[0].values[0][0];
+      for (const lookup of lookups) {
+        for (const name of record[lookup.list.key]) {
+          if (!lookup.ids.has(name)) {
+            lookup.insertValue.run([name]);
+            lookup.ids.set(name, db.exec("SELECT last_insert_rowid()")[0].values[0][0]);
+          }
+          lookup.insertLink.run([gameId, lookup.ids.get(name)]);
+        }
+      }
+    }
+    db.exec("COMMIT");
+    insertGame.free();
+    lookups.forEach((l) => {
+      l.insertValue.free();
+      l.insertLink.free();
+    });
+    return Buffer.from(db.export());
+  } finally {
+    db.close();
+  }
+}
+
+function outputPathFor(basePath, format) {
+  const parsed = path.parse(basePath);
+  return path.join(parsed.dir, `${parsed.name}${FILE_EXTENSIONS[format]}`);
+}
+
+async function renderFormat(games, format) {
+  if (format === "json") return JSON.stringify(games, null, 2);
+  if (format === "csv") return toCsv(games);
+  if (format === "ndjson") return toNdjson(games);
+  if (format === "md") return toMarkdown(games);
+  if (format === "sqlite") return toSqlite(games);
+  throw new Error(`Unknown export format: ${format}`);
+}
+
+// Writes one file per format next to basePath (boardgames.json -> boardgames.csv, ...)
+async function writeExports(games, formats, basePath) {
+  const written = [];
+  for (const format of formats) {
+    const outPath = outputPathFor(basePath, format);
+    fs.writeFileSync(outPath, await renderFormat(games, format));
+    written.push({ format, path: outPath });
+  }
+  return written;
+}
+
+module.exports = {
+  FORMATS,
+  SCALAR_COLUMNS,
+  LIST_COLUMNS,
+  toExportRecord,
+  csvField,
+  toCsv,
+  toNdjson,
+  toMarkdown,
+  sqliteSchema,
+  toSqlite,
+  outputPathFor,
+  writeExports,
+};
@@ -0,0 +1,120 @@
+"use strict";
+
+const path = require("path");
+
+// A field counts as missing when a strategy left it null or empty
+function isMissing(value) {
+  return value === null || value === undefined || (Array.isArray(value) && value.length === 0);
+}
+
+function checkExtractor(extractor) {
+  if (!extractor || typeof extractor.name !== "string" || !extractor.name || typeof extractor.extract !== "function") {
+    throw new Error("An extractor needs a name and an extract(html, $) function");
+  }
+  return extractor;
+}
+
+// Named page-extraction strategies, tried in order. An extractor returns a details object,
+// or null when the page has nothing it can read; throwing counts as null. The first result
+// wins, and fields it left empty are filled from later extractors. Each record gets
+//
+//   _source: { strategy: "preload", filled: { weight: "next-data" } }
+//
+// Extractors flagged `partial` guess from loose markup (the visible-text fallback): they
+// answer when nothing better can read the page, but never fill another strategy's gaps.
+function createExtractorRegistry(extractors = []) {
+  let list = [];
+
+  const registry = {
+    names() {
+      return list.map((e) => e.name);
+    },
+    get(name) {
+      return list.find((e) => e.name === name) || null;
+    },
+    // Adds an extractor at the end, or ahead of `before`; an existing one with the same name is replaced
+    register(extractor, { before = null } = {}) {
+      checkExtractor(extractor);
+      list = list.filter((e) => e.name !== extractor.name);
+      const at = before ? list.findIndex((e) => e.name === before) : -1;
+      if (before && at === -1) throw new Error(`Unknown extractor ${before}; registered: ${registry.names().join(", ")}`);
+      list.splice(at === -1 ? list.length : at, 0, extractor);
+      return registry;
+    },
+    // Keeps only the named extractors, in the given order
+    order(names) {
+      const unknown = names.filter((name) => !registry.get(name));
+      if (unknown.length) throw new Error(`Unknown extractor ${unknown.join(", ")}; registered: ${registry.names().join(", ")}`);
+      list = names.map((name) => registry.get(name));
+      return registry;
+    },
+    extract(html, ...context) {
+      let result = null;
+      const filled = {};
+      for (const extractor of list) {
+        if (result && !Object.values(result).some(isMissing)) break;
+        if (result && extractor.partial) continue;
+        let details = null;
+        try {
+          details = extractor.extract(html, ...context);
+        } catch (_e) {
+          // Markup this strategy cannot parse; the next one may
+        }
+        if (!details) continue;
+        if (!result) {
+          result = { ...details };
+          result._source = { strategy: extractor.name, filled };
+          continue;
+        }
+        for (const [key, value] of Object.entries(details)) {
+          if (isMissing(result[key]) && !isMissing(value)) {
+            result[key] = value;
+            filled[key] = extractor.name;
+          }
+        }
+      }
+      if (!result) throw new Error(`No extractor could read the page (tried ${registry.names().join(", ")})`);
+      return result;
+    },
+  };
+
+  extractors.forEach((e) => registry.register(e));
+  return registry;
+}
+
+// --extractor <module>: a module exporting one extractor or an array of them
+function loadExtractorModule(file) {
+  const exported = require(path.resolve(file));
+  return (Array.isArray(exported) ? exported : [exported]).map(checkExtractor);
+}
+
+// Which strategy produced each record this run, to spot BGG markup drift early
+function createExtractionStats() {
+  const byStrategy = new Map();
+  let filledRecords = 0;
+  return {
+    byStrategy,
+    record(details) {
+      const source = details && details._source;
+      if (!source) return;
+      byStrategy.set(source.strategy, (byStrategy.get(source.strategy) || 0) + 1);
+      if (source.filled && Object.keys(source.filled).length) filledRecords += 1;
+    },
+    get filledRecords() {
+      return filledRecords;
+    },
+    // "231 preload, 15 next-data, 4 text-fallback; 6 records had fields filled in by a fallback"
+    format() {
+      if (!byStrategy.size) return "no records extracted";
+      const counts = Array.from(byStrategy).sort((a, b) => b[1] - a[1]).map(([name, count]) => `${count} ${name}`).join(", ");
+      return filledRecords ? `${counts}; ${filledRecords} ${filledRecords === 1 ? "record" : "records"} had fields filled in by a fallback` : counts;
+    },
+  };
+}
+
+module.exports = {
+  isMissing,
+  createExtractorRegistry,
+  loadExtractorModule,
+  createExtractionStats,
+};
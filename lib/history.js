@@ -0,0 +1,139 @@
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { extractGameId } = require("./xmlapi");
+
+const MANIFEST_FILE = "index.json";
+
+// Games are matched across snapshots by BGG id, falling back to the title for odd urls
+function gameKey(game) {
+  return extractGameId(game.url) || `title:${game.title}`;
+}
+
+function snapshotFileName(date) {
+  // 2026-10-19T08:30:00.000Z -> boardgames-2026-10-19T08-30-00Z.json
+  const stamp = date.toISOString().replace(/\.\d{3}Z$/, "Z").replace(/:/g, "-");
+  return `boardgames-${stamp}.json`;
+}
+
+// Identifies a list's content, so snapshots can be told apart by reading the manifest alone
+function datasetHash(games) {
+  return crypto.createHash("sha1").update(JSON.stringify(games)).digest("hex").slice(0, 16);
+}
+
+function readManifest(historyDir) {
+  const manifestPath = path.join(historyDir, MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) return [];
+  const entries = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  return Array.isArray(entries) ? entries : [];
+}
+
+function saveSnapshot(historyDir, games, date = new Date()) {
+  fs.mkdirSync(historyDir, { recursive: true });
+  const file = snapshotFileName(date);
+  fs.writeFileSync(path.join(historyDir, file), JSON.stringify(games, null, 2), "utf8");
+  // The manifest lets the static viewer discover snapshots without a directory listing
+  const entries = readManifest(historyDir).filter((e) => e.file !== file);
+  entries.push({ file, taken_at: date.toISOString(), count: games.length, hash: datasetHash(games) });
+  entries.sort((a, b) => a.taken_at.localeCompare(b.taken_at));
+  fs.writeFileSync(path.join(historyDir, MANIFEST_FILE), JSON.stringify(entries, null, 2), "utf8");
+  return path.join(historyDir, file);
+}
+
+function loadSnapshot(filePath) {
+  const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  if (!Array.isArray(data)) throw new Error(`${filePath} is not a snapshot (expected an array of games)`);
+  return data;
+}
+
+// The two newest snapshots, oldest first
+function latestSnapshotPaths(historyDir) {
+  const entries = readManifest(historyDir);
+  if (entries.length < 2) throw new Error(`Need at least two snapshots in ${historyDir} to diff`);
+  return entries.slice(-2).map((e) => path.join(historyDir, e.file));
+}
+
+function numberDelta(before, after, decimals) {
+  if (before == null || after == null) return null;
+  const factor = 10 ** decimals;
+  return Math.round((after - before) * factor) / factor;
+}
+
+function diffSnapshots(previous, current) {
+  const previousByKey = new Map(previous.map((g) => [gameKey(g), g]));
+  const currentKeys = new Set(current.map(gameKey));
+
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+  for (const game of current) {
+    const before = previousByKey.get(gameKey(game));
+    if (!before) {
+      added.push({ rank: game.rank, title: game.title, year: game.year ?? null, url: game.url ?? null });
+      continue;
+    }
+    const entry = {
+      title: game.title,
+      url: game.url ?? null,
+      from: before.rank,
+      to: game.rank,
+      // Positive means the game climbed
+      rank_delta: before.rank - game.rank,
+      geek_rating_delta: numberDelta(before.geek_rating, game.geek_rating, 3),
+      avg_rating_delta: numberDelta(before.avg_rating, game.avg_rating, 2),
+      num_voters_delta: numberDelta(before.num_voters, game.num_voters, 0),
+    };
+    const moved = entry.rank_delta !== 0;
+    const rated = [entry.geek_rating_delta, entry.avg_rating_delta, entry.num_voters_delta].some((d) => d != null && d !== 0);
+    if (moved || rated) changed.push(entry);
+    else unchanged += 1;
+  }
+  const dropped = previous
+    .filter((g) => !currentKeys.has(gameKey(g)))
+    .map((g) => ({ rank: g.rank, title: g.title, year: g.year ?? null, url: g.url ?? null }));
+
+  changed.sort((a, b) => Math.abs(b.rank_delta) - Math.abs(a.rank_delta) || a.to - b.to);
+  return { added, dropped, changed, unchanged };
+}
+
+function signed(value) {
+  if (value == null) return "n/a";
+  return value > 0 ? `+${value}` : String(value);
+}
+
+function movementLabel(delta) {
+  if (delta > 0) return `▲${delta}`;
+  if (delta < 0) return `▼${-delta}`;
+  return "=";
+}
+
+function formatDiff(diff, { previousLabel, currentLabel }) {
+  const lines = [`Comparing ${previousLabel} → ${currentLabel}`, ""];
+  lines.push(`New entries (${diff.added.length}):`);
+  diff.added.forEach((g) => lines.push(`  NEW  #${g.rank} ${g.title}${g.year ? ` (${g.year})` : ""}`));
+  lines.push("", `Dropped out (${diff.dropped.length}):`);
+  diff.dropped.forEach((g) => lines.push(`  OUT  ${g.title} (was #${g.rank})`));
+  lines.push("", `Changed (${diff.changed.length}, ${diff.unchanged} unchanged):`);
+  diff.changed.forEach((g) => {
+    lines.push(
+      `  ${movementLabel(g.rank_delta).padEnd(5)} #${g.from} → #${g.to} ${g.title}` +
+        `  geek ${signed(g.geek_rating_delta)}, avg ${signed(g.avg_rating_delta)}, voters ${signed(g.num_voters_delta)}`
+    );
+  });
+  return `${lines.join("\n")}\n`;
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  gameKey,
+  datasetHash,
+  snapshotFileName,
+  readManifest,
+  saveSnapshot,
+  loadSnapshot,
+  latestSnapshotPaths,
+  diffSnapshots,
+  formatDiff,
+};
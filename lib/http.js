@@ -0,0 +1,119 @@
+"use strict";
+
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+const MAX_RETRY_AFTER_MS = 5 * 60 * 1000;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Token bucket: `burst` requests may go out at once, then one every 1000 / ratePerSec ms
+function createRateLimiter({ ratePerSec, burst = 1, now = Date.now }) {
+  if (!(ratePerSec > 0)) throw new Error("ratePerSec must be a positive number");
+  const capacity = Math.max(1, Math.floor(burst));
+  const intervalMs = 1000 / ratePerSec;
+  let tokens = capacity;
+  let updatedAt = now();
+  let queue = Promise.resolve();
+
+  function refill() {
+    const current = now();
+    tokens = Math.min(capacity, tokens + (current - updatedAt) / intervalMs);
+    updatedAt = current;
+  }
+
+  async function take() {
+    refill();
+    if (tokens < 1) {
+      await sleep(Math.ceil((1 - tokens) * intervalMs));
+      refill();
+    }
+    tokens -= 1;
+  }
+
+  return {
+    ratePerSec,
+    burst: capacity,
+    // Callers are served in arrival order so no worker starves
+    acquire() {
+      const turn = queue.then(take);
+      queue = turn.catch(() => {});
+      return turn;
+    },
+  };
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === "") return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - now);
+}
+
+// "Full jitter": a random wait between 0 and the exponential ceiling
+function backoffDelay(attempt, { baseDelayMs = 500, maxDelayMs = 30000, random = Math.random } = {}) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(random() * ceiling);
+}
+
+function isRetryable(error) {
+  const status = error?.response?.status;
+  if (status === undefined) return error?.code !== "ECACHEMISS";
+  return RETRYABLE_STATUSES.has(status);
+}
+
+function retryDelay(error, attempt, options) {
+  const status = error?.response?.status;
+  if (status === 429 || status === 503) {
+    const headers = error.response.headers || {};
+    const retryAfter = parseRetryAfter(headers["retry-after"] ?? headers["Retry-After"]);
+    if (retryAfter !== null) return Math.min(retryAfter, MAX_RETRY_AFTER_MS);
+  }
+  return backoffDelay(attempt, options);
+}
+
+async function withRetry(fn, { attempts = 4, baseDelayMs = 500, maxDelayMs = 30000, random, onRetry } = {}) {
+  let lastError = null;
+  for (let attempt = 1; attempt <= attempts; attempt += 1) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      lastError = error;
+      if (attempt === attempts || !isRetryable(error)) break;
+      const delay = retryDelay(error, attempt, { baseDelayMs, maxDelayMs, random });
+      if (onRetry) onRetry(error, attempt, delay);
+      await sleep(delay);
+    }
+  }
+  throw lastError;
+}
+
+// Runs `worker` over `items` with at most `concurrency` in flight; results keep input order
+async function runPool(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function lane() {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      results[index] = await worker(items[index], index);
+    }
+  }
+  const lanes = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, lane);
+  await Promise.all(lanes);
+  return results;
+}
+
+module.exports = {
+  sleep,
+  createRateLimiter,
+  parseRetryAfter,
+  backoffDelay,
+  isRetryable,
+  retryDelay,
+  withRetry,
+  runPool,
+};
@@ -0,0 +1,58 @@
+/* global window */
+// Cover image references, shared by the exporters and the viewer.
+// Kept free of requires so the browser can load it with a plain <script> tag.
+//
+//   image         the browse listing's 64×64 "micro" hotlink
+//   image_remote  bigger variants from the XML API: { thumb, original }
+//   image_local   files saved by `--download-images`, by variant, relative to the dataset
+//
+// Datasets scraped before images could be mirrored stored `image` as "@https://…". That
+// prefix is read here and nowhere else, and is no longer written.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.BGGImages = factory();
+})(typeof window !== "undefined" ? window : this, function () {
+  "use strict";
+
+  // Nominal widths for srcset: BGG thumbs fit in 200×150 and originals are rarely under 1000px
+  const IMAGE_VARIANTS = { micro: 64, thumb: 200, original: 1024 };
+
+  function remoteImage(value) {
+    if (!value) return null;
+    const text = String(value);
+    return text.startsWith("@") ? text.slice(1) : text;
+  }
+
+  function knownVariants(files) {
+    const variants = {};
+    for (const [variant, url] of Object.entries(files || {})) {
+      if (IMAGE_VARIANTS[variant] && url) variants[variant] = url;
+    }
+    return variants;
+  }
+
+  // Every remote variant of a game's cover, micro included
+  function remoteVariants(game) {
+    const micro = remoteImage(game.image);
+    return { ...(micro ? { micro } : {}), ...knownVariants(game.image_remote) };
+  }
+
+  // { src, srcset } for an <img>, smallest variant first; null when the game has no image.
+  // Local files win whenever there are any, so a mirrored dataset also works offline.
+  function imageSources(game) {
+    const local = knownVariants(game.image_local);
+    const files = Object.keys(local).length ? local : remoteVariants(game);
+    const variants = Object.keys(files).sort((a, b) => IMAGE_VARIANTS[a] - IMAGE_VARIANTS[b]);
+    if (!variants.length) return null;
+    // A comma inside a URL would split the srcset candidate
+    const srcset = variants.map((v) => `${files[v].replace(/,/g, "%2C")} ${IMAGE_VARIANTS[v]}w`).join(", ");
+    return { src: files[variants[variants.length - 1]], srcset };
+  }
+
+  return {
+    IMAGE_VARIANTS,
+    remoteImage,
+    remoteVariants,
+    imageSources,
+  };
+});
@@ -0,0 +1,97 @@
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+const { withRetry, runPool } = require("./http");
+const { IMAGE_VARIANTS, remoteVariants } = require("./imageref");
+
+const DEFAULT_IMAGE_SIZE = "thumb";
+const IMAGE_SIZES = Object.keys(IMAGE_VARIANTS);
+// Remote URL -> saved file name, so later runs only fetch covers they have not seen
+const MANIFEST_FILE = "index.json";
+const EXTENSIONS = { "image/jpeg": ".jpg", "image/png": ".png", "image/gif": ".gif", "image/webp": ".webp", "image/avif": ".avif" };
+
+function extensionFor(url, contentType) {
+  const type = String(contentType || "").split(";")[0].trim().toLowerCase();
+  if (EXTENSIONS[type]) return EXTENSIONS[type];
+  const ext = path.extname(new URL(url).pathname).toLowerCase();
+  return ext === ".jpeg" ? ".jpg" : Object.values(EXTENSIONS).includes(ext) ? ext : ".jpg";
+}
+
+// Named by content, so a cover that changes gets a new name and identical files are stored once
+function contentFileName(data, url, contentType) {
+  const hash = crypto.createHash("sha256").update(data).digest("hex").slice(0, 16);
+  return `${hash}${extensionFor(url, contentType)}`;
+}
+
+function readManifest(dir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, MANIFEST_FILE), "utf8"));
+  } catch (_e) {
+    return {};
+  }
+}
+
+async function fetchImage(url, { limiter = null, attempts = 4, onRetry } = {}) {
+  const response = await withRetry(async () => {
+    if (limiter) await limiter.acquire();
+    return axios.get(url, { responseType: "arraybuffer" });
+  }, { attempts, onRetry });
+  return { data: Buffer.from(response.data), contentType: response.headers["content-type"] };
+}
+
+// Saves each game's micro cover (1x in the table) and the `size` variant into `dir` and
+// sets game.image_local to their paths relative to `baseDir`, the dataset's directory.
+// Games enriched through the HTML backend have no image_remote and only get the micro.
+async function mirrorImages(games, { dir, baseDir, size = DEFAULT_IMAGE_SIZE, limiter = null, concurrency = 1, offline = false, onRetry } = {}) {
+  if (!IMAGE_SIZES.includes(size)) throw new Error(`Unknown image size ${size}; expected one of: ${IMAGE_SIZES.join(", ")}`);
+  fs.mkdirSync(dir, { recursive: true });
+  const manifest = readManifest(dir);
+  const variants = size === "micro" ? ["micro"] : ["micro", size];
+  const relative = (name) => path.relative(baseDir, path.join(dir, name)).split(path.sep).join("/");
+  const summary = { downloaded: 0, reused: 0, missing: 0, failures: [] };
+
+  await runPool(games, concurrency, async (game) => {
+    const remote = remoteVariants(game);
+    const local = {};
+    for (const variant of variants) {
+      const url = remote[variant];
+      const saved = url && manifest[url];
+      if (saved && fs.existsSync(path.join(dir, saved))) {
+        local[variant] = relative(saved);
+        summary.reused += 1;
+        continue;
+      }
+      if (!url || offline) {
+        summary.missing += 1;
+        continue;
+      }
+      try {
+        const { data, contentType } = await fetchImage(url, { limiter, onRetry: onRetry && onRetry(url) });
+        const name = contentFileName(data, url, contentType);
+        const filePath = path.join(dir, name);
+        if (!fs.existsSync(filePath)) fs.writeFileSync(filePath, data);
+        manifest[url] = name;
+        local[variant] = relative(name);
+        summary.downloaded += 1;
+      } catch (e) {
+        summary.failures.push({ rank: game.rank, title: game.title, url, error: e.message });
+      }
+    }
+    game.image_local = Object.keys(local).length ? local : null;
+  });
+
+  fs.writeFileSync(path.join(dir, MANIFEST_FILE), `${JSON.stringify(manifest, null, 2)}\n`);
+  return summary;
+}
+
+module.exports = {
+  DEFAULT_IMAGE_SIZE,
+  IMAGE_SIZES,
+  MANIFEST_FILE,
+  extensionFor,
+  contentFileName,
+  mirrorImages,
+};
@@ -0,0 +1,79 @@
+"use strict";
+
+const { gameKey } = require("./history");
+const { COLLECTION_FIELDS } = require("./collection");
+
+const DEFAULT_MAX_AGE = "30d";
+const UNIT_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+// Everything the browse listing provides on every run; the rest of a saved record came from enrichment
+const LISTING_FIELDS = ["rank", "source", "list_rank", "subdomain_rank", "title", "year", "image", "url", "geek_rating", "avg_rating", "num_voters", "scraped_at"];
+// Set by --collection and --download-images rather than by enrichment. A run that does not
+// re-derive them carries them over from the previous output (see carriedFields).
+const DERIVED_FIELDS = [...COLLECTION_FIELDS, "image_local"];
+
+// "30d", "12h", "90m", "2w" or a bare number of days -> milliseconds
+function parseMaxAge(text) {
+  const match = String(text).trim().match(/^(\d+(?:\.\d+)?)\s*([smhdw]?)$/i);
+  if (!match) throw new Error(`--max-age must look like 30d, 12h or 90m, got "${text}"`);
+  return Number(match[1]) * UNIT_MS[(match[2] || "d").toLowerCase()];
+}
+
+function enrichmentFields(record) {
+  const fields = {};
+  for (const [key, value] of Object.entries(record)) {
+    if (!LISTING_FIELDS.includes(key) && !DERIVED_FIELDS.includes(key)) fields[key] = value;
+  }
+  return fields;
+}
+
+// The derived fields a run keeps from the previous output: those it does not set itself
+function carriedFields({ collection = false, downloadImages = false } = {}) {
+  return DERIVED_FIELDS.filter((key) => (COLLECTION_FIELDS.includes(key) ? !collection : !downloadImages));
+}
+
+// Whether a record's details were fetched no more than maxAgeMs ago
+function isFresh(record, maxAgeMs, now = Date.now()) {
+  const enrichedAt = Date.parse(record.enriched_at);
+  return Number.isFinite(enrichedAt) && now - enrichedAt <= maxAgeMs;
+}
+
+// Copies the saved details (and their enriched_at) onto freshly listed games that were in
+// `previous`, along with the derived fields named in `carry`, and returns the games that
+// still need fetching: new entrants, and records never enriched or enriched more than
+// maxAgeMs ago. Stale games keep their old details until the refetch succeeds, so a failed
+// request never blanks a record.
+function planRefresh(games, previous, { maxAgeMs, now = Date.now(), carry = DERIVED_FIELDS }) {
+  const saved = new Map(previous.map((g) => [gameKey(g), g]));
+  const pending = [];
+  const plan = { pending, reused: 0, stale: 0, added: 0 };
+  for (const game of games) {
+    const old = saved.get(gameKey(game));
+    if (!old) {
+      plan.added += 1;
+      pending.push(game);
+      continue;
+    }
+    Object.assign(game, enrichmentFields(old));
+    for (const key of carry) {
+      if (key in old) game[key] = old[key];
+    }
+    if (isFresh(old, maxAgeMs, now)) {
+      plan.reused += 1;
+    } else {
+      plan.stale += 1;
+      pending.push(game);
+    }
+  }
+  return plan;
+}
+
+module.exports = {
+  DEFAULT_MAX_AGE,
+  LISTING_FIELDS,
+  DERIVED_FIELDS,
+  parseMaxAge,
+  enrichmentFields,
+  carriedFields,
+  isFresh,
+  planRefresh,
+};
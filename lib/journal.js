@@ -0,0 +1,55 @@
+"use strict";
+
+const fs = require("fs");
+
+// Append-only NDJSON log of a scrape in progress: one "listing" line once pagination
+// finishes, then one "details" line per enriched game. --resume replays it.
+function readEntries(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+  const entries = [];
+  for (const line of fs.readFileSync(filePath, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (_e) {
+      // An interrupted run can leave a partial last line; everything before it is still valid
+    }
+  }
+  return entries;
+}
+
+function createJournal(filePath, { resume = false } = {}) {
+  let listing = null;
+  const details = new Map();
+  if (resume) {
+    for (const entry of readEntries(filePath)) {
+      if (entry.type === "listing" && Array.isArray(entry.games)) listing = entry.games;
+      else if (entry.type === "details" && entry.key) details.set(entry.key, entry.details);
+    }
+  } else if (fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+
+  function append(entry) {
+    fs.appendFileSync(filePath, `${JSON.stringify(entry)}\n`, "utf8");
+  }
+
+  return {
+    path: filePath,
+    listing,
+    details,
+    recordListing(games) {
+      listing = games;
+      append({ type: "listing", games });
+    },
+    recordDetails(key, gameDetails) {
+      details.set(key, gameDetails);
+      append({ type: "details", key, details: gameDetails });
+    },
+    remove() {
+      if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    },
+  };
+}
+
+module.exports = { createJournal, readEntries };
@@ -0,0 +1,51 @@
+"use strict";
+
+const LOG_FORMATS = ["text", "json"];
+const LOG_LEVELS = ["debug", "info", "warn", "error"];
+
+function fieldValue(value) {
+  return value instanceof Error ? value.message : value;
+}
+
+// Leveled logger for the CLI. Debug and info go to stdout, warn and error to stderr, as the
+// scraper always printed them. "text" writes the message alone; "json" writes one object
+// per line for log collectors:
+//
+//   {"time":"2024-05-01T12:00:00.000Z","level":"info","msg":"Scraped page 2","page":2,"total":200}
+//
+// Fields are structured context; text output leaves them out, so put anything a reader
+// needs into the message too.
+function createLogger({ format = "text", level = "info", stdout = process.stdout, stderr = process.stderr, now = () => new Date() } = {}) {
+  if (!LOG_FORMATS.includes(format)) throw new Error(`--log-format must be one of: ${LOG_FORMATS.join(", ")}`);
+  if (!LOG_LEVELS.includes(level)) throw new Error(`--log-level must be one of: ${LOG_LEVELS.join(", ")}`);
+  const threshold = LOG_LEVELS.indexOf(level);
+
+  function write(entryLevel, msg, fields = {}) {
+    if (LOG_LEVELS.indexOf(entryLevel) < threshold) return;
+    const stream = entryLevel === "warn" || entryLevel === "error" ? stderr : stdout;
+    if (format === "text") {
+      stream.write(msg.endsWith("\n") ? msg : `${msg}\n`);
+      return;
+    }
+    const entry = { time: now().toISOString(), level: entryLevel, msg: msg.trimEnd() };
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined) entry[key] = fieldValue(value);
+    }
+    stream.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  return {
+    format,
+    level,
+    debug: (msg, fields) => write("debug", msg, fields),
+    info: (msg, fields) => write("info", msg, fields),
+    warn: (msg, fields) => write("warn", msg, fields),
+    error: (msg, fields) => write("error", msg, fields),
+  };
+}
+
+module.exports = {
+  LOG_FORMATS,
+  LOG_LEVELS,
+  createLogger,
+};
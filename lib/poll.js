@@ -0,0 +1,69 @@
+"use strict";
+
+// BGG's "suggested number of players" poll, kept as one row per player count:
+//   { players: 4, best: 1010, recommended: 220, not_recommended: 20 }
+// The extra "N+" row BGG adds past the box maximum keeps N and sets `plus: true`.
+
+const VOTE_KEYS = { best: "best", recommended: "recommended", "not recommended": "not_recommended" };
+
+// `votes` maps BGG's result labels ("Best", "Recommended", "Not Recommended") to counts
+function pollRow(numplayers, votes) {
+  const label = String(numplayers ?? "").trim();
+  const players = Number(label.match(/\d+/)?.[0]);
+  if (!players) return null;
+  const row = { players, best: 0, recommended: 0, not_recommended: 0 };
+  if (label.endsWith("+")) row.plus = true;
+  for (const [value, count] of Object.entries(votes)) {
+    const key = VOTE_KEYS[String(value).trim().toLowerCase()];
+    if (key) row[key] = Number(count) || 0;
+  }
+  return row;
+}
+
+// Best when Best outpolls both other options, as BGG's own summary does
+function bestFromPoll(poll) {
+  return poll
+    .filter((r) => !r.plus && r.best > 0 && r.best >= r.recommended && r.best >= r.not_recommended)
+    .map((r) => r.players);
+}
+
+// Recommended when Best and Recommended together outvote Not Recommended
+function recommendedFromPoll(poll) {
+  return poll.filter((r) => !r.plus && r.best + r.recommended > r.not_recommended).map((r) => r.players);
+}
+
+// [{ min: 2, max: 4 }] -> [2, 3, 4]
+function expandRanges(ranges) {
+  const counts = new Set();
+  for (const r of ranges || []) {
+    const min = Number(r?.min);
+    const max = Number(r?.max ?? r?.min);
+    if (!Number.isInteger(min) || !Number.isInteger(max) || min < 1) continue;
+    for (let n = min; n <= max; n += 1) counts.add(n);
+  }
+  return Array.from(counts).sort((a, b) => a - b);
+}
+
+// The player-count fields of a game record. Pass the full `poll` when the source has vote
+// counts, otherwise whichever `best`/`recommended` count lists it does have; null means unknown.
+function playerCountFields({ poll = null, best = null, recommended = null } = {}) {
+  const rows = Array.isArray(poll) ? poll.filter(Boolean).sort((a, b) => a.players - b.players) : [];
+  const voted = rows.some((r) => r.best + r.recommended + r.not_recommended > 0);
+  const bestPlayers = voted ? bestFromPoll(rows) : best && best.length ? best : null;
+  const recommendedPlayers = voted ? recommendedFromPoll(rows) : recommended && recommended.length ? recommended : null;
+  return {
+    min_best_players: bestPlayers && bestPlayers.length ? Math.min(...bestPlayers) : null,
+    max_best_players: bestPlayers && bestPlayers.length ? Math.max(...bestPlayers) : null,
+    best_players: bestPlayers,
+    recommended_players: recommendedPlayers,
+    player_poll: voted ? rows : null,
+  };
+}
+
+module.exports = {
+  pollRow,
+  bestFromPoll,
+  recommendedFromPoll,
+  expandRanges,
+  playerCountFields,
+};
@@ -0,0 +1,623 @@
+/* global window */
+// Filtering, search and sorting over a dataset, shared by the viewer and the API server so
+// a viewer link and an /api/games request with the same query string return the same games.
+// Kept free of requires so the browser can load it with a plain <script> tag.
+//
+// A filter set is a plain object (see defaultFilters) and round-trips through the query
+// string the viewer keeps in its address bar, e.g.
+//
+//   ?sort=weight:desc&q=rosenberg&players=2-2&time=-90&mechanics=Deck+Building&not-categories=Wargame
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.BGGQuery = factory();
+})(typeof window !== "undefined" ? window : this, function () {
+  "use strict";
+
+  const NUMBER_FIELDS = new Set([
+    "rank", "year", "geek_rating", "avg_rating", "num_voters", "min_players", "max_players", "min_best_players", "max_best_players",
+    "min_playing_time", "max_playing_time", "weight", "min_age", "rank_delta", "my_rating", "num_plays", "subdomain_rank", "list_rank",
+  ]);
+  const DEFAULT_SORT = { sortKey: "rank", sortDir: "asc" };
+  const SORT_DIRS = ["asc", "desc"];
+  // Every column the viewer can sort by
+  const SORT_KEYS = new Set([
+    ...NUMBER_FIELDS, "title", "best_players", "recommended_players", "mechanics", "categories", "designers", "artists", "publishers",
+  ]);
+  // Columns that read best first in ascending order; every other column starts highest first
+  const ASCENDING_SORT_KEYS = new Set(["rank", "subdomain_rank", "list_rank", "title"]);
+
+  // Numeric range filters. Each game is reduced to a [minKey, maxKey] range (a single field
+  // uses the same key twice) and compared against the selection with the chosen mode:
+  //   overlap  part of the game's range is in the selection (plays with some of 3–5 players)
+  //   contains the game's range covers the whole selection (plays with exactly 3: 3–3)
+  //   within   the whole game range is inside the selection (finishes within 60–90 minutes)
+  // An open end (lo or hi null) is unbounded; in contains mode it takes the other end's
+  // value, so players 3– means "plays with 3". Games missing both fields are unknown and
+  // pass only when the filter's `unknown` flag is set. Adding a numeric field is one entry
+  // here; the viewer builds its sliders from this list.
+  const RANGE_FILTERS = [
+    { id: "players", label: "Players", minKey: "min_players", maxKey: "max_players", step: 1, cap: 12, mode: "contains" },
+    { id: "time", label: "Playing time", minKey: "min_playing_time", maxKey: "max_playing_time", step: 15, cap: 360, unit: "min", mode: "within" },
+    { id: "weight", label: "Weight", minKey: "weight", maxKey: "weight", step: 0.1, decimals: 1 },
+    { id: "age", label: "Min age", minKey: "min_age", maxKey: "min_age", step: 1 },
+    { id: "year", label: "Year", minKey: "year", maxKey: "year", step: 1 },
+    { id: "rating", label: "Avg rating", minKey: "avg_rating", maxKey: "avg_rating", step: 0.1, decimals: 1 },
+  ];
+  const RANGE_MODES = ["overlap", "contains", "within"];
+
+  // One-click filters over the collection fields merged in by `--collection`
+  const QUICK_FILTERS = [
+    { key: "owned", label: "Owned", test: (g) => g.owned === true },
+    { key: "wishlist", label: "Wishlist", test: (g) => g.wishlist === true },
+    { key: "unplayed", label: "Unplayed", test: (g) => g.num_plays === 0 },
+  ];
+
+  // Multi-valued fields with a free-text filter: any value containing the text matches
+  const TAG_FIELDS = ["publishers", "artists"];
+  // Multi-valued fields filtered by exact values to include or exclude
+  const FACET_FIELDS = ["mechanics", "categories", "designers"];
+
+  // One collator for every comparison; localeCompare with options rebuilds it per call
+  const collator = new Intl.Collator(undefined, { sensitivity: "base", numeric: true });
+
+  // Letters NFD does not decompose into a base letter plus accent
+  const FOLDED_LETTERS = { "ø": "o", "æ": "ae", "œ": "oe", "ł": "l", "đ": "d", "ß": "ss", "þ": "th", "ı": "i" };
+
+  // Lowercase, accent-free text: "Bohnanza Édition" -> "bohnanza edition"
+  function foldText(text) {
+    return String(text).normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase()
+      .replace(/[øæœłđßþı]/g, (c) => FOLDED_LETTERS[c]);
+  }
+
+  // Folded text plus, for each of its characters, the index it came from in the original,
+  // so matches found in the folded title can be highlighted in the displayed one
+  function foldWithMap(text) {
+    let folded = "";
+    const map = [];
+    for (let i = 0; i < text.length; i++) {
+      for (const c of foldText(text[i])) {
+        folded += c;
+        map.push(i);
+      }
+    }
+    return { folded, map };
+  }
+
+  // ---- Search query language ----
+  //
+  //   terraforming mars      bare words match the title, forgiving a typo or two
+  //   "ticket to ride"       quoted phrases must appear as written (accents and case aside)
+  //   -expansion  -"legacy"  a leading minus excludes games that match
+  //   weight>3  year>=2020   any numeric field with :, =, >, >=, < or <=
+  //   year:2020..2023        inclusive ranges; either end may be left open (rank:..50)
+  //   weight:3               equality rounds to the digits given: 2.5 <= weight < 3.5
+  //   players:2  time<=60    spans (min–max) match when any value in them fits
+  //   designer:rosenberg     text fields match anywhere in any of their values
+  //
+  // Tokens that don't parse as a qualifier are searched for as plain words.
+  const FIELD_ALIASES = {
+    players: { range: ["min_players", "max_players"] },
+    time: { range: ["min_playing_time", "max_playing_time"] },
+    best: { list: "best_players" },
+    age: { key: "min_age" },
+    rating: { key: "avg_rating" },
+    geek: { key: "geek_rating" },
+    votes: { key: "num_voters" },
+    move: { key: "rank_delta" },
+    mine: { key: "my_rating" },
+    plays: { key: "num_plays" },
+  };
+  const TEXT_FIELDS = {
+    title: "title", designer: "designers", artist: "artists", publisher: "publishers", mechanic: "mechanics", category: "categories",
+  };
+  const QUERY_TOKEN = /(-)?(?:([a-z_]+)(>=|<=|:|=|>|<))?(?:"([^"]*)"?|(\S+))/gi;
+
+  // Folded title and tag values per game, built on first use so filtering never folds in the loop
+  const searchKeys = new WeakMap();
+
+  function searchKey(game) {
+    let key = searchKeys.get(game);
+    if (key) return key;
+    const { folded, map } = foldWithMap(String(game.title || ""));
+    const words = [];
+    for (const m of folded.matchAll(/[\p{L}\p{N}]+/gu)) words.push({ text: m[0], start: m.index, end: m.index + m[0].length });
+    const tags = {};
+    for (const field of Object.values(TEXT_FIELDS)) {
+      if (field !== "title") tags[field] = Array.isArray(game[field]) ? game[field].map(foldText) : [];
+    }
+    key = { title: folded, map, words, year: game.year ? String(game.year) : "", tags };
+    searchKeys.set(game, key);
+    return key;
+  }
+
+  // Builds every game's search key up front, e.g. right after a dataset loads
+  function indexGames(games) {
+    for (const g of games) searchKey(g);
+    return games;
+  }
+
+  function numericField(name) {
+    if (NUMBER_FIELDS.has(name)) return { key: name };
+    return FIELD_ALIASES[name] || null;
+  }
+
+  // The set of numbers a qualifier accepts, as an interval; null when the value isn't a number
+  function parseInterval(op, value) {
+    const range = value.match(/^(-?[\d.]*)\.\.(-?[\d.]*)$/);
+    if (range && (op === ":" || op === "=")) {
+      const min = range[1] === "" ? -Infinity : Number(range[1]);
+      const max = range[2] === "" ? Infinity : Number(range[2]);
+      if (Number.isNaN(min) || Number.isNaN(max) || (range[1] === "" && range[2] === "")) return null;
+      return { min: Math.min(min, max), max: Math.max(min, max) };
+    }
+    if (!/^-?\d+(\.\d+)?$|^-?\.\d+$/.test(value)) return null;
+    const n = Number(value);
+    if (op === ">") return { min: n, max: Infinity, minOpen: true };
+    if (op === ">=") return { min: n, max: Infinity };
+    if (op === "<") return { min: -Infinity, max: n, maxOpen: true };
+    if (op === "<=") return { min: -Infinity, max: n };
+    const half = 0.5 * 10 ** -((value.split(".")[1] || "").length);
+    return { min: n - half, max: n + half, maxOpen: true };
+  }
+
+  function inInterval(n, iv) {
+    return (iv.minOpen ? n > iv.min : n >= iv.min) && (iv.maxOpen ? n < iv.max : n <= iv.max);
+  }
+
+  function parseQuery(text) {
+    const terms = [];
+    for (const m of String(text).matchAll(QUERY_TOKEN)) {
+      const [raw, minus, rawField, op, phrase, word] = m;
+      const negate = Boolean(minus);
+      const value = phrase ?? word ?? "";
+      const field = rawField ? rawField.toLowerCase() : null;
+      if (field) {
+        const numeric = numericField(field);
+        const interval = numeric && phrase === undefined ? parseInterval(op, value) : null;
+        if (interval) {
+          terms.push({ type: "number", field: numeric, interval, negate });
+          continue;
+        }
+        if (TEXT_FIELDS[field] && (op === ":" || op === "=") && foldText(value).trim()) {
+          terms.push({ type: "text", key: TEXT_FIELDS[field], text: foldText(value).trim(), negate });
+          continue;
+        }
+      }
+      // Unknown fields and values that don't fit them are just more words to look for
+      const source = field ? raw.slice(negate ? 1 : 0) : value;
+      if (phrase !== undefined && !field) {
+        const text = foldText(phrase).replace(/\s+/g, " ").trim();
+        if (text) terms.push({ type: "phrase", text, negate });
+        continue;
+      }
+      for (const part of foldText(source).split(/[^\p{L}\p{N}]+/u)) {
+        if (part) terms.push({ type: "word", text: part, negate });
+      }
+    }
+    return terms;
+  }
+
+  // Optimal string alignment distance: Levenshtein plus swapped neighbours ("teh" -> "the")
+  function editDistance(a, b, limit) {
+    if (Math.abs(a.length - b.length) > limit) return limit + 1;
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const row = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+        if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d = Math.min(d, prevPrev[j - 2] + 1);
+        row.push(d);
+        rowMin = Math.min(rowMin, d);
+      }
+      if (rowMin > limit) return limit + 1;
+      prevPrev = prev;
+      prev = row;
+    }
+    return prev[b.length];
+  }
+
+  // Short words must match exactly; longer ones may carry one or two typos
+  function typoAllowance(word) {
+    if (word.length <= 4) return 0;
+    return word.length <= 8 ? 1 : 2;
+  }
+
+  // Where a bare word hits the title and how well: exact substrings beat typos, and
+  // matches at the start of a word (or of the title) beat ones in the middle
+  function matchWord(word, key) {
+    const at = key.title.indexOf(word);
+    if (at !== -1) {
+      const boundary = at === 0 || !/[\p{L}\p{N}]/u.test(key.title[at - 1]);
+      return { score: 3 + (boundary ? 1 : 0) + (at === 0 ? 1 : 0), spans: [[at, at + word.length]] };
+    }
+    const limit = typoAllowance(word);
+    let best = null;
+    for (const w of key.words) {
+      // Compare against the word's same-length prefix too, so half-typed words still match
+      const d = Math.min(
+        editDistance(word, w.text, limit),
+        w.text.length > word.length ? editDistance(word, w.text.slice(0, word.length), limit) : limit + 1
+      );
+      if (d <= limit && (!best || d < best.distance)) best = { distance: d, span: [w.start, w.end] };
+    }
+    if (best) return { score: 2 - best.distance * 0.5, spans: [best.span] };
+    if (key.year && key.year === word) return { score: 1, spans: [] };
+    return null;
+  }
+
+  // Older datasets only have the best range; every best count is also recommended
+  function playerCounts(game, mode) {
+    const list = mode === "recommended" ? game.recommended_players : game.best_players;
+    if (Array.isArray(list) && list.length) return list;
+    if (mode === "recommended" && Array.isArray(game.best_players) && game.best_players.length) return game.best_players;
+    if (typeof game.min_best_players !== "number") return [];
+    const counts = [];
+    for (let n = game.min_best_players; n <= (game.max_best_players ?? game.min_best_players); n += 1) counts.push(n);
+    return counts;
+  }
+
+  function matchNumber(game, term) {
+    const f = term.field;
+    if (f.key) return typeof game[f.key] === "number" && inInterval(game[f.key], term.interval);
+    if (f.list) return playerCounts(game, "best").some((n) => inInterval(n, term.interval));
+    const low = typeof game[f.range[0]] === "number" ? game[f.range[0]] : null;
+    const high = typeof game[f.range[1]] === "number" ? game[f.range[1]] : null;
+    if (low === null && high === null) return false;
+    const lo = low ?? high;
+    const hi = high ?? low;
+    const iv = term.interval;
+    // Some value in lo..hi lies inside the interval
+    return (iv.maxOpen ? lo < iv.max : lo <= iv.max) && (iv.minOpen ? hi > iv.min : hi >= iv.min);
+  }
+
+  function mergeSpans(spans) {
+    const merged = [];
+    for (const span of spans.sort((a, b) => a[0] - b[0])) {
+      const last = merged[merged.length - 1];
+      if (last && span[0] <= last[1]) last[1] = Math.max(last[1], span[1]);
+      else merged.push(span.slice());
+    }
+    return merged;
+  }
+
+  // Null when the game fails the query, otherwise its relevance and the title spans to highlight
+  function matchQuery(game, terms) {
+    const key = searchKey(game);
+    let score = 0;
+    const spans = [];
+    for (const term of terms) {
+      let hit;
+      if (term.type === "number") {
+        hit = matchNumber(game, term);
+      } else if (term.type === "text") {
+        hit = term.key === "title" ? key.title.includes(term.text) : key.tags[term.key].some((v) => v.includes(term.text));
+      } else if (term.type === "phrase") {
+        const at = key.title.indexOf(term.text);
+        hit = at !== -1;
+        if (hit && !term.negate) {
+          score += 4;
+          spans.push([at, at + term.text.length]);
+        }
+      } else if (term.negate) {
+        // Excluding is literal; a typo-tolerant "-war" would also drop "Star Wars" and "Wars of the Roses"
+        hit = key.title.includes(term.text) || key.year === term.text;
+      } else {
+        const match = matchWord(term.text, key);
+        hit = Boolean(match);
+        if (match) {
+          score += match.score;
+          spans.push(...match.spans);
+        }
+      }
+      if (hit === term.negate) return null;
+    }
+    return { score, spans: mergeSpans(spans.map(([s, e]) => [key.map[s], key.map[e - 1] + 1])) };
+  }
+
+  function gameRange(game, f) {
+    const low = typeof game[f.minKey] === "number" ? game[f.minKey] : null;
+    const high = typeof game[f.maxKey] === "number" ? game[f.maxKey] : null;
+    if (low === null && high === null) return null;
+    return [low ?? high, high ?? low];
+  }
+
+  // A slider's track: the whole-number extent of the data, clipped to the filter's cap
+  function rangeBounds(games, f) {
+    let lo = Infinity;
+    let hi = -Infinity;
+    for (const g of games) {
+      const range = gameRange(g, f);
+      if (!range) continue;
+      lo = Math.min(lo, range[0], range[1]);
+      hi = Math.max(hi, range[0], range[1]);
+    }
+    if (lo === Infinity) return { min: 0, max: f.cap ?? 0 };
+    const max = Math.ceil(hi);
+    return { min: Math.floor(lo), max: f.cap !== undefined ? Math.min(max, f.cap) : max };
+  }
+
+  function isRangeActive(r) {
+    return r.lo !== null || r.hi !== null;
+  }
+
+  function matchesRange(game, f, r) {
+    const range = gameRange(game, f);
+    if (!range) return r.unknown;
+    const [gLo, gHi] = range;
+    if (r.mode === "contains") {
+      const lo = r.lo ?? r.hi;
+      const hi = r.hi ?? r.lo;
+      return lo === null || (gLo <= lo && gHi >= hi);
+    }
+    const lo = r.lo ?? -Infinity;
+    const hi = r.hi ?? Infinity;
+    if (r.mode === "overlap") return gLo <= hi && gHi >= lo;
+    return gLo >= lo && gHi <= hi;
+  }
+
+  function matchesFacet(game, key, facet) {
+    if (!facet.include.length && !facet.exclude.length) return true;
+    const values = Array.isArray(game[key]) ? game[key] : [];
+    if (facet.exclude.some((v) => values.includes(v))) return false;
+    if (!facet.include.length) return true;
+    return facet.mode === "and"
+      ? facet.include.every((v) => values.includes(v))
+      : facet.include.some((v) => values.includes(v));
+  }
+
+  // Value counts for one facet, honouring every other facet's selection but not its own, so
+  // picking a value leaves its alternatives countable
+  function facetCounts(rows, key, facets) {
+    const counts = new Map();
+    for (const g of rows) {
+      if (!Array.isArray(g[key])) continue;
+      if (!FACET_FIELDS.every((other) => other === key || matchesFacet(g, other, facets[other]))) continue;
+      for (const v of g[key]) counts.set(v, (counts.get(v) || 0) + 1);
+    }
+    return counts;
+  }
+
+  // What a column sorts by: numbers stay numbers, lists join, missing values are ""
+  function sortValue(game, key) {
+    const value = game[key];
+    // New entries sort above the biggest climber
+    if (key === "rank_delta" && game.is_new) return Number.MAX_SAFE_INTEGER;
+    if (value === null || value === undefined) return "";
+    if (NUMBER_FIELDS.has(key)) return value;
+    if (Array.isArray(value)) return value.join(", ");
+    return String(value);
+  }
+
+  function compareGames(a, b, key, dir) {
+    const va = sortValue(a, key);
+    const vb = sortValue(b, key);
+    let res = 0;
+    if (typeof va === "number" && typeof vb === "number") {
+      res = va - vb;
+    } else {
+      res = collator.compare(String(va), String(vb));
+    }
+    return dir === "asc" ? res : -res;
+  }
+
+  // The direction a column sorts in when none is given: ranks best first, titles A–Z,
+  // numbers highest first
+  function defaultSortDir(key) {
+    return ASCENDING_SORT_KEYS.has(key) ? "asc" : "desc";
+  }
+
+  // A filter set that lets every game through, in the default rank order
+  function defaultFilters() {
+    const filters = {
+      ...DEFAULT_SORT,
+      query: "",
+      ranges: {},
+      playerCountValue: "",
+      playerCountMode: "best",
+      tags: {},
+      quick: {},
+      facets: {},
+    };
+    RANGE_FILTERS.forEach((f) => { filters.ranges[f.id] = { lo: null, hi: null, mode: f.mode || "within", unknown: true }; });
+    QUICK_FILTERS.forEach((f) => { filters.quick[f.key] = false; });
+    TAG_FIELDS.forEach((key) => { filters.tags[key] = ""; });
+    FACET_FIELDS.forEach((key) => { filters.facets[key] = { include: [], exclude: [], mode: "or" }; });
+    return filters;
+  }
+
+  function parseBound(text) {
+    if (text === undefined || text === null || text.trim() === "") return null;
+    const n = Number(text);
+    return Number.isFinite(n) ? n : null;
+  }
+
+  // A range parameter: "2-4", open at either end ("2-", "-4"), or a bare "3" for 3-3; null
+  // when it is none of these
+  function parseRange(text) {
+    const parts = text.includes("-") ? text.split("-") : [text, text];
+    if (parts.length !== 2) return null;
+    const [lo, hi] = parts.map(parseBound);
+    if ((lo === null && parts[0].trim()) || (hi === null && parts[1].trim())) return null;
+    return { lo, hi };
+  }
+
+  function toParams(search) {
+    return search instanceof URLSearchParams ? search : new URLSearchParams(search);
+  }
+
+  // What readParams would skip in a query string, as a message, or null when it reads it all.
+  // The viewer shrugs off a garbled link; the API answers it with a 400.
+  function paramError(search) {
+    const params = toParams(search);
+    if (params.has("sort")) {
+      const [sortKey, sortDir] = params.get("sort").split(":");
+      if (!SORT_KEYS.has(sortKey)) return `unknown sort column ${sortKey}`;
+      if (sortDir !== undefined && !SORT_DIRS.includes(sortDir)) return `sort direction must be one of: ${SORT_DIRS.join(", ")}`;
+    }
+    for (const f of RANGE_FILTERS) {
+      const range = params.get(f.id);
+      if (range !== null && !parseRange(range)) return `${f.id} must be a number or a range like 2-4, not ${range}`;
+    }
+    return null;
+  }
+
+  // Reads a query string (or URLSearchParams) into `filters`, which starts from the defaults;
+  // unknown keys and malformed values are ignored
+  function readParams(search, filters = defaultFilters()) {
+    const params = toParams(search);
+    const [sortKey, sortDir] = (params.get("sort") || "").split(":");
+    if (SORT_KEYS.has(sortKey)) {
+      filters.sortKey = sortKey;
+      filters.sortDir = SORT_DIRS.includes(sortDir) ? sortDir : defaultSortDir(sortKey);
+    }
+    filters.query = params.get("q") || "";
+    for (const f of RANGE_FILTERS) {
+      const r = filters.ranges[f.id];
+      const range = params.get(f.id) === null ? null : parseRange(params.get(f.id));
+      if (range) {
+        r.lo = range.lo;
+        r.hi = range.hi;
+      }
+      const mode = params.get(`${f.id}-mode`);
+      if (RANGE_MODES.includes(mode)) r.mode = mode;
+      if (params.get(`${f.id}-unknown`) === "exclude") r.unknown = false;
+    }
+    const count = parseBound(params.get("count"));
+    if (count !== null) filters.playerCountValue = String(count);
+    if (params.get("count-mode") === "recommended") filters.playerCountMode = "recommended";
+    for (const key of TAG_FIELDS) filters.tags[key] = params.get(key) || "";
+    const only = (params.get("only") || "").split(",");
+    for (const f of QUICK_FILTERS) filters.quick[f.key] = only.includes(f.key);
+    for (const key of FACET_FIELDS) {
+      const facet = filters.facets[key];
+      facet.include = params.getAll(key);
+      facet.exclude = params.getAll(`not-${key}`);
+      facet.mode = params.get(`${key}-mode`) === "and" ? "and" : "or";
+    }
+    return filters;
+  }
+
+  // The inverse of readParams, holding only what differs from `defaults`
+  function writeParams(filters, defaults = defaultFilters()) {
+    const params = new URLSearchParams();
+    if (filters.sortKey !== defaults.sortKey || filters.sortDir !== defaults.sortDir) params.set("sort", `${filters.sortKey}:${filters.sortDir}`);
+    if (filters.query.trim()) params.set("q", filters.query.trim());
+    for (const f of RANGE_FILTERS) {
+      const r = filters.ranges[f.id];
+      if (r.lo !== null || r.hi !== null) params.set(f.id, `${r.lo ?? ""}-${r.hi ?? ""}`);
+      if (r.mode !== defaults.ranges[f.id].mode) params.set(`${f.id}-mode`, r.mode);
+      if (!r.unknown) params.set(`${f.id}-unknown`, "exclude");
+    }
+    if (filters.playerCountValue !== "") {
+      params.set("count", filters.playerCountValue);
+      if (filters.playerCountMode !== defaults.playerCountMode) params.set("count-mode", filters.playerCountMode);
+    }
+    for (const key of TAG_FIELDS) {
+      if (filters.tags[key].trim()) params.set(key, filters.tags[key].trim());
+    }
+    const quick = QUICK_FILTERS.filter((f) => filters.quick[f.key]).map((f) => f.key);
+    if (quick.length) params.set("only", quick.join(","));
+    for (const key of FACET_FIELDS) {
+      const facet = filters.facets[key];
+      facet.include.forEach((v) => params.append(key, v));
+      facet.exclude.forEach((v) => params.append(`not-${key}`, v));
+      if (facet.mode !== "or") params.set(`${key}-mode`, facet.mode);
+    }
+    return params;
+  }
+
+  // Ranking by relevance stands in for the default rank order; a sorted column still wins
+  function sortsByRelevance(filters, terms) {
+    return filters.sortKey === DEFAULT_SORT.sortKey && filters.sortDir === DEFAULT_SORT.sortDir &&
+      terms.some((t) => (t.type === "word" || t.type === "phrase") && !t.negate);
+  }
+
+  // Runs a filter set over the games. `rows` is the sorted result; `base` is the result before
+  // facets, so each facet can count against the other filters; `matches` holds each row's
+  // relevance and title highlights when there is a search query.
+  function queryGames(games, filters) {
+    const terms = parseQuery(filters.query);
+    const matches = new Map();
+    let rows = games.slice();
+    if (terms.length) {
+      rows = rows.filter((g) => {
+        const match = matchQuery(g, terms);
+        if (match) matches.set(g, match);
+        return Boolean(match);
+      });
+    }
+
+    // Players, playing time, weight, age
+    for (const f of RANGE_FILTERS) {
+      const r = filters.ranges[f.id];
+      if (isRangeActive(r)) rows = rows.filter((g) => matchesRange(g, f, r));
+    }
+
+    // Is this player count best / recommended by the community poll
+    if (filters.playerCountValue !== "") {
+      const n = Number(filters.playerCountValue);
+      if (Number.isInteger(n) && n > 0) {
+        rows = rows.filter((g) => playerCounts(g, filters.playerCountMode).includes(n));
+      }
+    }
+
+    for (const key of TAG_FIELDS) {
+      const needle = foldText(filters.tags[key].trim());
+      if (!needle) continue;
+      rows = rows.filter((g) => searchKey(g).tags[key].some((v) => v.includes(needle)));
+    }
+
+    for (const f of QUICK_FILTERS) {
+      if (filters.quick[f.key]) rows = rows.filter(f.test);
+    }
+
+    // Facets are applied last so each facet can count against the other filters
+    const base = rows;
+    rows = base.filter((g) => FACET_FIELDS.every((key) => matchesFacet(g, key, filters.facets[key])));
+    const byRelevance = sortsByRelevance(filters, terms);
+    if (byRelevance) {
+      rows.sort((a, b) => matches.get(b).score - matches.get(a).score || compareGames(a, b, filters.sortKey, filters.sortDir));
+    } else {
+      rows.sort((a, b) => compareGames(a, b, filters.sortKey, filters.sortDir));
+    }
+    return { rows, base, matches, terms, byRelevance };
+  }
+
+  return {
+    NUMBER_FIELDS,
+    DEFAULT_SORT,
+    SORT_DIRS,
+    SORT_KEYS,
+    RANGE_FILTERS,
+    RANGE_MODES,
+    QUICK_FILTERS,
+    TAG_FIELDS,
+    FACET_FIELDS,
+    foldText,
+    foldWithMap,
+    searchKey,
+    indexGames,
+    parseQuery,
+    matchQuery,
+    mergeSpans,
+    playerCounts,
+    gameRange,
+    rangeBounds,
+    isRangeActive,
+    matchesRange,
+    matchesFacet,
+    facetCounts,
+    sortValue,
+    compareGames,
+    defaultSortDir,
+    defaultFilters,
+    paramError,
+    readParams,
+    writeParams,
+    sortsByRelevance,
+    queryGames,
+  };
+});
@@ -0,0 +1,155 @@
+/* global window */
+// Game-night scorer, shared by the `recommend` command and the viewer's Game night mode.
+// Its only dependency is lib/charts.js, so the browser can load both with plain <script> tags.
+//
+// Every game gets four factor scores in [0, 1], combined as
+//
+//   score = 100 × (0.35·players + 0.25·time + 0.20·weight + 0.20·rating)
+//
+//   players  1 when the group size is one of the community's best counts (best_players,
+//            or the min_best_players..max_best_players range in older datasets); 0.6 when
+//            it is recommended (recommended_players) and 0.2 when the poll says it is not.
+//            Without recommended counts: 0.5 minus 0.1 per player from the nearest best
+//            count, never below 0.2. Games whose box (min_players..max_players) cannot
+//            seat the group score 0 and are left out of the picks.
+//   time     1 when max_playing_time fits the budget; 0.5–1 when only the short end
+//            (min_playing_time) fits, by how much of the range fits; below that it
+//            falls from 0.5 to 0 as min_playing_time runs up to 50% over budget.
+//   weight   1 inside the preferred complexity band, minus 1 per weight point outside it.
+//   rating   geek_rating scaled between the lowest and highest rating in the candidates,
+//            so the best-rated game scores 1 and the worst 0.
+//
+// A factor without the data to judge it scores a neutral 0.5 and is flagged in `missing`.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./charts"));
+  else root.BGGRecommend = factory(root.BGGCharts);
+})(typeof window !== "undefined" ? window : this, function (Charts) {
+  "use strict";
+
+  const FACTOR_WEIGHTS = { players: 0.35, time: 0.25, weight: 0.2, rating: 0.2 };
+  const NEUTRAL = 0.5;
+
+  function isNumber(value) {
+    return typeof value === "number" && Number.isFinite(value);
+  }
+
+  function clamp01(value) {
+    return Math.min(1, Math.max(0, value));
+  }
+
+  // Datasets scraped before the full poll was kept only have the best range
+  function bestCounts(game) {
+    if (Array.isArray(game.best_players) && game.best_players.length) return game.best_players;
+    if (!isNumber(game.min_best_players)) return null;
+    const max = isNumber(game.max_best_players) ? game.max_best_players : game.min_best_players;
+    const counts = [];
+    for (let n = game.min_best_players; n <= max; n += 1) counts.push(n);
+    return counts;
+  }
+
+  function playerFit(game, players) {
+    const min = isNumber(game.min_players) ? game.min_players : null;
+    const max = isNumber(game.max_players) ? game.max_players : null;
+    if ((min !== null && players < min) || (max !== null && players > max)) return 0;
+    const best = bestCounts(game);
+    if (!best) return min === null && max === null ? null : NEUTRAL;
+    if (best.includes(players)) return 1;
+    if (Array.isArray(game.recommended_players) && game.recommended_players.length) {
+      return game.recommended_players.includes(players) ? 0.6 : 0.2;
+    }
+    const distance = Math.min(...best.map((n) => Math.abs(n - players)));
+    return Math.max(0.2, NEUTRAL - 0.1 * distance);
+  }
+
+  function timeFit(game, minutes) {
+    const low = isNumber(game.min_playing_time) ? game.min_playing_time : null;
+    const high = isNumber(game.max_playing_time) ? game.max_playing_time : low;
+    if (high === null) return null;
+    const shortest = low === null ? high : low;
+    if (high <= minutes) return 1;
+    if (shortest <= minutes) return 0.5 + (0.5 * (minutes - shortest)) / (high - shortest);
+    return clamp01(0.5 - (shortest - minutes) / minutes);
+  }
+
+  function weightFit(game, minWeight, maxWeight) {
+    if (!isNumber(game.weight)) return null;
+    if (game.weight < minWeight) return clamp01(1 - (minWeight - game.weight));
+    if (game.weight > maxWeight) return clamp01(1 - (game.weight - maxWeight));
+    return 1;
+  }
+
+  function ratingFit(game, range) {
+    if (!isNumber(game.geek_rating) || !range) return null;
+    if (range.max === range.min) return 1;
+    return (game.geek_rating - range.min) / (range.max - range.min);
+  }
+
+  function ratingRange(games) {
+    const ratings = games.map((g) => g.geek_rating).filter(isNumber);
+    if (!ratings.length) return null;
+    const [min, max] = Charts.extent(ratings);
+    return { min, max };
+  }
+
+  function round(value, decimals) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+  }
+
+  function scoreGame(game, { players, minutes, minWeight, maxWeight }, range) {
+    const raw = {
+      players: playerFit(game, players),
+      time: timeFit(game, minutes),
+      weight: weightFit(game, minWeight, maxWeight),
+      rating: ratingFit(game, range),
+    };
+    const factors = {};
+    const missing = [];
+    let total = 0;
+    for (const key of Object.keys(FACTOR_WEIGHTS)) {
+      const value = raw[key] === null ? NEUTRAL : raw[key];
+      if (raw[key] === null) missing.push(key);
+      factors[key] = round(value, 3);
+      total += FACTOR_WEIGHTS[key] * value;
+    }
+    return { game, score: round(total * 100, 1), factors, missing, playable: raw.players !== 0 };
+  }
+
+  // Options: players and minutes (required), minWeight/maxWeight (default 0–5), limit (default 10)
+  function recommend(games, options) {
+    const opts = { minWeight: 0, maxWeight: 5, limit: 10, ...options };
+    if (!isNumber(opts.players) || opts.players < 1) throw new Error("players must be a positive number");
+    if (!isNumber(opts.minutes) || opts.minutes <= 0) throw new Error("minutes must be a positive number");
+    if (opts.minWeight > opts.maxWeight) [opts.minWeight, opts.maxWeight] = [opts.maxWeight, opts.minWeight];
+    const range = ratingRange(games);
+    return games
+      .map((g) => scoreGame(g, opts, range))
+      .filter((pick) => pick.playable)
+      .sort((a, b) => b.score - a.score || (a.game.rank ?? Infinity) - (b.game.rank ?? Infinity))
+      .slice(0, opts.limit);
+  }
+
+  function formatRecommendations(picks, { players, minutes, minWeight = 0, maxWeight = 5 }) {
+    const lines = [`Top ${picks.length} for ${players} players, ${minutes} minutes, weight ${minWeight}–${maxWeight}:`];
+    picks.forEach((pick, i) => {
+      const g = pick.game;
+      const f = pick.factors;
+      lines.push(`${String(i + 1).padStart(3)}. ${pick.score.toFixed(1).padStart(5)}  #${g.rank} ${g.title}${g.year ? ` (${g.year})` : ""}`);
+      const missing = pick.missing.length ? `  [no data: ${pick.missing.join(", ")}]` : "";
+      lines.push(`            players ${f.players.toFixed(2)}  time ${f.time.toFixed(2)}  weight ${f.weight.toFixed(2)}  rating ${f.rating.toFixed(2)}${missing}`);
+    });
+    if (!picks.length) lines.push("  Nothing in this list seats that many players.");
+    return `${lines.join("\n")}\n`;
+  }
+
+  return {
+    FACTOR_WEIGHTS,
+    playerFit,
+    timeFit,
+    weightFit,
+    ratingFit,
+    scoreGame,
+    recommend,
+    formatRecommendations,
+  };
+});
@@ -0,0 +1,110 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { gameKey } = require("./history");
+
+// Exit status of a scrape, for cron jobs and CI. Usage errors and a failed validation keep 1.
+const EXIT_CODES = { ok: 0, error: 1, partial: 2, failed: 3, refused: 4 };
+
+// boardgames.json -> boardgames.run.json, next to the dataset it describes
+function manifestPathFor(outPath) {
+  const ext = path.extname(outPath);
+  return `${ext ? outPath.slice(0, -ext.length) : outPath}.run.json`;
+}
+
+function formatPercent(ratio) {
+  return `${(ratio * 100).toFixed(1)}%`;
+}
+
+// Decides how a scrape went and whether its output may replace the existing dataset.
+// A run that got details for no game is a failure; one with failed games or a listing cut
+// short is partial. With --min-success-ratio, a listing cut short also counts the games
+// it never reached, measured against the size of the dataset it would replace.
+function assessRun({ listed, failed, listingComplete = true, minSuccessRatio = null, existingCount = null }) {
+  const succeeded = listed - failed;
+  const expected = !listingComplete && existingCount !== null ? Math.max(listed, existingCount) : listed;
+  const successRatio = expected ? succeeded / expected : 0;
+  let status = "ok";
+  if (!succeeded) status = "failed";
+  else if (failed || !listingComplete) status = "partial";
+
+  let refusal = null;
+  if (existingCount !== null) {
+    if (status === "failed") {
+      refusal = listed ? `no game out of ${listed} could be enriched` : "no games were listed";
+    } else if (minSuccessRatio !== null && successRatio < minSuccessRatio) {
+      refusal = `${succeeded} of ${expected} games (${formatPercent(successRatio)}) succeeded, below --min-success-ratio ${formatPercent(minSuccessRatio)}`;
+    }
+  }
+  let exitCode = EXIT_CODES[status];
+  if (refusal && status !== "failed") exitCode = EXIT_CODES.refused;
+  return { status, listed, succeeded, failed, successRatio, overwrite: !refusal, refusal, exitCode };
+}
+
+// Collects what a scrape did, for the run manifest written next to the output: arguments,
+// timings, pages, retries and what happened to each game. Game statuses are "pending",
+// "enriched", "resumed" (from --resume's journal), "reused" (--incremental) and "failed".
+function createRunManifest({ argv = [], args = {}, now = () => new Date() } = {}) {
+  const startedAt = now();
+  const pages = [];
+  const retries = { total: 0, byUrl: {} };
+  const games = new Map();
+
+  function entryFor(game) {
+    const key = gameKey(game);
+    if (!games.has(key)) games.set(key, { key, rank: game.rank ?? null, title: game.title ?? null, status: "pending", retries: 0 });
+    return games.get(key);
+  }
+
+  return {
+    recordPage(page, url, count) {
+      pages.push({ page, url, games: count });
+    },
+    // `affected` are the games the request was for: one game page, or an API batch
+    recordRetry(url, affected = []) {
+      retries.total += 1;
+      retries.byUrl[url] = (retries.byUrl[url] || 0) + 1;
+      affected.forEach((game) => {
+        entryFor(game).retries += 1;
+      });
+    },
+    recordGame(game, status, extra = {}) {
+      Object.assign(entryFor(game), { status, ...extra });
+    },
+    counts() {
+      const counts = {};
+      for (const entry of games.values()) counts[entry.status] = (counts[entry.status] || 0) + 1;
+      return counts;
+    },
+    // `outcome` is assessRun's result plus whatever the caller wants on record (output path, error)
+    finish(outcome = {}) {
+      const finishedAt = now();
+      return {
+        argv,
+        // Round-tripped so the manifest holds exactly what JSON can (Infinity becomes null)
+        args: JSON.parse(JSON.stringify(args)),
+        startedAt: startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt - startedAt,
+        ...outcome,
+        pages,
+        retries,
+        counts: this.counts(),
+        games: Array.from(games.values()),
+      };
+    },
+    write(filePath, outcome) {
+      const manifest = this.finish(outcome);
+      fs.writeFileSync(filePath, `${JSON.stringify(manifest, null, 2)}\n`, "utf8");
+      return manifest;
+    },
+  };
+}
+
+module.exports = {
+  EXIT_CODES,
+  manifestPathFor,
+  assessRun,
+  createRunManifest,
+};
@@ -0,0 +1,604 @@
+"use strict";
+
+const axios = require("axios");
+const cheerio = require("cheerio");
+const { cacheMissError } = require("./cache");
+const xmlapi = require("./xmlapi");
+const history = require("./history");
+const { withRetry, runPool } = require("./http");
+const poll = require("./poll");
+const sources = require("./sources");
+const incremental = require("./incremental");
+const extractors = require("./extractors");
+const { createLogger } = require("./log");
+
+const DETAIL_BACKENDS = ["xmlapi", "html"];
+// Plain text on stdout and stderr, as the scraper has always printed
+const defaultLog = createLogger();
+
+// onRetry factory: called with a request's url (and the games it was for) before the first
+// attempt, the callback it returns is called on every retry
+function retryLogger(log = defaultLog, run = null) {
+  return (url, affected = []) => (error, attempt, delay) => {
+    log.warn(`Retrying ${url} in ${delay}ms (attempt ${attempt} failed: ${error.message})`, { url, attempt, delay, error });
+    if (run) run.recordRetry(url, affected);
+  };
+}
+
+async function fetchHtml(url, { cache = null, limiter = null, attempts = 4, onRetry = retryLogger() } = {}) {
+  if (cache && !cache.refresh) {
+    const cached = cache.read(url);
+    if (cached !== null) return cached;
+  }
+  if (cache && cache.offline) throw cacheMissError(url);
+  const response = await withRetry(async () => {
+    if (limiter) await limiter.acquire();
+    return axios.get(url, {
+      headers: {
+        "User-Agent":
+          "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36",
+        Accept: "text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8",
+      },
+    });
+  }, { attempts, onRetry: onRetry(url) });
+  if (cache) cache.write(url, response.data);
+  return response.data;
+}
+
+function normalizeNumber(text) {
+  if (!text) return null;
+  const cleaned = String(text).replace(/[\,\s]/g, "").trim();
+  if (cleaned === "" || cleaned === "–" || cleaned === "-") return null;
+  const num = Number(cleaned);
+  return Number.isNaN(num) ? null : num;
+}
+
+function roundTo(value, decimals) {
+  if (value === null || value === undefined) return null;
+  const factor = 10 ** decimals;
+  return Math.round((Number(value) + Number.EPSILON) * factor) / factor;
+}
+
+// Rows without a rank are skipped unless `keepUnranked` (expansion and custom-sorted lists)
+function extractGamesFromHtml(html, { keepUnranked = false } = {}) {
+  const $ = cheerio.load(html);
+  const games = [];
+  $("table#collectionitems tr").each((_, row) => {
+    const $row = $(row);
+    const tds = $row.find("td");
+    if (tds.length < 6) return; // skip headers/invalid rows
+
+    // Rank (1st column)
+    const rankCell = $row.find("td:nth-child(1)").first();
+    const rankText = rankCell.text().trim();
+    const rank = normalizeNumber(rankCell.attr("data-sort") || rankText);
+    if (rank === null && !keepUnranked) return;
+
+    // Image (2nd column)
+    const imgEl = $row.find("td:nth-child(2) img").first();
+    let imgSrc = imgEl.attr("src") || imgEl.attr("data-src") || "";
+    if (imgSrc && imgSrc.startsWith("//")) imgSrc = `https:${imgSrc}`;
+    const image = imgSrc || null;
+
+    // Title + Year (3rd column)
+    const titleCell = $row.find("td:nth-child(3)").first();
+    const titleAnchor = titleCell.find("a").first();
+    const rawTitle = titleAnchor.text().trim();
+    // The cell often contains "Title (YYYY)"; prefer explicit parse
+    const cellText = titleCell.text();
+    const yearMatch = cellText.match(/\((\d{4})\)/);
+    const year = yearMatch ? normalizeNumber(yearMatch[1]) : null;
+    const title = rawTitle;
+  let relativeHref = titleAnchor.attr("href") || "";
+  if (relativeHref && !relativeHref.startsWith("http")) {
+    relativeHref = new URL(relativeHref, "https://boardgamegeek.com").toString();
+  }
+
+    // Ratings and voters (4th, 5th, 6th columns) using data-sort for precision
+    const grCell = $row.find("td:nth-child(4)").first();
+    const arCell = $row.find("td:nth-child(5)").first();
+    const nvCell = $row.find("td:nth-child(6)").first();
+
+    const geekRatingRaw = normalizeNumber(grCell.attr("data-sort") || grCell.text());
+    const avgRatingRaw = normalizeNumber(arCell.attr("data-sort") || arCell.text());
+    const numVotersRaw = normalizeNumber(nvCell.attr("data-sort") || nvCell.text());
+
+    const geekRating = geekRatingRaw == null ? null : roundTo(geekRatingRaw, 3);
+    const avgRating = avgRatingRaw == null ? null : roundTo(avgRatingRaw, 2);
+    const numVoters = numVotersRaw == null ? null : Math.round(numVotersRaw);
+
+    games.push({
+      rank,
+      title,
+      year,
+      image,
+      url: relativeHref || null,
+      geek_rating: geekRating,
+      avg_rating: avgRating,
+      num_voters: numVoters,
+    });
+  });
+  return games;
+}
+
+function getNextPageUrl(html, baseUrl = sources.resolveSource().url) {
+  const $ = cheerio.load(html);
+  // The pager shows numbered links with a "Next »" link
+  const nextLink = $("a:contains('Next »')").first();
+  if (nextLink && nextLink.attr("href")) {
+    const relative = nextLink.attr("href");
+    if (relative.startsWith("http")) return relative;
+    return new URL(relative, baseUrl).toString();
+  }
+  return null;
+}
+
+function coerceInt(value) {
+  if (value === undefined || value === null) return null;
+  const n = Number(String(value).replace(/[\,\s]/g, ""));
+  return Number.isNaN(n) ? null : Math.trunc(n);
+}
+
+function coerceFloat(value, decimals = null) {
+  if (value === undefined || value === null) return null;
+  const n = Number(String(value).replace(/[\,\s]/g, ""));
+  if (Number.isNaN(n)) return null;
+  return decimals == null ? n : roundTo(n, decimals);
+}
+
+// "Best: 2, 4" or "Community: 2–4" as a list of counts, null when the label is absent
+function parsePlayerCountsFromText(text, label) {
+  if (!text) return null;
+  const match = text.match(new RegExp(`${label}:\\s*((?:\\d+\\s*(?:[\\-–]\\s*\\d+)?\\s*,?\\s*)+)`, "i"));
+  if (!match) return null;
+  const ranges = match[1].split(",").map((part) => {
+    const [min, max = min] = Array.from(part.matchAll(/\d+/g)).map((m) => Number(m[0]));
+    return { min, max };
+  });
+  const counts = poll.expandRanges(ranges);
+  return counts.length ? counts : null;
+}
+
+function parseBestPlayersFromText(text) {
+  const counts = parsePlayerCountsFromText(text, "Best");
+  if (!counts) return { min: null, max: null };
+  return { min: Math.min(...counts), max: Math.max(...counts) };
+}
+
+// BGG descriptions carry HTML markup and entities; store them as plain text
+function htmlToText(html) {
+  if (!html) return null;
+  const $ = cheerio.load(`<div id="root">${html}</div>`);
+  $("br").replaceWith("\n");
+  $("p").after("\n\n");
+  const text = $("#root").text().replace(/[ \t]+\n/g, "\n").replace(/\n{3,}/g, "\n\n").trim();
+  return text || null;
+}
+
+function linkNames(links) {
+  if (!Array.isArray(links)) return [];
+  return links.map((l) => (l?.name ?? l?.value ?? "").trim()).filter(Boolean);
+}
+
+// Embedded GEEK.geekitemPreload JSON, which classic game pages carry
+function extractFromPreload(html) {
+  const match = html.match(/GEEK\.geekitemPreload\s*=\s*(\{[\s\S]*?\});/);
+  if (!match || !match[1]) return null;
+  const preload = JSON.parse(match[1]);
+  const item = preload?.item || {};
+
+  const minPlayers = coerceInt(item.minplayers);
+  const maxPlayers = coerceInt(item.maxplayers);
+  const minPlay = coerceInt(item.minplaytime);
+  const maxPlay = coerceInt(item.maxplaytime);
+
+  // Weight from polls or stats
+  const weightFromPoll = item?.polls?.boardgameweight?.averageweight;
+  const weightFromStats = item?.stats?.avgweight;
+  const weight = coerceFloat(weightFromPoll ?? weightFromStats, 2);
+
+  // Categories, mechanics and credits are grouped by link type
+  const links = item.links || {};
+
+  // The preload only summarises the poll as best[] and recommended[] ranges, without votes
+  const userPlayers = item?.polls?.userplayers || {};
+  const players = poll.playerCountFields({
+    best: poll.expandRanges(userPlayers.best),
+    recommended: poll.expandRanges(userPlayers.recommended),
+  });
+
+  return {
+    min_players: minPlayers ?? null,
+    max_players: maxPlayers ?? null,
+    ...players,
+    min_playing_time: minPlay ?? null,
+    max_playing_time: maxPlay ?? null,
+    weight: weight ?? null,
+    min_age: coerceInt(item.minage) || null,
+    categories: linkNames(links.boardgamecategory),
+    mechanics: linkNames(links.boardgamemechanic),
+    designers: linkNames(links.boardgamedesigner),
+    artists: linkNames(links.boardgameartist),
+    publishers: linkNames(links.boardgamepublisher),
+    description: htmlToText(item.description),
+  };
+}
+
+// Next.js page data, present on some newer pages
+function extractFromNextData(html, $) {
+  const nextDataText = $("script#__NEXT_DATA__").first().text();
+  if (!nextDataText) return null;
+  const nextData = JSON.parse(nextDataText);
+  const pageProps = nextData?.props?.pageProps || {};
+  const game = pageProps.game || pageProps.data?.game || pageProps.boardgame || pageProps;
+
+  const minPlayers = coerceInt(game?.minplayers ?? game?.minPlayers ?? pageProps?.minplayers ?? pageProps?.minPlayers);
+  const maxPlayers = coerceInt(game?.maxplayers ?? game?.maxPlayers ?? pageProps?.maxplayers ?? pageProps?.maxPlayers);
+  const minPlay = coerceInt(game?.minplaytime ?? game?.minPlaytime ?? pageProps?.minplaytime ?? pageProps?.minPlaytime);
+  const maxPlay = coerceInt(game?.maxplaytime ?? game?.maxPlaytime ?? pageProps?.maxplaytime ?? pageProps?.maxPlaytime);
+  const weightRaw = game?.statistics?.ratings?.averageweight ?? game?.averageweight ?? game?.averageWeight ?? pageProps?.statistics?.ratings?.averageweight ?? pageProps?.averageweight ?? pageProps?.averageWeight;
+  const weight = coerceFloat(weightRaw, 2);
+  const nextLinks = game?.links || {};
+
+  const polls = game?.polls || pageProps?.polls || [];
+  const playerPoll = Array.isArray(polls) ? polls.find((p) => /suggested_numplayers/i.test(p?.name || "")) : null;
+  const pollRows = Array.isArray(playerPoll?.results)
+    ? playerPoll.results.map((r) => {
+      const votes = {};
+      for (const rr of Array.isArray(r?.result) ? r.result : []) votes[rr?.value] = rr?.numvotes;
+      return poll.pollRow(r?.numplayers ?? r?.numPlayers, votes);
+    })
+    : [];
+  const players = poll.playerCountFields({ poll: pollRows });
+
+  return {
+    min_players: minPlayers ?? null,
+    max_players: maxPlayers ?? null,
+    ...players,
+    min_playing_time: minPlay ?? null,
+    max_playing_time: maxPlay ?? null,
+    weight: weight ?? null,
+    min_age: coerceInt(game?.minage ?? game?.minAge) || null,
+    categories: linkNames(nextLinks.boardgamecategory),
+    mechanics: linkNames(nextLinks.boardgamemechanic),
+    designers: linkNames(nextLinks.boardgamedesigner),
+    artists: linkNames(nextLinks.boardgameartist),
+    publishers: linkNames(nextLinks.boardgamepublisher),
+    description: htmlToText(game?.description),
+  };
+}
+
+// Last resort: regexes over the visible text, which only recover the numbers
+function extractFromText(html, $) {
+  const headerText = $("body").text();
+  // Single counts ("Players: 2", "Playing Time: 60 Min") are reported as a degenerate range
+  const playersRange = headerText.match(/Players[^\d]*(\d+)(?:\s*[\-–]\s*(\d+))?/i);
+  const minPlayers = playersRange ? coerceInt(playersRange[1]) : null;
+  const maxPlayers = playersRange ? coerceInt(playersRange[2] ?? playersRange[1]) : null;
+  const players = poll.playerCountFields({
+    best: parsePlayerCountsFromText(headerText, "Best"),
+    recommended: parsePlayerCountsFromText(headerText, "Community"),
+  });
+  const timeRange = headerText.match(/Playing\s*time[^\d]*(\d+)(?:\s*[\-–]\s*(\d+))?/i);
+  const minPlay = timeRange ? coerceInt(timeRange[1]) : null;
+  const maxPlay = timeRange ? coerceInt(timeRange[2] ?? timeRange[1]) : null;
+  let weight = null;
+  const weightMatch = headerText.match(/Weight[^\d]*([\d.]+)\s*\/\s*5/i) || headerText.match(/Complexity[^\d]*([\d.]+)/i);
+  if (weightMatch) weight = coerceFloat(weightMatch[1], 2);
+  const ageMatch = headerText.match(/\bAge[^\d]*(\d+)\s*\+/i);
+
+  return {
+    min_players: minPlayers,
+    max_players: maxPlayers,
+    ...players,
+    min_playing_time: minPlay,
+    max_playing_time: maxPlay,
+    weight,
+    // Taxonomy and credits are not recoverable from the visible text
+    min_age: ageMatch ? coerceInt(ageMatch[1]) : null,
+    categories: [],
+    mechanics: [],
+    designers: [],
+    artists: [],
+    publishers: [],
+    description: null,
+  };
+}
+
+// Built-in strategies for game pages, best first; --extractors reorders them, --extractor adds more
+const HTML_EXTRACTORS = [
+  { name: "preload", extract: extractFromPreload },
+  { name: "next-data", extract: extractFromNextData },
+  { name: "text-fallback", extract: extractFromText, partial: true },
+];
+
+function createHtmlExtractors({ order = null, modules = [] } = {}) {
+  const registry = extractors.createExtractorRegistry(HTML_EXTRACTORS);
+  modules.forEach((file) => extractors.loadExtractorModule(file).forEach((e) => registry.register(e)));
+  if (order) registry.order(order);
+  return registry;
+}
+
+const defaultHtmlExtractors = createHtmlExtractors();
+
+function extractDetailsFromGameHtml(html, registry = defaultHtmlExtractors) {
+  return registry.extract(html, cheerio.load(html));
+}
+
+async function fetchGameDetails(gameUrl, { attempts = 4, cache = null, limiter = null, onRetry = retryLogger(), extractors: registry = defaultHtmlExtractors } = {}) {
+  if (!gameUrl) return {
+    min_players: null,
+    max_players: null,
+    min_best_players: null,
+    max_best_players: null,
+    best_players: null,
+    recommended_players: null,
+    player_poll: null,
+    min_playing_time: null,
+    max_playing_time: null,
+    weight: null,
+    min_age: null,
+    categories: [],
+    mechanics: [],
+    designers: [],
+    artists: [],
+    publishers: [],
+    description: null,
+  };
+  const html = await fetchHtml(gameUrl, { cache, limiter, attempts, onRetry });
+  return extractDetailsFromGameHtml(html, registry);
+}
+
+// Both backends resolve to the games they could not enrich, and report each one to onFailed
+async function enrichWithHtml(games, {
+  cache = null,
+  limiter = null,
+  concurrency = 1,
+  onEnriched = null,
+  onFailed = null,
+  log = defaultLog,
+  onRetry = retryLogger(log),
+  extractors: registry = defaultHtmlExtractors,
+} = {}) {
+  let done = 0;
+  const outcomes = await runPool(games, concurrency, async (game) => {
+    try {
+      const details = await fetchGameDetails(game.url, { cache, limiter, onRetry: (url) => onRetry(url, [game]), extractors: registry });
+      Object.assign(game, details);
+      const winner = details._source && registry.get(details._source.strategy);
+      if (winner && winner.partial) {
+        log.warn(`Only ${winner.name} could read #${game.rank} ${game.title}; some fields will be empty`, { rank: game.rank, title: game.title, strategy: winner.name });
+      }
+      if (onEnriched) onEnriched(game, details);
+      done += 1;
+      log.info(`Enriched #${game.rank} ${game.title} with details (${done}/${games.length})`, { rank: game.rank, title: game.title, done, total: games.length });
+      return null;
+    } catch (e) {
+      if (e.code === "ECACHEMISS") throw e;
+      log.error(`Error fetching details for ${game.title}: ${e.message}`, { rank: game.rank, title: game.title, url: game.url, error: e });
+      if (onFailed) onFailed(game, e.message);
+      return { rank: game.rank, title: game.title, error: e.message };
+    }
+  });
+  return outcomes.filter(Boolean);
+}
+
+async function enrichWithXmlApi(games, {
+  cache = null,
+  limiter = null,
+  apiBase = xmlapi.DEFAULT_API_BASE,
+  concurrency = 1,
+  onEnriched = null,
+  onFailed = null,
+  log = defaultLog,
+  onRetry = retryLogger(log),
+} = {}) {
+  const failures = [];
+  const fail = (game, error) => {
+    failures.push({ rank: game.rank, title: game.title, error });
+    if (onFailed) onFailed(game, error);
+  };
+  const withIds = games.filter((g) => {
+    if (xmlapi.extractGameId(g.url)) return true;
+    log.warn(`No BGG id in url for ${g.title}, skipping details`, { rank: g.rank, title: g.title, url: g.url });
+    fail(g, "No BGG id in url");
+    return false;
+  });
+  const batches = xmlapi.chunk(withIds, xmlapi.MAX_BATCH_SIZE);
+  let done = 0;
+  await runPool(batches, concurrency, async (batch) => {
+    const ids = batch.map((g) => xmlapi.extractGameId(g.url));
+    try {
+      const batchRetry = onRetry(xmlapi.buildThingUrl(ids, apiBase), batch);
+      const detailsById = await xmlapi.fetchThingDetails(ids, { apiBase, cache, limiter, onRetry: batchRetry });
+      batch.forEach((game) => {
+        const details = detailsById.get(xmlapi.extractGameId(game.url));
+        if (details) {
+          details._source = { strategy: "xmlapi", filled: {} };
+          Object.assign(game, details);
+          if (onEnriched) onEnriched(game, details);
+        } else {
+          log.warn(`No API result for #${game.rank} ${game.title}`, { rank: game.rank, title: game.title });
+          fail(game, "No API result");
+        }
+      });
+      done += 1;
+      log.info(`Enriched batch ${done}/${batches.length} (${batch.length} games)`, { done, total: batches.length, games: batch.length });
+    } catch (e) {
+      if (e.code === "ECACHEMISS") throw e;
+      log.error(`Error fetching details for a batch of ${batch.length}: ${e.message}`, { games: batch.length, error: e });
+      batch.forEach((game) => fail(game, e.message));
+    }
+  });
+  return failures;
+}
+
+// Resolves to the listed games, whether pagination got to the end, and each page fetched
+async function scrapeListing({ source = sources.resolveSource(), allPages, limit, cache, limiter, log = defaultLog, onRetry = retryLogger(log) }) {
+  let url = source.url;
+  const results = [];
+  const pages = [];
+  let page = 1;
+  let complete = true;
+  const targetCount = allPages ? Number.POSITIVE_INFINITY : Math.max(1, Number(limit) || 250);
+
+  while (url) {
+    try {
+      const html = await fetchHtml(url, { cache, limiter, onRetry });
+      const pageGames = extractGamesFromHtml(html, { keepUnranked: source.key !== sources.DEFAULT_SOURCE });
+      // enriched_at is filled in once the game's details are fetched
+      const scrapedAt = new Date().toISOString();
+      pageGames.forEach((g) => Object.assign(g, { scraped_at: scrapedAt, enriched_at: null }));
+      // A game can reappear when the ranking shifts between page loads
+      const seen = new Set(results.map(history.gameKey));
+      pageGames.forEach((g) => {
+        if (!seen.has(history.gameKey(g))) results.push(g);
+      });
+      pages.push({ page, url, games: pageGames.length });
+      log.info(`Scraped page ${page} → +${pageGames.length} (total ${results.length})`, { page, url, games: pageGames.length, total: results.length });
+
+      if (!allPages && results.length >= targetCount) break;
+
+      const nextUrl = getNextPageUrl(html, url);
+      if (!nextUrl) break;
+      url = nextUrl;
+      page += 1;
+    } catch (error) {
+      if (error.code === "ECACHEMISS") throw error;
+      log.error(`Error scraping ${url}: ${error.message}`, { page, url, error });
+      complete = false;
+      break;
+    }
+  }
+  // Select only the desired number of games
+  const games = sources.annotateSource(allPages ? results : results.slice(0, targetCount), source);
+  return { games, complete, pages };
+}
+
+// Fetches details for `games` in place with either backend and stamps enriched_at on each
+// one that succeeds. Resolves to the failures and which extractor produced each record.
+async function enrichGames(games, {
+  cache = null,
+  limiter = null,
+  concurrency = 1,
+  details = "xmlapi",
+  apiBase = xmlapi.DEFAULT_API_BASE,
+  journal = null,
+  extractors: registry = defaultHtmlExtractors,
+  log = defaultLog,
+  run = null,
+  onRetry = retryLogger(log, run),
+} = {}) {
+  if (!DETAIL_BACKENDS.includes(details)) throw new Error(`Unknown details backend ${details}; expected one of: ${DETAIL_BACKENDS.join(", ")}`);
+  const extraction = extractors.createExtractionStats();
+  const onEnriched = (game, gameDetails) => {
+    extraction.record(gameDetails);
+    game.enriched_at = new Date().toISOString();
+    if (journal) journal.recordDetails(history.gameKey(game), { ...gameDetails, enriched_at: game.enriched_at });
+    if (run) run.recordGame(game, "enriched", { strategy: gameDetails._source ? gameDetails._source.strategy : null });
+  };
+  const onFailed = (game, error) => {
+    if (run) run.recordGame(game, "failed", { error });
+  };
+  const options = { cache, limiter, concurrency, onEnriched, onFailed, log, onRetry };
+  const failures = details === "html"
+    ? await enrichWithHtml(games, { ...options, extractors: registry })
+    : await enrichWithXmlApi(games, { ...options, apiBase });
+  return { failures, extraction };
+}
+
+// Lists the source's top games and enriches them. With a journal, a resumed run picks up
+// the saved listing and details; with `previous` (--incremental), details younger than
+// maxAgeMs are reused from it, and so are the derived fields named in `carry`.
+async function scrapeAll({
+  source = sources.resolveSource(),
+  allPages,
+  limit,
+  cache = null,
+  limiter = null,
+  concurrency = 1,
+  details = "xmlapi",
+  apiBase = xmlapi.DEFAULT_API_BASE,
+  journal = null,
+  previous = null,
+  maxAgeMs = Number.POSITIVE_INFINITY,
+  carry = incremental.DERIVED_FIELDS,
+  extractors: registry = defaultHtmlExtractors,
+  log = defaultLog,
+  run = null,
+}) {
+  const onRetry = retryLogger(log, run);
+  let selected;
+  let listingComplete = true;
+  if (journal && journal.listing) {
+    selected = journal.listing;
+    log.info(`Resuming: ${selected.length} games from ${journal.path}, ${journal.details.size} already enriched`, { journal: journal.path, games: selected.length });
+  } else {
+    const listing = await scrapeListing({ source, allPages, limit, cache, limiter, log, onRetry });
+    selected = listing.games;
+    listingComplete = listing.complete;
+    if (run) listing.pages.forEach((p) => run.recordPage(p.page, p.url, p.games));
+    // A partial listing is not worth resuming from; the next run should paginate again
+    if (journal && listingComplete) journal.recordListing(selected);
+  }
+
+  let pending = [];
+  selected.forEach((game) => {
+    const saved = journal && journal.details.get(history.gameKey(game));
+    if (saved) Object.assign(game, saved);
+    else pending.push(game);
+    if (run) run.recordGame(game, saved ? "resumed" : "pending");
+  });
+  if (pending.length < selected.length) log.info(`Skipping ${selected.length - pending.length} games enriched by an earlier run`, { skipped: selected.length - pending.length });
+  // --incremental: games in the previous output keep their details unless they are too old
+  if (previous) {
+    const plan = incremental.planRefresh(pending, previous, { maxAgeMs, carry });
+    if (run) {
+      const refreshing = new Set(plan.pending);
+      pending.filter((game) => !refreshing.has(game)).forEach((game) => run.recordGame(game, "reused"));
+    }
+    pending = plan.pending;
+    log.info(`Incremental: reusing details for ${plan.reused} games, refreshing ${plan.stale} stale and ${plan.added} new`, {
+      reused: plan.reused,
+      stale: plan.stale,
+      added: plan.added,
+    });
+  }
+
+  const { failures, extraction } = await enrichGames(pending, {
+    cache,
+    limiter,
+    concurrency,
+    details,
+    apiBase,
+    journal,
+    extractors: registry,
+    log,
+    run,
+    onRetry,
+  });
+  return { games: selected, failures, listingComplete, extraction };
+}
+
+module.exports = {
+  DETAIL_BACKENDS,
+  HTML_EXTRACTORS,
+  normalizeNumber,
+  roundTo,
+  coerceInt,
+  coerceFloat,
+  htmlToText,
+  extractGamesFromHtml,
+  getNextPageUrl,
+  parseBestPlayersFromText,
+  extractDetailsFromGameHtml,
+  createHtmlExtractors,
+  retryLogger,
+  fetchHtml,
+  fetchGameDetails,
+  enrichWithHtml,
+  enrichWithXmlApi,
+  enrichGames,
+  scrapeListing,
+  scrapeAll,
+};
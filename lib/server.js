@@ -0,0 +1,237 @@
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const query = require("./query");
+const history = require("./history");
+const { readDatasetIndex } = require("./sources");
+
+const DEFAULT_PORT = 8080;
+const DEFAULT_HOST = "127.0.0.1";
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".avif": "image/avif",
+};
+
+// The viewer's own files; everything else under the root (config, caches, journals, .git,
+// node_modules) stays private
+const STATIC_FILES = new Set(["index.html", "viewer.js", "styles.css", "lib/query.js", "lib/recommend.js", "lib/imageref.js", "lib/viewstate.js", "lib/charts.js", "datasets.json"]);
+const STATIC_DIRS = ["images/", "history/"];
+const DATASET_FILE = /^boardgames(-[\w-]+)?\.json$/;
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function etagFor(body) {
+  return `"${crypto.createHash("sha1").update(body).digest("hex").slice(0, 16)}"`;
+}
+
+// If-None-Match may list several tags, or be "*"
+function isFresh(req, etag) {
+  const header = req.headers["if-none-match"];
+  if (!header) return false;
+  return header.trim() === "*" || header.split(",").some((tag) => tag.trim().replace(/^W\//, "") === etag.replace(/^W\//, ""));
+}
+
+function send(req, res, status, body, { type, etag = etagFor(body), headers = {} } = {}) {
+  const common = { ETag: etag, "Cache-Control": "no-cache", ...headers };
+  if (status === 200 && isFresh(req, etag)) {
+    res.writeHead(304, common);
+    res.end();
+    return;
+  }
+  res.writeHead(status, { ...common, "Content-Type": type, "Content-Length": body.length });
+  res.end(req.method === "HEAD" ? undefined : body);
+}
+
+function sendJson(req, res, status, value, options = {}) {
+  const body = Buffer.from(`${JSON.stringify(value)}\n`);
+  // The API is for scripts and other pages as much as for the viewer
+  send(req, res, status, body, { type: CONTENT_TYPES[".json"], ...options, headers: { "Access-Control-Allow-Origin": "*", ...options.headers } });
+}
+
+function decodePath(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch (_e) {
+    throw httpError(400, `Malformed URL encoding in ${text}`);
+  }
+}
+
+// Positive integer query parameter, or the fallback when absent
+function intParam(params, name, fallback, max = Number.POSITIVE_INFINITY) {
+  if (!params.has(name)) return fallback;
+  const value = Number(params.get(name));
+  if (!Number.isInteger(value) || value < 1) throw httpError(400, `${name} must be a positive integer`);
+  return Math.min(value, max);
+}
+
+// Serves the viewer from `root` plus a JSON API over the dataset:
+//
+//   GET /api/games           the viewer's query string (q, sort, players=2-4, mechanics=…,
+//                            only=owned, …) plus page and per_page; ?data=<key> picks a list
+//                            from datasets.json. sort=<column>[:asc|desc] defaults to
+//                            ascending for rank, list_rank, subdomain_rank and title and
+//                            descending for every other column. A bare number is a range
+//                            of one (players=3 is players=3-3); a range or sort column
+//                            that cannot be read is a 400
+//   GET /api/games/:id       one game by BGG id
+//   GET /api/snapshots       the dataset's history manifest
+//   GET /api/snapshots/:file one saved snapshot
+//   GET /api/data            the dataset file as written, for cheap polling with If-None-Match
+//
+// Every response carries an ETag. Datasets are re-read when their file changes on disk, so
+// a scrape that finishes while the server runs is picked up by the next request.
+function createServer({ root = ".", dataFile = path.join(root, "boardgames.json"), historyDir = path.join(root, "history") } = {}) {
+  const rootDir = path.resolve(root);
+  const loaded = new Map(); // absolute path -> { mtimeMs, size, raw, etag, games }
+
+  function resolveDataset(key) {
+    if (!key) return { file: path.resolve(dataFile), history: path.resolve(historyDir) };
+    const entry = readDatasetIndex(rootDir).find((e) => e.key === key);
+    if (!entry) throw httpError(404, `Unknown dataset ${key}`);
+    return { file: path.resolve(rootDir, entry.file), history: entry.history ? path.resolve(rootDir, entry.history) : null };
+  }
+
+  function loadDataset(file) {
+    let stat;
+    try {
+      stat = fs.statSync(file);
+    } catch (_e) {
+      throw httpError(404, `No dataset at ${path.relative(rootDir, file) || file}`);
+    }
+    const cached = loaded.get(file);
+    if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) return cached;
+    const raw = fs.readFileSync(file);
+    const games = JSON.parse(raw.toString("utf8"));
+    if (!Array.isArray(games)) throw httpError(500, `${path.basename(file)} is not a list of games`);
+    const dataset = { mtimeMs: stat.mtimeMs, size: stat.size, raw, etag: etagFor(raw), games: query.indexGames(games) };
+    loaded.set(file, dataset);
+    return dataset;
+  }
+
+  function listGames(req, res, params) {
+    const { games } = loadDataset(resolveDataset(params.get("data")).file);
+    const page = intParam(params, "page", 1);
+    const perPage = intParam(params, "per_page", DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const problem = query.paramError(params);
+    if (problem) throw httpError(400, problem);
+    const { rows } = query.queryGames(games, query.readParams(params));
+    const start = (page - 1) * perPage;
+    sendJson(req, res, 200, {
+      total: rows.length,
+      page,
+      per_page: perPage,
+      pages: Math.ceil(rows.length / perPage),
+      games: rows.slice(start, start + perPage),
+    });
+  }
+
+  function getGame(req, res, params, id) {
+    const { games } = loadDataset(resolveDataset(params.get("data")).file);
+    const game = games.find((g) => history.gameKey(g) === id);
+    if (!game) throw httpError(404, `No game with id ${id}`);
+    sendJson(req, res, 200, game);
+  }
+
+  function snapshotsDir(params) {
+    const dir = resolveDataset(params.get("data")).history;
+    if (!dir) throw httpError(404, "This dataset keeps no history");
+    return dir;
+  }
+
+  function listSnapshots(req, res, params) {
+    sendJson(req, res, 200, { snapshots: history.readManifest(snapshotsDir(params)) });
+  }
+
+  function getSnapshot(req, res, params, file) {
+    const dir = snapshotsDir(params);
+    // Only files the manifest lists, so the name can never reach outside the history dir
+    if (!history.readManifest(dir).some((e) => e.file === file)) throw httpError(404, `No snapshot ${file}`);
+    const body = fs.readFileSync(path.join(dir, file));
+    send(req, res, 200, body, { type: CONTENT_TYPES[".json"], headers: { "Access-Control-Allow-Origin": "*" } });
+  }
+
+  function getData(req, res, params) {
+    const { raw, etag } = loadDataset(resolveDataset(params.get("data")).file);
+    send(req, res, 200, raw, { type: CONTENT_TYPES[".json"], etag, headers: { "Access-Control-Allow-Origin": "*" } });
+  }
+
+  // Viewer assets, the datasets and covers and snapshots next to them, and any dataset or
+  // history dir datasets.json points at
+  function isPublic(relative) {
+    const parts = relative.split("/");
+    if (parts.some((part) => part.startsWith("."))) return false;
+    if (STATIC_FILES.has(relative) || DATASET_FILE.test(relative)) return true;
+    if (STATIC_DIRS.some((dir) => relative.startsWith(dir))) return true;
+    return readDatasetIndex(rootDir).some((entry) => entry.file === relative || (entry.history && relative.startsWith(`${entry.history}/`)));
+  }
+
+  function serveStatic(req, res, pathname) {
+    const filePath = path.resolve(rootDir, `.${pathname === "/" ? "/index.html" : pathname}`);
+    if (filePath !== rootDir && !filePath.startsWith(`${rootDir}${path.sep}`)) throw httpError(403, "Forbidden");
+    if (!isPublic(path.relative(rootDir, filePath).split(path.sep).join("/"))) throw httpError(404, `Not found: ${pathname}`);
+    let stat;
+    try {
+      stat = fs.statSync(filePath);
+    } catch (_e) {
+      throw httpError(404, `Not found: ${pathname}`);
+    }
+    if (!stat.isFile()) throw httpError(404, `Not found: ${pathname}`);
+    const etag = `W/"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+    const type = CONTENT_TYPES[path.extname(filePath).toLowerCase()] || "application/octet-stream";
+    if (isFresh(req, etag)) {
+      res.writeHead(304, { ETag: etag, "Cache-Control": "no-cache" });
+      res.end();
+      return;
+    }
+    send(req, res, 200, fs.readFileSync(filePath), { type, etag });
+  }
+
+  function route(req, res) {
+    if (req.method !== "GET" && req.method !== "HEAD") throw httpError(405, `${req.method} is not supported`);
+    const url = new URL(req.url, "http://localhost");
+    const { pathname, searchParams: params } = url;
+    let match;
+    if (pathname === "/api/games") return listGames(req, res, params);
+    if ((match = pathname.match(/^\/api\/games\/([^/]+)$/))) return getGame(req, res, params, decodePath(match[1]));
+    if (pathname === "/api/snapshots") return listSnapshots(req, res, params);
+    if ((match = pathname.match(/^\/api\/snapshots\/([^/]+)$/))) return getSnapshot(req, res, params, decodePath(match[1]));
+    if (pathname === "/api/data") return getData(req, res, params);
+    if (pathname.startsWith("/api/")) throw httpError(404, `Unknown endpoint ${pathname}`);
+    return serveStatic(req, res, decodePath(pathname));
+  }
+
+  return http.createServer((req, res) => {
+    try {
+      route(req, res);
+    } catch (error) {
+      const status = error.status || 500;
+      if (status === 500) process.stderr.write(`${req.method} ${req.url}: ${error.message}\n`);
+      sendJson(req, res, status, { error: error.message });
+    }
+  });
+}
+
+module.exports = {
+  DEFAULT_PORT,
+  DEFAULT_HOST,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  createServer,
+};
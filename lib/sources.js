@@ -0,0 +1,142 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const BGG_BASE = "https://boardgamegeek.com";
+const DEFAULT_SOURCE = "overall";
+// Lists the viewer can switch between, written next to the datasets
+const DATASET_INDEX_FILE = "datasets.json";
+
+// Named rank lists. Subdomain rankings are the overall browse page filtered to the
+// subdomain's family id, which is how BGG links them from each subdomain's front page.
+const SOURCES = {
+  overall: { label: "Overall", path: "/browse/boardgame" },
+  strategy: { label: "Strategy", path: "/browse/boardgame", subdomain: "strategygames", familyId: 5497 },
+  thematic: { label: "Thematic", path: "/browse/boardgame", subdomain: "thematic", familyId: 5496 },
+  family: { label: "Family", path: "/browse/boardgame", subdomain: "familygames", familyId: 5499 },
+  party: { label: "Party", path: "/browse/boardgame", subdomain: "partygames", familyId: 5498 },
+  wargames: { label: "Wargames", path: "/browse/boardgame", subdomain: "wargames", familyId: 4664 },
+  abstracts: { label: "Abstract", path: "/browse/boardgame", subdomain: "abstracts", familyId: 4666 },
+  childrens: { label: "Children's", path: "/browse/boardgame", subdomain: "childrensgames", familyId: 4665 },
+  customizable: { label: "Customizable", path: "/browse/boardgame", subdomain: "cgs", familyId: 4667 },
+  expansions: { label: "Expansions", path: "/browse/boardgameexpansion" },
+};
+
+// "numvoters" or "numvoters:desc" -> { sort, sortdir }
+function parseSortKey(text) {
+  const [sort, dir] = String(text).trim().split(":");
+  if (!/^[a-z_]+$/i.test(sort || "")) throw new Error(`Invalid sort key "${text}"`);
+  if (dir && dir !== "asc" && dir !== "desc") throw new Error(`Sort direction must be asc or desc, got "${dir}"`);
+  return { sort, sortdir: dir || null };
+}
+
+// A source is a key from SOURCES or a boardgamegeek.com browse URL; `sort` overrides the
+// list's sort key. The result says where to start paging and what to record on each game.
+function resolveSource(spec = DEFAULT_SOURCE, { sort = null } = {}) {
+  let key;
+  let label;
+  let subdomain = null;
+  let url;
+  if (SOURCES[spec]) {
+    const named = SOURCES[spec];
+    key = spec;
+    label = named.label;
+    subdomain = named.subdomain || null;
+    url = new URL(named.path, BGG_BASE);
+    if (named.familyId) {
+      url.searchParams.set("sort", "rank");
+      url.searchParams.set("rankobjecttype", "family");
+      url.searchParams.set("rankobjectid", String(named.familyId));
+    }
+  } else if (/^https?:\/\//i.test(spec)) {
+    url = new URL(spec);
+    if (url.hostname.replace(/^www\./, "") !== "boardgamegeek.com" || !url.pathname.startsWith("/browse/")) {
+      throw new Error(`--source URL must be a boardgamegeek.com browse page, got ${spec}`);
+    }
+    url.hostname = "boardgamegeek.com";
+    url.protocol = "https:";
+    key = spec;
+    label = url.pathname.replace(/^\/browse\//, "") + (url.search ? ` ${url.search}` : "");
+  } else {
+    throw new Error(`Unknown --source "${spec}"; use a browse URL or one of: ${Object.keys(SOURCES).join(", ")}`);
+  }
+  if (sort) {
+    const { sort: sortKey, sortdir } = parseSortKey(sort);
+    url.searchParams.set("sort", sortKey);
+    if (sortdir) url.searchParams.set("sortdir", sortdir);
+    else url.searchParams.delete("sortdir");
+  }
+  const sortKey = url.searchParams.get("sort") || "rank";
+  return {
+    key,
+    label,
+    url: url.toString(),
+    subdomain,
+    // Only a rank-ordered list has the overall (or subdomain) rank in its rank column
+    rankOrdered: sortKey === "rank" && !url.searchParams.get("sortdir"),
+    custom: !SOURCES[spec],
+  };
+}
+
+// Short, file-name-safe name for a source: the key itself, or "custom-<hash>" for URLs
+function sourceSlug(source) {
+  if (!source.custom) return source.key;
+  let hash = 0;
+  for (const c of source.url) hash = (hash * 31 + c.charCodeAt(0)) >>> 0;
+  return `custom-${hash.toString(36)}`;
+}
+
+// Tags each game with its list and its position in it (list_rank). The scraped rank is kept
+// as BGG shows it: the overall rank on every list, or null for unranked rows. A rank-ordered
+// subdomain list also records the position as subdomain_rank.
+function annotateSource(games, source) {
+  games.forEach((game, index) => {
+    game.source = source.key;
+    game.list_rank = index + 1;
+    game.subdomain_rank = source.subdomain && source.rankOrdered ? index + 1 : null;
+  });
+  return games;
+}
+
+function readDatasetIndex(dir) {
+  try {
+    const entries = JSON.parse(fs.readFileSync(path.join(dir, DATASET_INDEX_FILE), "utf8"));
+    return Array.isArray(entries) ? entries : [];
+  } catch (_e) {
+    return [];
+  }
+}
+
+// Adds or replaces the entry for `source` in datasets.json; paths are relative to `dir`
+function recordDataset(dir, source, { file, historyDir = null, count, hash = null }) {
+  const relative = (p) => path.relative(dir, path.resolve(p)).split(path.sep).join("/");
+  const entry = {
+    key: sourceSlug(source),
+    label: source.label,
+    source: source.key,
+    file: relative(file),
+    history: historyDir ? relative(historyDir) : null,
+    count,
+    hash,
+  };
+  const entries = readDatasetIndex(dir).filter((e) => e.key !== entry.key);
+  entries.push(entry);
+  // The overall list first, then the rest in the order they were first scraped
+  entries.sort((a, b) => (b.key === DEFAULT_SOURCE) - (a.key === DEFAULT_SOURCE));
+  fs.writeFileSync(path.join(dir, DATASET_INDEX_FILE), `${JSON.stringify(entries, null, 2)}\n`, "utf8");
+  return entry;
+}
+
+module.exports = {
+  BGG_BASE,
+  DEFAULT_SOURCE,
+  DATASET_INDEX_FILE,
+  SOURCES,
+  parseSortKey,
+  resolveSource,
+  sourceSlug,
+  annotateSource,
+  readDatasetIndex,
+  recordDataset,
+};
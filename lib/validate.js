@@ -0,0 +1,148 @@
+"use strict";
+
+const Ajv = require("ajv");
+const schema = require("../schema/game.schema.json");
+const { gameKey } = require("./history");
+
+// Fields whose null rate is reported, in schema order
+const REPORTED_FIELDS = Object.keys(schema.properties);
+
+// Anything not listed may be missing on every game; a threshold of 0 means "never null".
+// rank is not among them: lists other than the overall ranking keep their unranked rows.
+const DEFAULT_THRESHOLDS = {
+  maxInvalid: 0,
+  maxNullRate: { title: 0, url: 0 },
+  defaultMaxNullRate: 1,
+};
+
+function compileValidator() {
+  const ajv = new Ajv({ allErrors: true });
+  return ajv.compile(schema);
+}
+
+function isMissing(value) {
+  return value === null || value === undefined || (Array.isArray(value) && value.length === 0);
+}
+
+// [minKey, maxKey, message] pairs that must be ordered when both are known
+const RANGE_INVARIANTS = [
+  ["min_players", "max_players", "min_players > max_players"],
+  ["min_best_players", "max_best_players", "min_best_players > max_best_players"],
+  ["min_playing_time", "max_playing_time", "min_playing_time > max_playing_time"],
+  ["min_players", "min_best_players", "best-player range starts below min_players"],
+  ["max_best_players", "max_players", "best-player range ends above max_players"],
+];
+
+function checkInvariants(game) {
+  const problems = [];
+  for (const [lowKey, highKey, message] of RANGE_INVARIANTS) {
+    const low = game[lowKey];
+    const high = game[highKey];
+    if (typeof low === "number" && typeof high === "number" && low > high) {
+      problems.push(`${message} (${low} > ${high})`);
+    }
+  }
+  return problems;
+}
+
+function checkSequence(values, noun, { contiguous }) {
+  const problems = [];
+  const sorted = values.filter((v) => Number.isInteger(v)).sort((a, b) => a - b);
+  for (let i = 1; i < sorted.length; i += 1) {
+    if (sorted[i] === sorted[i - 1]) problems.push(`duplicate ${noun} ${sorted[i]}`);
+    else if (contiguous && sorted[i] !== sorted[i - 1] + 1) problems.push(`${noun}s skip from ${sorted[i - 1]} to ${sorted[i]}`);
+  }
+  if (contiguous && sorted.length && sorted[0] !== 1) problems.push(`${noun}s start at ${sorted[0]} instead of 1`);
+  return problems;
+}
+
+// Dataset-wide checks: positions should run 1..N without gaps and games should not repeat.
+// On the overall list the rank is the position; other lists carry overall ranks with gaps,
+// so only their list_rank has to be contiguous.
+function checkDataset(games) {
+  const overall = games.every((g) => g.source === undefined || g.source === "overall");
+  const problems = checkSequence(games.map((g) => g.rank), "rank", { contiguous: overall });
+  if (!overall) problems.push(...checkSequence(games.map((g) => g.list_rank), "list position", { contiguous: true }));
+  const seen = new Map();
+  for (const game of games) {
+    const key = gameKey(game);
+    if (seen.has(key)) problems.push(`${game.title} appears at rank ${seen.get(key)} and ${game.rank}`);
+    else seen.set(key, game.rank);
+  }
+  return problems;
+}
+
+function resolveThresholds(overrides = {}) {
+  return {
+    maxInvalid: overrides.maxInvalid ?? DEFAULT_THRESHOLDS.maxInvalid,
+    defaultMaxNullRate: overrides.defaultMaxNullRate ?? DEFAULT_THRESHOLDS.defaultMaxNullRate,
+    maxNullRate: { ...DEFAULT_THRESHOLDS.maxNullRate, ...(overrides.maxNullRate || {}) },
+  };
+}
+
+function validateGames(games, thresholdOverrides = {}) {
+  const thresholds = resolveThresholds(thresholdOverrides);
+  const validate = compileValidator();
+  const offenders = [];
+  for (const game of games) {
+    const problems = [];
+    if (!validate(game)) {
+      validate.errors.forEach((e) => problems.push(`${e.instancePath || "record"} ${e.message}`.trim()));
+    }
+    problems.push(...checkInvariants(game));
+    if (problems.length) offenders.push({ rank: game?.rank ?? null, title: game?.title ?? null, problems });
+  }
+
+  const nullRates = {};
+  for (const field of REPORTED_FIELDS) {
+    const missing = games.filter((g) => isMissing(g[field])).length;
+    nullRates[field] = games.length ? missing / games.length : 0;
+  }
+
+  const datasetProblems = checkDataset(games);
+  const violations = [];
+  const invalidCount = offenders.length + datasetProblems.length;
+  if (invalidCount > thresholds.maxInvalid) {
+    violations.push(`${invalidCount} problems found, at most ${thresholds.maxInvalid} allowed`);
+  }
+  for (const field of REPORTED_FIELDS) {
+    const limit = thresholds.maxNullRate[field] ?? thresholds.defaultMaxNullRate;
+    if (nullRates[field] > limit) {
+      violations.push(`${field} is missing on ${formatPercent(nullRates[field])} of games, limit ${formatPercent(limit)}`);
+    }
+  }
+
+  return { count: games.length, nullRates, offenders, datasetProblems, violations, ok: violations.length === 0 };
+}
+
+function formatPercent(ratio) {
+  return `${(ratio * 100).toFixed(1)}%`;
+}
+
+function formatReport(report, { maxOffenders = 25 } = {}) {
+  const lines = [`Data quality report for ${report.count} games`, "", "Missing values per field:"];
+  const width = Math.max(...REPORTED_FIELDS.map((f) => f.length));
+  for (const field of REPORTED_FIELDS) {
+    lines.push(`  ${field.padEnd(width)}  ${formatPercent(report.nullRates[field]).padStart(6)}`);
+  }
+  lines.push("", `Dataset problems (${report.datasetProblems.length}):`);
+  report.datasetProblems.forEach((p) => lines.push(`  ${p}`));
+  lines.push("", `Games with problems (${report.offenders.length}):`);
+  report.offenders.slice(0, maxOffenders).forEach((o) => {
+    lines.push(`  #${o.rank ?? "?"} ${o.title ?? "(untitled)"}: ${o.problems.join("; ")}`);
+  });
+  if (report.offenders.length > maxOffenders) lines.push(`  … and ${report.offenders.length - maxOffenders} more`);
+  lines.push("", report.ok ? "Result: OK" : `Result: FAILED\n${report.violations.map((v) => `  ${v}`).join("\n")}`);
+  return `${lines.join("\n")}\n`;
+}
+
+module.exports = {
+  schema,
+  REPORTED_FIELDS,
+  DEFAULT_THRESHOLDS,
+  checkInvariants,
+  checkDataset,
+  resolveThresholds,
+  validateGames,
+  formatReport,
+};
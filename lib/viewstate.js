@@ -0,0 +1,132 @@
+/* global window */
+// The viewer's own state beyond the filters in lib/query.js: game night and saved presets,
+// which rows the table renders, which game the detail drawer shows and its history across
+// snapshots. Kept free of requires so the browser can load it with a plain <script> tag,
+// and the pure parts can be tested under node.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.BGGViewState = factory();
+})(typeof window !== "undefined" ? window : this, function () {
+  "use strict";
+
+  const PRESET_FILE_VERSION = 1;
+
+  function numberOrNull(text) {
+    if (text === undefined || text === null || text.trim() === "") return null;
+    const n = Number(text);
+    return Number.isFinite(n) ? n : null;
+  }
+
+  // Game night is part of the address while it is on: ?night=4p&night-minutes=90&night-weight=1.5-3
+  function writeGameNight(params, night) {
+    if (!night.active) return params;
+    params.set("night", `${night.players}p`);
+    params.set("night-minutes", night.minutes);
+    params.set("night-weight", `${night.minWeight}-${night.maxWeight}`);
+    return params;
+  }
+
+  // The game night a query string asks for; values it lacks or garbles keep those of `night`
+  function readGameNight(params, night) {
+    if (!params.has("night")) return { ...night };
+    const [minWeight, maxWeight] = (params.get("night-weight") || "").split("-");
+    const pick = (text, fallback) => String(numberOrNull(text) ?? fallback);
+    return {
+      active: true,
+      players: pick(params.get("night").replace(/p$/, ""), night.players),
+      minutes: pick(params.get("night-minutes"), night.minutes),
+      minWeight: pick(minWeight, night.minWeight),
+      maxWeight: pick(maxWeight, night.maxWeight),
+    };
+  }
+
+  // Presets are named query strings, { name, query }. Storage holds a bare list and exported
+  // files wrap it as { version, presets }; both are read here, dropping malformed entries.
+  function parsePresets(data) {
+    const list = Array.isArray(data) ? data : data && Array.isArray(data.presets) ? data.presets : [];
+    return list
+      .filter((p) => p && typeof p.name === "string" && p.name.trim() && typeof p.query === "string")
+      .map((p) => ({ name: p.name.trim(), query: p.query }));
+  }
+
+  // Same name replaces the older preset; the result is sorted by name
+  function mergePresets(existing, incoming) {
+    const byName = new Map(existing.map((p) => [p.name, p]));
+    incoming.forEach((p) => byName.set(p.name, { name: p.name, query: p.query }));
+    return Array.from(byName.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  function exportPresets(presets) {
+    return { version: PRESET_FILE_VERSION, presets };
+  }
+
+  // Rows [first, last) of `count` to render when the table body starts `top` px below the top
+  // of the viewport (negative once scrolled past), with `overscan` extra rows on either side
+  function rowWindow({ top, viewportHeight, rowHeight, overscan, count }) {
+    const first = Math.floor(-top / rowHeight) - overscan;
+    const last = Math.ceil((viewportHeight - top) / rowHeight) + overscan;
+    return [Math.max(0, Math.min(count, first)), Math.max(0, Math.min(count, last))];
+  }
+
+  // Games are matched by BGG id, falling back to the title for odd urls (as lib/history.js does)
+  function gameId(game) {
+    const match = String(game.url || "").match(/\/boardgame(?:expansion)?\/(\d+)/);
+    return match ? match[1] : `title:${game.title}`;
+  }
+
+  // #game/<id> deep-links the detail drawer
+  function gameHash(id) {
+    return `#game/${encodeURIComponent(id)}`;
+  }
+
+  // The id in a #game/<id> hash, or null for any other hash (including malformed escapes)
+  function gameIdFromHash(hash) {
+    const match = String(hash || "").match(/^#game\/(.+)$/);
+    if (!match) return null;
+    try {
+      return decodeURIComponent(match[1]);
+    } catch (_e) {
+      return null;
+    }
+  }
+
+  // The row `offset` steps from `index` among `count` rows, clamped to the ends; starts at the
+  // first row when nothing is selected (index -1)
+  function stepIndex(index, offset, count) {
+    if (!count) return -1;
+    return index === -1 ? 0 : Math.min(count - 1, Math.max(0, index + offset));
+  }
+
+  // Same games at the same ranks and ratings, which is all the movement column compares
+  function sameRanking(a, b) {
+    return a.length === b.length && a.every((g, i) => gameId(g) === gameId(b[i]) && g.rank === b[i].rank && g.geek_rating === b[i].geek_rating);
+  }
+
+  // One point per snapshot the game appears in, oldest first. `snapshots` holds the loaded
+  // file for each manifest entry, or null where it could not be read.
+  function historyPoints(manifest, snapshots, id) {
+    const points = [];
+    manifest.forEach((entry, i) => {
+      const snapshot = snapshots[i];
+      if (!Array.isArray(snapshot)) return;
+      const game = snapshot.find((g) => gameId(g) === id);
+      if (game) points.push({ taken_at: entry.taken_at, rank: game.rank, geek_rating: game.geek_rating });
+    });
+    return points;
+  }
+
+  return {
+    writeGameNight,
+    readGameNight,
+    parsePresets,
+    mergePresets,
+    exportPresets,
+    rowWindow,
+    gameId,
+    gameHash,
+    gameIdFromHash,
+    stepIndex,
+    sameRanking,
+    historyPoints,
+  };
+});
@@ -0,0 +1,162 @@
+"use strict";
+
+const axios = require("axios");
+const cheerio = require("cheerio");
+const { cacheMissError } = require("./cache");
+const { sleep, withRetry } = require("./http");
+const { pollRow, playerCountFields } = require("./poll");
+
+const DEFAULT_API_BASE = "https://boardgamegeek.com/xmlapi2";
+const MAX_BATCH_SIZE = 20;
+
+function extractGameId(gameUrl) {
+  if (!gameUrl) return null;
+  const match = String(gameUrl).match(/\/boardgame(?:expansion)?\/(\d+)/);
+  return match ? match[1] : null;
+}
+
+function chunk(items, size) {
+  const batches = [];
+  for (let i = 0; i < items.length; i += size) batches.push(items.slice(i, i + size));
+  return batches;
+}
+
+function buildThingUrl(ids, apiBase = DEFAULT_API_BASE) {
+  return `${apiBase.replace(/\/+$/, "")}/thing?id=${ids.join(",")}&stats=1`;
+}
+
+function intValue($el) {
+  const raw = $el.attr("value");
+  if (raw === undefined || raw === "") return null;
+  const n = Number(raw);
+  // The API reports unknown counts and times as 0
+  return Number.isNaN(n) || n === 0 ? null : Math.trunc(n);
+}
+
+function weightValue($el) {
+  const n = Number($el.attr("value"));
+  if (Number.isNaN(n) || n === 0) return null;
+  return Math.round((n + Number.EPSILON) * 100) / 100;
+}
+
+function playerPollRows($, $poll) {
+  return $poll
+    .find("results")
+    .map((_, el) => {
+      const votes = {};
+      $(el).find("result").each((__, r) => {
+        votes[$(r).attr("value")] = $(r).attr("numvotes");
+      });
+      return pollRow($(el).attr("numplayers"), votes);
+    })
+    .get()
+    .filter(Boolean);
+}
+
+function linkValues($, $item, type) {
+  return $item
+    .children(`link[type='${type}']`)
+    .map((_, el) => ($(el).attr("value") || "").trim())
+    .get()
+    .filter(Boolean);
+}
+
+function descriptionText($item) {
+  // BGG escapes the description twice (&amp;amp;), so decode the second layer here
+  const raw = $item.children("description").first().text();
+  const decoded = cheerio.load(`<div>${raw}</div>`, null, false).text();
+  const text = decoded.replace(/\n{3,}/g, "\n\n").trim();
+  return text || null;
+}
+
+// Bigger covers than the listing's micro hotlink, null when the item lists neither
+function imageVariants($item) {
+  const variants = {};
+  const thumb = $item.children("thumbnail").first().text().trim();
+  const original = $item.children("image").first().text().trim();
+  if (thumb) variants.thumb = thumb;
+  if (original) variants.original = original;
+  return Object.keys(variants).length ? variants : null;
+}
+
+function parseThingXml(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const detailsById = new Map();
+  $("items > item").each((_, el) => {
+    const $item = $(el);
+    const players = playerCountFields({ poll: playerPollRows($, $item.find("poll[name='suggested_numplayers']").first()) });
+    detailsById.set($item.attr("id"), {
+      min_players: intValue($item.children("minplayers").first()),
+      max_players: intValue($item.children("maxplayers").first()),
+      min_best_players: players.min_best_players,
+      max_best_players: players.max_best_players,
+      best_players: players.best_players,
+      recommended_players: players.recommended_players,
+      player_poll: players.player_poll,
+      min_playing_time: intValue($item.children("minplaytime").first()),
+      max_playing_time: intValue($item.children("maxplaytime").first()),
+      weight: weightValue($item.find("statistics ratings averageweight").first()),
+      min_age: intValue($item.children("minage").first()),
+      categories: linkValues($, $item, "boardgamecategory"),
+      mechanics: linkValues($, $item, "boardgamemechanic"),
+      designers: linkValues($, $item, "boardgamedesigner"),
+      artists: linkValues($, $item, "boardgameartist"),
+      publishers: linkValues($, $item, "boardgamepublisher"),
+      description: descriptionText($item),
+      image_remote: imageVariants($item),
+    });
+  });
+  return detailsById;
+}
+
+// BGG answers 202 while it prepares a response, so the request is polled up to `polls`
+// times. Transport errors, 429 and 5xx get `attempts` tries in all, shared by every poll,
+// which keeps a batch to at most polls + attempts - 1 requests.
+// onRetry(error, attempt, delay) is called before every retry, including re-polls of a queued request
+async function fetchXml(url, { cache = null, limiter = null, polls = 5, attempts = 3, retryDelayMs = 2000, onRetry = null } = {}) {
+  if (cache && !cache.refresh) {
+    const cached = cache.read(url);
+    if (cached !== null) return cached;
+  }
+  if (cache && cache.offline) throw cacheMissError(url);
+  let retriesLeft = attempts - 1;
+  for (let poll = 1; poll <= polls; poll += 1) {
+    // Transport errors, 429 and 5xx get their own jittered backoff inside withRetry
+    const response = await withRetry(async (attempt) => {
+      if (attempt > 1) retriesLeft -= 1;
+      if (limiter) await limiter.acquire();
+      return axios.get(url, {
+        headers: { Accept: "application/xml,text/xml;q=0.9,*/*;q=0.8" },
+        responseType: "text",
+        validateStatus: (status) => status === 200 || status === 202,
+      });
+    }, { attempts: retriesLeft + 1, baseDelayMs: retryDelayMs, onRetry });
+    if (response.status === 200) {
+      if (cache) cache.write(url, response.data);
+      return response.data;
+    }
+    // 202: BGG queued the request and wants us to come back later
+    if (poll < polls) {
+      if (onRetry) onRetry(new Error("request queued (202)"), poll, retryDelayMs * poll);
+      await sleep(retryDelayMs * poll);
+    }
+  }
+  throw new Error(`Request still queued after ${polls} poll(s): ${url}`);
+}
+
+async function fetchThingDetails(ids, { apiBase = DEFAULT_API_BASE, cache = null, limiter = null, polls, attempts, retryDelayMs = 2000, onRetry = null } = {}) {
+  if (ids.length > MAX_BATCH_SIZE) throw new Error(`The thing endpoint accepts at most ${MAX_BATCH_SIZE} ids`);
+  const xml = await fetchXml(buildThingUrl(ids, apiBase), { cache, limiter, polls, attempts, retryDelayMs, onRetry });
+  return parseThingXml(xml);
+}
+
+module.exports = {
+  DEFAULT_API_BASE,
+  MAX_BATCH_SIZE,
+  extractGameId,
+  chunk,
+  buildThingUrl,
+  parseThingXml,
+  fetchXml,
+  fetchThingDetails,
+};
@@ -0,0 +1,33 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { cacheKey, createResponseCache } = require("../lib/cache");
+const { fetchHtml } = require("../lib/scraper");
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "bgg-cache-"));
+}
+
+test("cacheKey is stable per URL", () => {
+  assert.equal(cacheKey("https://example.com/a"), cacheKey("https://example.com/a"));
+  assert.notEqual(cacheKey("https://example.com/a"), cacheKey("https://example.com/b"));
+});
+
+test("createResponseCache round-trips a body and misses unknown URLs", () => {
+  const cache = createResponseCache({ dir: tempDir() });
+  assert.equal(cache.read("https://example.com/a"), null);
+  cache.write("https://example.com/a", "<html>a</html>");
+  assert.equal(cache.read("https://example.com/a"), "<html>a</html>");
+  assert.deepEqual(fs.readdirSync(cache.dir), [`${cacheKey("https://example.com/a")}.body`]);
+});
+
+test("fetchHtml serves cached pages offline and fails on a miss", async () => {
+  const cache = createResponseCache({ dir: tempDir(), offline: true });
+  cache.write("https://example.com/hit", "<html>hit</html>");
+  assert.equal(await fetchHtml("https://example.com/hit", { cache }), "<html>hit</html>");
+  await assert.rejects(fetchHtml("https://example.com/miss", { cache }), { code: "ECACHEMISS" });
+});
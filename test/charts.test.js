@@ -0,0 +1,75 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { extent, linearScale, niceTicks, pearson, quantile, boxStats, yearBins } = require("../lib/charts");
+
+test("extent handles iterables and datasets too large to spread", () => {
+  assert.deepEqual(extent([3, -1, 7, 2]), [-1, 7]);
+  assert.deepEqual(extent(new Set([5]).keys()), [5, 5]);
+  assert.deepEqual(extent([]), [Infinity, -Infinity]);
+  const many = Array.from({ length: 200000 }, (_, i) => i % 1000);
+  assert.deepEqual(extent(many), [0, 999]);
+});
+
+test("linearScale maps a domain onto a range and back, including flipped ranges", () => {
+  const y = linearScale(0, 10, 200, 0);
+  assert.equal(y(0), 200);
+  assert.equal(y(5), 100);
+  assert.equal(y.invert(50), 7.5);
+  // A flat domain maps its only value to the start instead of dividing by zero
+  assert.equal(linearScale(4, 4, 0, 100)(4), 0);
+});
+
+test("niceTicks picks round steps that cover the range", () => {
+  assert.deepEqual(niceTicks(0, 10, 5), [0, 2, 4, 6, 8, 10]);
+  assert.deepEqual(niceTicks(1.3, 4.8, 4), [2, 3, 4]);
+  assert.deepEqual(niceTicks(6.1, 8.6, 5), [6.5, 7, 7.5, 8, 8.5]);
+  assert.deepEqual(niceTicks(0, 0, 4), [0]);
+});
+
+test("pearson reports correlation and the trend line slope", () => {
+  const line = pearson([[1, 2], [2, 4], [3, 6]]);
+  assert.equal(line.r, 1);
+  assert.equal(line.slope, 2);
+  assert.equal(line.mx, 2);
+  assert.equal(line.my, 4);
+  assert.equal(pearson([[1, 3], [2, 2], [3, 1]]).r, -1);
+  // No spread on one axis: no correlation rather than NaN
+  assert.deepEqual(pearson([[1, 5], [2, 5]]), { r: 0, slope: 0, mx: 1.5, my: 5 });
+});
+
+test("quantile interpolates between ranks", () => {
+  const sorted = [10, 20, 30, 40];
+  assert.equal(quantile(sorted, 0), 10);
+  assert.equal(quantile(sorted, 0.5), 25);
+  assert.equal(quantile(sorted, 0.25), 17.5);
+  assert.equal(quantile(sorted, 1), 40);
+  assert.equal(quantile([42], 0.75), 42);
+});
+
+test("boxStats stops the whiskers at the last values inside 1.5 IQR", () => {
+  const stats = boxStats([60, 30, 45, 90, 45, 60, 600]);
+  assert.deepEqual(stats, { q1: 45, median: 60, q3: 75, low: 30, high: 90, count: 7 });
+});
+
+test("yearBins picks 1, 5 or 10 year bins by span and keeps empty bins", () => {
+  assert.deepEqual(yearBins([]), { size: 1, bins: [] });
+  assert.deepEqual(yearBins([2020, 2022, 2022]), {
+    size: 1,
+    bins: [
+      { start: 2020, end: 2020, count: 1 },
+      { start: 2021, end: 2021, count: 0 },
+      { start: 2022, end: 2022, count: 2 },
+    ],
+  });
+  const fives = yearBins([1995, 2003, 2024]);
+  assert.equal(fives.size, 5);
+  assert.deepEqual(fives.bins.map((b) => [b.start, b.end, b.count]), [[1995, 1999, 1], [2000, 2004, 1], [2005, 2009, 0], [2010, 2014, 0], [2015, 2019, 0], [2020, 2024, 1]]);
+  const decades = yearBins([1876, 1995, 2025]);
+  assert.equal(decades.size, 10);
+  assert.deepEqual(decades.bins[0], { start: 1870, end: 1879, count: 1 });
+  assert.deepEqual(decades.bins.at(-1), { start: 2020, end: 2029, count: 1 });
+  assert.equal(decades.bins.length, 16);
+  assert.equal(decades.bins.reduce((n, b) => n + b.count, 0), 3);
+});
@@ -0,0 +1,200 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { OPTIONS, COMMANDS, parseArgs, formatHelp, runScrape, runEnrich } = require("../lib/cli");
+const { createResponseCache } = require("../lib/cache");
+const { createLogger } = require("../lib/log");
+const { EXIT_CODES } = require("../lib/run");
+const { readFixture } = require("./helpers");
+
+test("parseArgs implies the default cache dir for --offline", () => {
+  const args = parseArgs(["node", "index.js", "--offline", "--limit", "10"]);
+  assert.equal(args.offline, true);
+  assert.equal(args.cacheDir, ".cache");
+  assert.equal(args.limit, 10);
+});
+
+test("parseArgs keeps mirrored covers next to the dataset", () => {
+  const args = parseArgs(["node", "index.js", "--out", "data/top.json", "--download-images", "--image-size", "original"]);
+  assert.equal(args.downloadImages, true);
+  assert.equal(args.imageSize, "original");
+  assert.equal(args.imagesDir, path.join("data", "images"));
+  assert.equal(parseArgs(["node", "index.js"]).imageSize, "thumb");
+});
+
+test("parseArgs reads the extractor order and modules", () => {
+  const args = parseArgs(["node", "index.js", "--extractors", "next-data, preload", "--extractor", "a.js", "--extractor", "b.js"]);
+  assert.deepEqual(args.extractorOrder, ["next-data", "preload"]);
+  assert.deepEqual(args.extractorModules, ["a.js", "b.js"]);
+});
+
+test("parseArgs reads --incremental and --max-age", () => {
+  const args = parseArgs(["node", "index.js", "--incremental", "--max-age", "12h"]);
+  assert.equal(args.incremental, true);
+  assert.equal(args.maxAgeMs, 12 * 60 * 60 * 1000);
+  assert.equal(parseArgs(["node", "index.js"]).maxAgeMs, 30 * 24 * 60 * 60 * 1000);
+});
+
+test("parseArgs reads the logging options and --min-success-ratio", () => {
+  const args = parseArgs(["node", "index.js", "--log-format", "json", "--log-level", "warn", "--min-success-ratio", "95%"]);
+  assert.deepEqual([args.logFormat, args.logLevel, args.minSuccessRatio], ["json", "warn", 0.95]);
+  const defaults = parseArgs(["node", "index.js"]);
+  assert.deepEqual([defaults.logFormat, defaults.logLevel, defaults.minSuccessRatio], ["text", "info", null]);
+});
+
+test("parseArgs gives other sources their own dataset and history", () => {
+  const args = parseArgs(["node", "index.js", "--source", "wargames"]);
+  assert.equal(args.source.key, "wargames");
+  assert.equal(args.out, "boardgames-wargames.json");
+  assert.equal(args.historyDir, path.join("history", "wargames"));
+  assert.equal(args.journal, "boardgames-wargames.json.journal");
+  assert.equal(parseArgs(["node", "index.js", "--source", "family", "--out", "fam.json"]).out, "fam.json");
+});
+
+test("runScrape keeps a better dataset and records the run in a manifest", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bgg-run-"));
+  const out = path.join(dir, "top.json");
+  const existing = `${JSON.stringify([{ rank: 1, title: "Kept" }])}\n`;
+  fs.writeFileSync(out, existing);
+  const cache = createResponseCache({ dir: path.join(dir, "cache") });
+  cache.write("https://boardgamegeek.com/browse/boardgame", readFixture("browse-page.html"));
+  cache.write("https://boardgamegeek.com/boardgame/224517/brass-birmingham", readFixture("game-preload.html"));
+  // Pages only the text fallback could read, which --extractors preload leaves out
+  cache.write("https://boardgamegeek.com/boardgame/999001/untitled-prototype", "<p>Gone</p>");
+  cache.write("https://boardgamegeek.com/boardgame/999002/brand-new-release", "<p>Gone</p>");
+  const argv = ["node", "index.js", "--offline", "--cache-dir", cache.dir, "--details", "html", "--extractors", "preload", "--limit", "3", "--out", out, "--no-history"];
+  const lines = [];
+  const log = createLogger({ format: "json", stdout: { write: (line) => lines.push(JSON.parse(line)) }, stderr: { write: (line) => lines.push(JSON.parse(line)) } });
+
+  const refused = await runScrape(parseArgs([...argv, "--min-success-ratio", "0.9"]), log);
+  assert.equal(refused, EXIT_CODES.refused);
+  assert.equal(fs.readFileSync(out, "utf8"), existing);
+  assert.ok(lines.some((l) => l.level === "error" && l.msg.startsWith(`Kept the existing ${out}: 1 of 3 games (33.3%) succeeded`)));
+  const manifest = JSON.parse(fs.readFileSync(path.join(dir, "top.run.json"), "utf8"));
+  assert.deepEqual([manifest.status, manifest.exitCode, manifest.output, manifest.args.minSuccessRatio], ["partial", EXIT_CODES.refused, null, 0.9]);
+  assert.deepEqual(manifest.pages.map((p) => p.games), [3]);
+  assert.deepEqual(manifest.games.map((g) => [g.rank, g.status]), [[1, "enriched"], [2, "failed"], [3, "failed"]]);
+  assert.match(manifest.games[1].error, /No extractor could read the page/);
+
+  // Without the guard the partial run replaces the file and says so in its exit code
+  assert.equal(await runScrape(parseArgs(argv), log), EXIT_CODES.partial);
+  assert.equal(JSON.parse(fs.readFileSync(out, "utf8")).length, 3);
+  assert.equal(JSON.parse(fs.readFileSync(path.join(dir, "top.run.json"), "utf8")).output, out);
+});
+
+test("parseArgs rejects unknown options, bad values and options of other commands", () => {
+  assert.throws(() => parseArgs(["node", "index.js", "--delay", "abc"]), /Invalid --delay "abc": expected a number/);
+  assert.throws(() => parseArgs(["node", "index.js", "--limit", "0"]), /Invalid --limit "0": expected a whole number of 1 or more/);
+  assert.throws(() => parseArgs(["node", "index.js", "--bogus"]), /Unknown option --bogus/);
+  assert.throws(() => parseArgs(["node", "index.js", "serve", "--limit", "3"]), /serve does not take --limit/);
+  assert.throws(() => parseArgs(["node", "index.js", "--out"]), /--out needs a value/);
+  assert.throws(() => parseArgs(["node", "index.js", "--offline=yes"]), /--offline does not take a value/);
+  assert.throws(() => parseArgs(["node", "index.js", "--format", "csv,xlsx"]), /Invalid --format "csv,xlsx": expected one of/);
+  assert.throws(() => parseArgs(["node", "index.js", "--max-null-rate", "colour=0.1"]), /expected a field from/);
+  assert.throws(() => parseArgs(["node", "index.js", "scrape", "extra.json"]), /Unexpected argument "extra.json"/);
+  assert.throws(() => parseArgs(["node", "index.js", "crawl"]), /Unknown command "crawl"/);
+  assert.throws(() => parseArgs(["node", "index.js", "--offline", "--refresh"]), /cannot be combined/);
+  const error = (() => {
+    try {
+      parseArgs(["node", "index.js", "validate", "--port=1"]);
+    } catch (e) {
+      return e;
+    }
+  })();
+  assert.deepEqual([error.usage, error.command], [true, "validate"]);
+});
+
+test("parseArgs reads --name=value, aliases, repeated flags and positionals", () => {
+  const args = parseArgs(["node", "index.js", "-o=top.json", "-f", "csv", "--format=md,csv", "--max-null-rate", "weight=5%", "--max-null-rate", "0.3"]);
+  assert.equal(args.out, "top.json");
+  assert.deepEqual(args.formats, ["csv", "md"]);
+  assert.deepEqual(args.thresholds, { maxNullRate: { weight: 0.05 }, defaultMaxNullRate: 0.3 });
+  const diff = parseArgs(["node", "index.js", "diff", "a.json", "b.json", "--json"]);
+  assert.deepEqual([diff.command, diff.positionals, diff.json], ["diff", ["a.json", "b.json"], true]);
+  assert.deepEqual([parseArgs(["node", "index.js", "enrich", "data/top.json"]).out, parseArgs(["node", "index.js", "enrich"]).out], ["data/top.json", "boardgames.json"]);
+  assert.equal(parseArgs(["node", "index.js", "export", "--help", "--format", "csv"]).help, true);
+  const help = parseArgs(["node", "index.js", "help", "serve"]);
+  assert.deepEqual([help.help, help.command, help.commandGiven], [true, "serve", true]);
+});
+
+test("parseArgs layers the config file, then BGG250_* variables, then flags", () => {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), "bgg-config-"));
+  fs.writeFileSync(
+    path.join(cwd, "bgg250.config.json"),
+    JSON.stringify({ delay: 1000, concurrency: 2, "log-format": "json", port: 9000, scrape: { "all-pages": true, format: ["csv", "md"], concurrency: 3 } })
+  );
+  const args = parseArgs(["node", "index.js", "--concurrency", "6"], { env: { BGG250_DELAY: "250", BGG250_OFFLINE: "true" }, cwd });
+  assert.deepEqual([args.allPages, args.formats, args.logFormat, args.offline], [true, ["csv", "md"], "json", true]);
+  assert.equal(args.delayMs, 250);
+  assert.equal(args.concurrency, 6);
+  assert.equal(parseArgs(["node", "index.js"], { env: {}, cwd }).concurrency, 3);
+  // Top-level options only reach the commands that take them
+  assert.equal(parseArgs(["node", "index.js", "serve"], { env: {}, cwd }).port, 9000);
+
+  assert.throws(() => parseArgs(["node", "index.js"], { env: { BGG250_DELAY: "soon" }, cwd }), /Invalid BGG250_DELAY "soon": expected a number/);
+  const named = path.join(cwd, "other.json");
+  fs.writeFileSync(named, JSON.stringify({ serve: { port: 70000 } }));
+  assert.throws(() => parseArgs(["node", "index.js", "serve"], { env: { BGG250_CONFIG: named }, cwd }), /Invalid serve.port in .*other\.json "70000": expected a port/);
+  fs.writeFileSync(named, JSON.stringify({ serve: { limit: 5 } }));
+  assert.throws(() => parseArgs(["node", "index.js"], { env: { BGG250_CONFIG: named }, cwd }), /serve has no option limit/);
+  assert.throws(() => parseArgs(["node", "index.js"], { env: { BGG250_CONFIG: path.join(cwd, "missing.json") }, cwd }), /Could not read the config file/);
+});
+
+test("formatHelp lists the commands and each command's options", () => {
+  const overview = formatHelp();
+  Object.keys(COMMANDS).forEach((name) => assert.match(overview, new RegExp(`^  ${name} `, "m")));
+  const help = formatHelp("validate");
+  assert.match(help, /^Usage: bgg250 validate \[input\.json\] \[options\]/);
+  assert.match(help, /--max-null-rate <\[field=\]ratio>/);
+  assert.doesNotMatch(help, /--port/);
+  // Every option a command lists has help text
+  Object.values(COMMANDS).forEach((spec) => spec.options.forEach((name) => assert.ok(OPTIONS[name] && OPTIONS[name].help, name)));
+});
+
+test("runEnrich refetches missing and stale details in place", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bgg-enrich-"));
+  const out = path.join(dir, "top.json");
+  const fresh = new Date().toISOString();
+  fs.writeFileSync(out, JSON.stringify([
+    { rank: 1, title: "Brass: Birmingham", url: "https://boardgamegeek.com/boardgame/224517/brass-birmingham", weight: 3.87, enriched_at: fresh },
+    { rank: 2, title: "Solo Puzzle", url: "https://boardgamegeek.com/boardgame/999003/solo-puzzle", weight: null, enriched_at: null },
+  ]));
+  // Only the stale game's page is cached, so offline the fresh one must be left alone
+  const cache = createResponseCache({ dir: path.join(dir, "cache") });
+  cache.write("https://boardgamegeek.com/boardgame/999003/solo-puzzle", readFixture("game-preload-solo.html"));
+  const args = parseArgs(["node", "index.js", "enrich", out, "--offline", "--cache-dir", cache.dir, "--details", "html", "--max-null-rate", "1"]);
+  const log = createLogger({ stdout: { write() {} }, stderr: { write() {} } });
+
+  assert.equal(await runEnrich(args, log), EXIT_CODES.ok);
+  const games = JSON.parse(fs.readFileSync(out, "utf8"));
+  assert.deepEqual(games.map((g) => g.weight), [3.87, 1.95]);
+  assert.equal(games[0].enriched_at, fresh);
+  assert.ok(games[1].enriched_at);
+  const manifest = JSON.parse(fs.readFileSync(path.join(dir, "top.run.json"), "utf8"));
+  assert.deepEqual(manifest.games.map((g) => g.status), ["reused", "enriched"]);
+});
+
+test("runEnrich applies --min-success-ratio only when it would replace a dataset", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bgg-enrich-"));
+  const input = path.join(dir, "top.json");
+  const original = JSON.stringify([
+    { rank: 1, title: "Solo Puzzle", url: "https://boardgamegeek.com/boardgame/999003/solo-puzzle", weight: null, enriched_at: null },
+    { rank: 2, title: "Blank Page", url: "https://boardgamegeek.com/boardgame/999004/blank-page", weight: null, enriched_at: null },
+  ]);
+  fs.writeFileSync(input, original);
+  const cache = createResponseCache({ dir: path.join(dir, "cache") });
+  cache.write("https://boardgamegeek.com/boardgame/999003/solo-puzzle", readFixture("game-preload-solo.html"));
+  cache.write("https://boardgamegeek.com/boardgame/999004/blank-page", "<html><body></body></html>");
+  const log = createLogger({ stdout: { write() {} }, stderr: { write() {} } });
+  const enrich = (...extra) => runEnrich(parseArgs(["node", "index.js", "enrich", input, "--offline", "--cache-dir", cache.dir, "--details", "html", "--extractors", "preload", "--min-success-ratio", "0.9", ...extra]), log);
+
+  assert.equal(await enrich(), EXIT_CODES.refused);
+  assert.equal(fs.readFileSync(input, "utf8"), original);
+  const copy = path.join(dir, "copy.json");
+  assert.equal(await enrich("--out", copy), EXIT_CODES.partial);
+  assert.deepEqual(JSON.parse(fs.readFileSync(copy, "utf8")).map((g) => g.weight), [1.95, null]);
+});
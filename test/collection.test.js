@@ -0,0 +1,78 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const path = require("path");
+const {
+  parseCollectionXml,
+  parseCsv,
+  parseCollectionCsv,
+  buildCollectionUrl,
+  loadCollection,
+  mergeCollection,
+} = require("../lib/collection");
+const { QUICK_FILTERS } = require("../lib/query");
+const { readFixture } = require("./helpers");
+
+const fixturePath = (name) => path.join(__dirname, "fixtures", name);
+
+test("parseCollectionXml merges duplicate copies of a game", () => {
+  const entries = parseCollectionXml(readFixture("collection.xml"));
+  assert.equal(entries.size, 3);
+  assert.deepEqual(entries.get("224517"), { owned: true, wishlist: false, want_to_play: false, my_rating: 9, num_plays: 3 });
+  assert.deepEqual(entries.get("174430"), { owned: true, wishlist: true, want_to_play: true, my_rating: 7.5, num_plays: 0 });
+});
+
+test("parseCsv handles quotes, doubled quotes and embedded newlines", () => {
+  assert.deepEqual(parseCsv('a,"b, c","say ""hi"""\r\n"multi\nline",,x\n'), [
+    ["a", "b, c", 'say "hi"'],
+    ["multi\nline", "", "x"],
+  ]);
+});
+
+test("parseCollectionCsv reads BGG's export columns", () => {
+  const entries = parseCollectionCsv(readFixture("collection.csv"));
+  assert.deepEqual(entries.get("224517"), { owned: true, wishlist: false, want_to_play: false, my_rating: 9, num_plays: 3 });
+  assert.deepEqual(entries.get("174430"), { owned: false, wishlist: true, want_to_play: true, my_rating: null, num_plays: 0 });
+  assert.throws(() => parseCollectionCsv("name,rating\nfoo,1\n"), /objectid/);
+});
+
+test("loadCollection reads saved exports by extension", async () => {
+  assert.equal((await loadCollection(fixturePath("collection.xml"))).size, 3);
+  assert.equal((await loadCollection(fixturePath("collection.csv"))).size, 2);
+});
+
+test("loadCollection fetches a username through the API, waiting out 202s", async () => {
+  let hits = 0;
+  const server = http.createServer((req, res) => {
+    hits += 1;
+    res.writeHead(hits === 1 ? 202 : 200, { "Content-Type": "text/xml" });
+    res.end(hits === 1 ? "<message>queued</message>" : readFixture("collection.xml"));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const apiBase = `http://127.0.0.1:${server.address().port}/xmlapi2`;
+  try {
+    assert.equal(buildCollectionUrl("some user", apiBase), `${apiBase}/collection?username=some%20user&stats=1`);
+    const entries = await loadCollection("some user", { apiBase, retryDelayMs: 10 });
+    assert.equal(entries.size, 3);
+    assert.equal(hits, 2);
+  } finally {
+    server.close();
+  }
+});
+
+test("mergeCollection flags matches and leaves everything else unknown", () => {
+  const games = [
+    { rank: 1, title: "Brass: Birmingham", url: "https://boardgamegeek.com/boardgame/224517/brass-birmingham" },
+    { rank: 2, title: "Ark Nova", url: "https://boardgamegeek.com/boardgame/342942/ark-nova", owned: true, num_plays: 4 },
+  ];
+  const matched = mergeCollection(games, parseCollectionXml(readFixture("collection.xml")));
+  assert.equal(matched, 1);
+  assert.equal(games[0].my_rating, 9);
+  assert.deepEqual(
+    { owned: games[1].owned, wishlist: games[1].wishlist, want_to_play: games[1].want_to_play, my_rating: games[1].my_rating, num_plays: games[1].num_plays },
+    { owned: null, wishlist: null, want_to_play: null, my_rating: null, num_plays: null }
+  );
+  assert.deepEqual(games.filter(QUICK_FILTERS.find((f) => f.key === "unplayed").test), []);
+});
@@ -0,0 +1,126 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const initSqlJs = require("sql.js");
+const {
+  csvField,
+  toCsv,
+  toNdjson,
+  toMarkdown,
+  toSqlite,
+  outputPathFor,
+  writeExports,
+} = require("../lib/export");
+
+const games = [
+  {
+    rank: 1,
+    title: "Brass: Birmingham",
+    year: 2018,
+    image: "@https://cf.geekdo-images.com/brass.jpg",
+    url: "https://boardgamegeek.com/boardgame/224517/brass-birmingham",
+    geek_rating: 8.401,
+    avg_rating: 8.58,
+    num_voters: 53346,
+    min_players: 2,
+    max_players: 4,
+    min_best_players: 2,
+    max_best_players: 4,
+    best_players: [2, 4],
+    recommended_players: [2, 3, 4],
+    player_poll: [{ players: 2, best: 30, recommended: 20, not_recommended: 5 }],
+    weight: 3.87,
+    mechanics: ["Hand Management", "Network and Route Building"],
+    designers: ["Gavan Brown", "Martin Wallace"],
+    source: "strategy",
+    subdomain_rank: 1,
+    scraped_at: "2026-10-19T06:00:00.000Z",
+    enriched_at: "2026-10-12T06:00:00.000Z",
+  },
+  {
+    rank: 2,
+    title: 'Say "Cheese", Please | Deluxe',
+    year: null,
+    image: null,
+    url: "https://boardgamegeek.com/boardgame/999001/cheese",
+    mechanics: ["Hand Management"],
+  },
+];
+
+test("csvField quotes commas, quotes, newlines and edge whitespace", () => {
+  assert.equal(csvField("plain"), "plain");
+  assert.equal(csvField('Say "Cheese", Please'), '"Say ""Cheese"", Please"');
+  assert.equal(csvField("two\nlines"), '"two\nlines"');
+  assert.equal(csvField(" padded"), '" padded"');
+  assert.equal(csvField(null), "");
+  assert.equal(csvField(0), "0");
+});
+
+test("toCsv uses a stable header and strips the image prefix", () => {
+  const lines = toCsv(games).split("\r\n");
+  assert.equal(
+    lines[0],
+    "id,rank,title,year,image,url,geek_rating,avg_rating,num_voters,min_players,max_players," +
+      "min_best_players,max_best_players,min_playing_time,max_playing_time,weight,min_age,description," +
+      "owned,wishlist,want_to_play,my_rating,num_plays,best_players,recommended_players,player_poll,source,subdomain_rank," +
+      "scraped_at,enriched_at,list_rank," +
+      "categories,mechanics,designers,artists,publishers"
+  );
+  assert.ok(lines[1].startsWith("224517,1,Brass: Birmingham,2018,https://cf.geekdo-images.com/brass.jpg,"));
+  assert.ok(lines[1].includes(',2; 4,2; 3; 4,"[{""players"":2,""best"":30,""recommended"":20,""not_recommended"":5}]",strategy,1,2026-10-19T06:00:00.000Z,2026-10-12T06:00:00.000Z,'));
+  assert.ok(lines[1].endsWith(",Hand Management; Network and Route Building,Gavan Brown; Martin Wallace,,"));
+  assert.ok(lines[2].startsWith('999001,2,"Say ""Cheese"", Please | Deluxe",,,'));
+  assert.equal(lines[3], "");
+});
+
+test("toNdjson writes one export record per line", () => {
+  const lines = toNdjson(games).trim().split("\n").map((l) => JSON.parse(l));
+  assert.equal(lines.length, 2);
+  assert.equal(lines[0].image, "https://cf.geekdo-images.com/brass.jpg");
+  assert.deepEqual(lines[1].designers, []);
+});
+
+test("toMarkdown links titles and escapes pipes", () => {
+  const md = toMarkdown(games).split("\n");
+  assert.match(md[0], /^\| Rank \| Title \|/);
+  assert.match(md[2], /\[Brass: Birmingham\]\(https:\/\/boardgamegeek\.com\/boardgame\/224517\/brass-birmingham\) \| 2018 \|.*\| 2–4 \| 2, 4 \|/);
+  assert.match(md[3], /Please \\\| Deluxe/);
+});
+
+test("toSqlite builds a normalized database", async () => {
+  const SQL = await initSqlJs();
+  const db = new SQL.Database(await toSqlite(games));
+  try {
+    const [titles] = db.exec("SELECT id, title, image FROM games ORDER BY rank");
+    assert.deepEqual(titles.values[0], [224517, "Brass: Birmingham", "https://cf.geekdo-images.com/brass.jpg"]);
+    const [counts] = db.exec("SELECT best_players, json_extract(player_poll, '$[0].best') FROM games WHERE id = 224517");
+    assert.deepEqual(counts.values[0], ["2; 4", 30]);
+    const [shared] = db.exec(
+      "SELECT g.title FROM games g JOIN game_mechanics gm ON gm.game_id = g.id " +
+        "JOIN mechanics m ON m.id = gm.mechanic_id WHERE m.name = 'Hand Management' ORDER BY g.rank"
+    );
+    assert.deepEqual(shared.values.map((r) => r[0]), ["Brass: Birmingham", 'Say "Cheese", Please | Deluxe']);
+    const [count] = db.exec("SELECT COUNT(*) FROM mechanics");
+    assert.equal(count.values[0][0], 2);
+  } finally {
+    db.close();
+  }
+});
+
+test("writeExports writes each format next to the base path", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bgg-export-"));
+  const base = path.join(dir, "boardgames.json");
+  assert.equal(outputPathFor(base, "sqlite"), path.join(dir, "boardgames.sqlite"));
+  const written = await writeExports(games, ["csv", "md", "ndjson", "sqlite"], base);
+  assert.deepEqual(written.map((w) => path.basename(w.path)), [
+    "boardgames.csv",
+    "boardgames.md",
+    "boardgames.ndjson",
+    "boardgames.sqlite",
+  ]);
+  written.forEach((w) => assert.ok(fs.statSync(w.path).size > 0));
+});
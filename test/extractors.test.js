@@ -0,0 +1,72 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createExtractorRegistry, loadExtractorModule, createExtractionStats } = require("../lib/extractors");
+
+const full = { name: "full", extract: () => ({ weight: 2.5, mechanics: ["Dice Rolling"], min_age: null }) };
+const partial = { name: "partial", extract: () => ({ weight: 9, mechanics: [], min_age: 10 }), partial: true };
+const broken = { name: "broken", extract: () => { throw new Error("markup changed"); } };
+const absent = { name: "absent", extract: () => null };
+const ages = { name: "ages", extract: () => ({ weight: 1, min_age: 12 }) };
+
+test("the first extractor with a result wins and later ones fill its gaps", () => {
+  const registry = createExtractorRegistry([broken, absent, full, ages]);
+  assert.deepEqual(registry.extract("<html>"), {
+    weight: 2.5,
+    mechanics: ["Dice Rolling"],
+    min_age: 12,
+    _source: { strategy: "full", filled: { min_age: "ages" } },
+  });
+});
+
+test("a partial extractor answers alone but never fills another strategy's gaps", () => {
+  let calls = 0;
+  const counted = { ...partial, extract: () => { calls += 1; return partial.extract(); } };
+  const details = createExtractorRegistry([full, counted]).extract("<html>");
+  assert.equal(details.min_age, null);
+  assert.deepEqual(details._source, { strategy: "full", filled: {} });
+  assert.equal(calls, 0);
+  assert.deepEqual(createExtractorRegistry([absent, counted]).extract("<html>")._source, { strategy: "partial", filled: {} });
+});
+
+test("register adds, replaces and inserts before a named extractor", () => {
+  const registry = createExtractorRegistry([full, partial]);
+  registry.register(absent, { before: "partial" });
+  assert.deepEqual(registry.names(), ["full", "absent", "partial"]);
+  registry.register({ name: "full", extract: () => ({ weight: 1 }) });
+  assert.deepEqual(registry.names(), ["absent", "partial", "full"]);
+  assert.throws(() => registry.register(broken, { before: "nope" }), /Unknown extractor nope/);
+  assert.throws(() => registry.register({ name: "x" }), /needs a name and an extract/);
+});
+
+test("order reorders and drops extractors, and extract fails when none apply", () => {
+  const registry = createExtractorRegistry([full, partial, absent]);
+  registry.order(["partial", "full"]);
+  assert.equal(registry.extract("").weight, 9);
+  assert.deepEqual(registry.extract("")._source, { strategy: "partial", filled: { mechanics: "full" } });
+  assert.throws(() => registry.order(["full", "missing"]), /Unknown extractor missing; registered: partial, full/);
+  assert.throws(() => createExtractorRegistry([broken, absent]).extract(""), /No extractor could read the page \(tried broken, absent\)/);
+});
+
+test("loadExtractorModule accepts one extractor or a list", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bgg-extractors-"));
+  const file = path.join(dir, "custom.js");
+  fs.writeFileSync(file, 'module.exports = [{ name: "ld-json", extract: () => null }];');
+  assert.deepEqual(loadExtractorModule(file).map((e) => e.name), ["ld-json"]);
+  fs.writeFileSync(path.join(dir, "bad.js"), "module.exports = {};");
+  assert.throws(() => loadExtractorModule(path.join(dir, "bad.js")), /needs a name/);
+});
+
+test("createExtractionStats counts winners and records with filled fields", () => {
+  const stats = createExtractionStats();
+  assert.equal(stats.format(), "no records extracted");
+  for (let i = 0; i < 3; i += 1) stats.record({ _source: { strategy: "preload", filled: {} } });
+  stats.record({ _source: { strategy: "text-fallback", filled: {} } });
+  stats.record({ _source: { strategy: "next-data", filled: { weight: "text-fallback" } } });
+  stats.record({ weight: 1 });
+  assert.equal(stats.format(), "3 preload, 1 text-fallback, 1 next-data; 1 record had fields filled in by a fallback");
+});
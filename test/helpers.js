@@ -0,0 +1,10 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8");
+}
+
+module.exports = { readFixture };
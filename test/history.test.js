@@ -0,0 +1,80 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  datasetHash,
+  snapshotFileName,
+  readManifest,
+  saveSnapshot,
+  latestSnapshotPaths,
+  diffSnapshots,
+  formatDiff,
+} = require("../lib/history");
+
+function game(id, rank, overrides = {}) {
+  return {
+    rank,
+    title: `Game ${id}`,
+    year: 2020,
+    url: `https://boardgamegeek.com/boardgame/${id}/game-${id}`,
+    geek_rating: 8,
+    avg_rating: 8.5,
+    num_voters: 1000,
+    ...overrides,
+  };
+}
+
+test("snapshotFileName is filesystem-safe and sortable", () => {
+  assert.equal(snapshotFileName(new Date("2026-10-19T08:30:05.123Z")), "boardgames-2026-10-19T08-30-05Z.json");
+});
+
+test("saveSnapshot writes the file and keeps the manifest ordered", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bgg-history-"));
+  saveSnapshot(dir, [game(1, 1)], new Date("2026-10-19T00:00:00Z"));
+  saveSnapshot(dir, [game(1, 1), game(2, 2)], new Date("2026-10-01T00:00:00Z"));
+  const manifest = readManifest(dir);
+  assert.deepEqual(manifest.map((e) => e.count), [2, 1]);
+  assert.equal(manifest[1].hash, datasetHash([game(1, 1)]));
+  assert.notEqual(manifest[0].hash, manifest[1].hash);
+  assert.deepEqual(latestSnapshotPaths(dir), [
+    path.join(dir, "boardgames-2026-10-01T00-00-00Z.json"),
+    path.join(dir, "boardgames-2026-10-19T00-00-00Z.json"),
+  ]);
+});
+
+test("latestSnapshotPaths needs two snapshots", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bgg-history-"));
+  assert.throws(() => latestSnapshotPaths(dir), /at least two snapshots/);
+});
+
+test("diffSnapshots reports movement, entries, dropouts and rating changes", () => {
+  const previous = [game(1, 1), game(2, 2), game(3, 3), game(4, 4)];
+  const current = [
+    game(2, 1, { geek_rating: 8.012, num_voters: 1100 }),
+    game(1, 2),
+    game(3, 3),
+    game(5, 4, { year: null }),
+  ];
+  const diff = diffSnapshots(previous, current);
+  assert.deepEqual(diff.added.map((g) => g.title), ["Game 5"]);
+  assert.deepEqual(diff.dropped, [{ rank: 4, title: "Game 4", year: 2020, url: "https://boardgamegeek.com/boardgame/4/game-4" }]);
+  assert.equal(diff.unchanged, 1);
+  assert.deepEqual(
+    diff.changed.map((g) => [g.title, g.from, g.to, g.rank_delta]),
+    [["Game 2", 2, 1, 1], ["Game 1", 1, 2, -1]]
+  );
+  assert.equal(diff.changed[0].geek_rating_delta, 0.012);
+  assert.equal(diff.changed[0].num_voters_delta, 100);
+  assert.equal(diff.changed[1].avg_rating_delta, 0);
+});
+
+test("formatDiff prints arrows for climbers and fallers", () => {
+  const diff = diffSnapshots([game(1, 1), game(2, 2)], [game(2, 1), game(1, 2)]);
+  const text = formatDiff(diff, { previousLabel: "a.json", currentLabel: "b.json" });
+  assert.match(text, /▲1\s+#2 → #1 Game 2/);
+  assert.match(text, /▼1\s+#1 → #2 Game 1/);
+});
@@ -0,0 +1,115 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const axios = require("axios");
+const {
+  createRateLimiter,
+  parseRetryAfter,
+  backoffDelay,
+  isRetryable,
+  retryDelay,
+  withRetry,
+  runPool,
+} = require("../lib/http");
+
+function httpError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers };
+  return error;
+}
+
+test("parseRetryAfter accepts seconds and HTTP dates", () => {
+  const now = Date.parse("2026-10-19T00:00:00Z");
+  assert.equal(parseRetryAfter("3", now), 3000);
+  assert.equal(parseRetryAfter("Mon, 19 Oct 2026 00:00:10 GMT", now), 10000);
+  assert.equal(parseRetryAfter("soon", now), null);
+  assert.equal(parseRetryAfter(undefined, now), null);
+});
+
+test("backoffDelay grows exponentially under a cap with full jitter", () => {
+  const max = () => 0.999999;
+  assert.equal(backoffDelay(1, { baseDelayMs: 100, random: max }), 100);
+  assert.equal(backoffDelay(3, { baseDelayMs: 100, random: max }), 400);
+  assert.equal(backoffDelay(10, { baseDelayMs: 100, maxDelayMs: 1000, random: max }), 1000);
+  assert.equal(backoffDelay(3, { baseDelayMs: 100, random: () => 0 }), 0);
+});
+
+test("retryDelay honours Retry-After on 429 and 503 only", () => {
+  const options = { baseDelayMs: 100, random: () => 0.5 };
+  assert.equal(retryDelay(httpError(429, { "retry-after": "2" }), 1, options), 2000);
+  assert.equal(retryDelay(httpError(503, { "retry-after": "1" }), 1, options), 1000);
+  assert.equal(retryDelay(httpError(500, { "retry-after": "9" }), 1, options), 50);
+});
+
+test("isRetryable skips client errors and cache misses", () => {
+  assert.equal(isRetryable(httpError(429)), true);
+  assert.equal(isRetryable(httpError(502)), true);
+  assert.equal(isRetryable(httpError(404)), false);
+  assert.equal(isRetryable(Object.assign(new Error("miss"), { code: "ECACHEMISS" })), false);
+  assert.equal(isRetryable(Object.assign(new Error("reset"), { code: "ECONNRESET" })), true);
+});
+
+test("withRetry retries until success and stops on non-retryable errors", async () => {
+  let calls = 0;
+  const value = await withRetry(async () => {
+    calls += 1;
+    if (calls < 3) throw httpError(503);
+    return "ok";
+  }, { attempts: 4, baseDelayMs: 1 });
+  assert.equal(value, "ok");
+  assert.equal(calls, 3);
+
+  calls = 0;
+  await assert.rejects(withRetry(async () => { calls += 1; throw httpError(404); }, { attempts: 4, baseDelayMs: 1 }));
+  assert.equal(calls, 1);
+});
+
+test("withRetry waits for Retry-After from a real 429 response", async () => {
+  let hits = 0;
+  const server = http.createServer((req, res) => {
+    hits += 1;
+    if (hits === 1) {
+      res.writeHead(429, { "Retry-After": "0" });
+      res.end();
+      return;
+    }
+    res.end("done");
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${server.address().port}/`;
+  const delays = [];
+  try {
+    const response = await withRetry(() => axios.get(url), { attempts: 3, onRetry: (_e, _a, delay) => delays.push(delay) });
+    assert.equal(response.data, "done");
+    assert.deepEqual(delays, [0]);
+  } finally {
+    server.close();
+  }
+});
+
+test("createRateLimiter lets a burst through, then spaces requests", async () => {
+  const limiter = createRateLimiter({ ratePerSec: 50, burst: 2 });
+  const started = Date.now();
+  await Promise.all([limiter.acquire(), limiter.acquire()]);
+  assert.ok(Date.now() - started < 15);
+  await Promise.all([limiter.acquire(), limiter.acquire()]);
+  // Two more tokens at 50/s need about 40ms of refill
+  assert.ok(Date.now() - started >= 35);
+  assert.throws(() => createRateLimiter({ ratePerSec: 0 }), /positive/);
+});
+
+test("runPool caps concurrency and keeps result order", async () => {
+  let active = 0;
+  let peak = 0;
+  const results = await runPool([5, 1, 3, 2, 4], 2, async (n) => {
+    active += 1;
+    peak = Math.max(peak, active);
+    await new Promise((resolve) => setTimeout(resolve, n));
+    active -= 1;
+    return n * 10;
+  });
+  assert.deepEqual(results, [50, 10, 30, 20, 40]);
+  assert.equal(peak, 2);
+});
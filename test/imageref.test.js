@@ -0,0 +1,32 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { remoteImage, remoteVariants, imageSources } = require("../lib/imageref");
+
+test("remoteImage reads the legacy @ prefix", () => {
+  assert.equal(remoteImage("@https://cf.geekdo-images.com/a__micro/pic1.jpg"), "https://cf.geekdo-images.com/a__micro/pic1.jpg");
+  assert.equal(remoteImage("https://cf.geekdo-images.com/a__micro/pic1.jpg"), "https://cf.geekdo-images.com/a__micro/pic1.jpg");
+  assert.equal(remoteImage(null), null);
+});
+
+test("remoteVariants combines the listing image with the API variants", () => {
+  const game = { image: "@https://x/micro.jpg", image_remote: { thumb: "https://x/thumb.jpg", square: "https://x/sq.jpg" } };
+  assert.deepEqual(remoteVariants(game), { micro: "https://x/micro.jpg", thumb: "https://x/thumb.jpg" });
+});
+
+test("imageSources prefers local files and lists them smallest first", () => {
+  const game = {
+    image: "https://x/micro.jpg",
+    image_remote: { thumb: "https://x/thumb.jpg" },
+    image_local: { thumb: "images/bbb.jpg", micro: "images/aaa.jpg" },
+  };
+  assert.deepEqual(imageSources(game), { src: "images/bbb.jpg", srcset: "images/aaa.jpg 64w, images/bbb.jpg 200w" });
+  delete game.image_local;
+  assert.deepEqual(imageSources(game), { src: "https://x/thumb.jpg", srcset: "https://x/micro.jpg 64w, https://x/thumb.jpg 200w" });
+  assert.equal(imageSources({ image: null }), null);
+});
+
+test("imageSources escapes commas that would split a srcset candidate", () => {
+  assert.equal(imageSources({ image: "https://x/fit-in/64,64/a.jpg" }).srcset, "https://x/fit-in/64%2C64/a.jpg 64w");
+});
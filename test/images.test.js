@@ -0,0 +1,79 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { extensionFor, contentFileName, mirrorImages, MANIFEST_FILE } = require("../lib/images");
+
+const PNG = Buffer.from("89504e470d0a1a0a0000000d49484452", "hex");
+const JPEG = Buffer.from("ffd8ffe000104a464946", "hex");
+
+// Serves a JPEG at /micro/*, a PNG at /thumb/* and 404s everything else
+function startImageServer() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    if (req.url.startsWith("/micro/")) {
+      res.writeHead(200, { "Content-Type": "image/jpeg" });
+      res.end(JPEG);
+    } else if (req.url.startsWith("/thumb/")) {
+      res.writeHead(200, { "Content-Type": "image/png" });
+      res.end(PNG);
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve({ server, requests, base: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+test("extensionFor trusts the content type, then the url", () => {
+  assert.equal(extensionFor("https://x/pic.jpeg", "image/png"), ".png");
+  assert.equal(extensionFor("https://x/pic.jpeg", null), ".jpg");
+  assert.equal(extensionFor("https://x/filters:strip_icc()/pic", "application/octet-stream"), ".jpg");
+});
+
+test("contentFileName is derived from the bytes", () => {
+  assert.equal(contentFileName(JPEG, "https://x/a.jpg"), contentFileName(JPEG, "https://y/b.jpg"));
+  assert.notEqual(contentFileName(JPEG, "https://x/a.jpg"), contentFileName(PNG, "https://x/a.jpg"));
+  assert.match(contentFileName(PNG, "https://x/a", "image/png"), /^[0-9a-f]{16}\.png$/);
+});
+
+test("mirrorImages saves the micro and chosen variant and reuses them on the next run", async () => {
+  const { server, requests, base } = await startImageServer();
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "bgg-images-"));
+  const dir = path.join(root, "images");
+  const games = [
+    { rank: 1, title: "Brass", image: `@${base}/micro/brass.jpg`, image_remote: { thumb: `${base}/thumb/brass.jpg` } },
+    { rank: 2, title: "Gone", image: `${base}/missing/gone.jpg`, image_remote: null },
+    { rank: 3, title: "No cover", image: null },
+  ];
+  try {
+    const summary = await mirrorImages(games, { dir, baseDir: root, size: "thumb" });
+    assert.equal(summary.downloaded, 2);
+    assert.equal(summary.missing, 3);
+    assert.equal(summary.failures.length, 1);
+    assert.equal(summary.failures[0].title, "Gone");
+    assert.match(games[0].image_local.micro, /^images\/[0-9a-f]{16}\.jpg$/);
+    assert.match(games[0].image_local.thumb, /^images\/[0-9a-f]{16}\.png$/);
+    assert.ok(fs.readFileSync(path.join(root, games[0].image_local.thumb)).equals(PNG));
+    assert.equal(games[1].image_local, null);
+    assert.equal(games[2].image_local, null);
+
+    const again = await mirrorImages(games.slice(0, 1), { dir, baseDir: root, size: "thumb", offline: true });
+    assert.deepEqual(again, { downloaded: 0, reused: 2, missing: 0, failures: [] });
+    assert.equal(requests.filter((url) => url.includes("brass")).length, 2);
+    assert.ok(fs.existsSync(path.join(dir, MANIFEST_FILE)));
+  } finally {
+    server.close();
+  }
+});
+
+test("mirrorImages rejects unknown sizes", async () => {
+  await assert.rejects(mirrorImages([], { dir: os.tmpdir(), baseDir: os.tmpdir(), size: "huge" }), /Unknown image size huge/);
+});
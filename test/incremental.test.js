@@ -0,0 +1,91 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseMaxAge, enrichmentFields, carriedFields, planRefresh } = require("../lib/incremental");
+const { createResponseCache } = require("../lib/cache");
+const { scrapeAll } = require("../lib/scraper");
+const { readFixture } = require("./helpers");
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse("2026-10-19T06:00:00Z");
+
+function ago(days) {
+  return new Date(NOW - days * DAY).toISOString();
+}
+
+test("parseMaxAge reads units and defaults to days", () => {
+  assert.equal(parseMaxAge("30d"), 30 * DAY);
+  assert.equal(parseMaxAge("12h"), 12 * 60 * 60 * 1000);
+  assert.equal(parseMaxAge("2w"), 14 * DAY);
+  assert.equal(parseMaxAge("7"), 7 * DAY);
+  assert.throws(() => parseMaxAge("soon"), /--max-age must look like 30d/);
+});
+
+test("enrichmentFields leaves out listing, collection and mirrored-image fields", () => {
+  const record = { rank: 4, title: "A", geek_rating: 7.1, scraped_at: ago(0), weight: 2.5, enriched_at: ago(3), owned: true, image_local: { micro: "images/a.jpg" } };
+  assert.deepEqual(enrichmentFields(record), { weight: 2.5, enriched_at: ago(3) });
+});
+
+test("carriedFields keeps the derived fields a run does not set itself", () => {
+  assert.deepEqual(carriedFields({ collection: null, downloadImages: false }), ["owned", "wishlist", "want_to_play", "my_rating", "num_plays", "image_local"]);
+  assert.deepEqual(carriedFields({ collection: "alice", downloadImages: false }), ["image_local"]);
+  assert.deepEqual(carriedFields({ collection: "alice", downloadImages: true }), []);
+});
+
+test("planRefresh reuses fresh details and queues new and stale games", () => {
+  const url = (id) => `https://boardgamegeek.com/boardgame/${id}/x`;
+  const games = [1, 2, 3, 4].map((id) => ({ rank: id, url: url(id), enriched_at: null }));
+  const previous = [
+    { rank: 9, url: url(1), weight: 2, enriched_at: ago(2) },
+    { rank: 8, url: url(2), weight: 3, enriched_at: ago(40) },
+    { rank: 7, url: url(3), weight: 4 },
+  ];
+  const plan = planRefresh(games, previous, { maxAgeMs: 30 * DAY, now: NOW });
+  assert.deepEqual(plan.pending.map((g) => g.rank), [2, 3, 4]);
+  assert.deepEqual({ reused: plan.reused, stale: plan.stale, added: plan.added }, { reused: 1, stale: 2, added: 1 });
+  // Stale games keep their old details until the refetch succeeds
+  assert.deepEqual(games.map((g) => [g.rank, g.weight]), [[1, 2], [2, 3], [3, 4], [4, undefined]]);
+});
+
+test("scrapeAll with a previous output only fetches new and stale games", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bgg-incremental-"));
+  const cache = createResponseCache({ dir, offline: true });
+  cache.write("https://boardgamegeek.com/browse/boardgame", readFixture("browse-page.html"));
+  // Brass has no page cached, so its details can only come from the previous output
+  cache.write("https://boardgamegeek.com/boardgame/999001/untitled-prototype", readFixture("game-preload-solo.html"));
+  cache.write("https://boardgamegeek.com/boardgame/999002/brand-new-release", readFixture("game-preload-solo.html"));
+  const freshDate = new Date(Date.now() - DAY).toISOString();
+  const previous = [
+    { rank: 3, title: "Brass: Birmingham", url: "https://boardgamegeek.com/boardgame/224517/brass-birmingham", geek_rating: 1, weight: 3.87, owned: true, enriched_at: freshDate },
+    { rank: 1, title: "Untitled Prototype", url: "https://boardgamegeek.com/boardgame/999001/untitled-prototype", weight: 9, enriched_at: "2026-01-01T00:00:00.000Z" },
+  ];
+
+  const { games, failures } = await scrapeAll({ limit: 3, cache, details: "html", previous, maxAgeMs: 30 * DAY });
+  assert.deepEqual(failures, []);
+  const [brass, prototype, release] = games;
+  assert.equal(brass.weight, 3.87);
+  assert.equal(brass.enriched_at, freshDate);
+  assert.notEqual(brass.geek_rating, 1);
+  // Collection fields imported by an earlier run survive a plain --incremental run
+  assert.equal(brass.owned, true);
+  assert.equal(prototype.weight, 1.95);
+  assert.ok(Date.parse(prototype.enriched_at) > Date.parse(freshDate));
+  assert.equal(release.weight, 1.95);
+  assert.ok(games.every((g) => typeof g.scraped_at === "string"));
+});
+
+test("an incremental run that re-imports the collection does not carry the old one over", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bgg-incremental-"));
+  const cache = createResponseCache({ dir, offline: true });
+  cache.write("https://boardgamegeek.com/browse/boardgame", readFixture("browse-page.html"));
+  const freshDate = new Date(Date.now() - DAY).toISOString();
+  const previous = [
+    { rank: 1, title: "Brass: Birmingham", url: "https://boardgamegeek.com/boardgame/224517/brass-birmingham", weight: 3.87, owned: true, my_rating: 9, image_local: { micro: "images/brass.jpg" }, enriched_at: freshDate },
+  ];
+  const { games } = await scrapeAll({ limit: 1, cache, details: "html", previous, maxAgeMs: 30 * DAY, carry: carriedFields({ collection: "alice" }) });
+  assert.deepEqual([games[0].owned, games[0].my_rating, games[0].image_local], [undefined, undefined, { micro: "images/brass.jpg" }]);
+});
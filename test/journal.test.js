@@ -0,0 +1,57 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createJournal, readEntries } = require("../lib/journal");
+const { createResponseCache } = require("../lib/cache");
+const { scrapeAll } = require("../lib/scraper");
+const { readFixture } = require("./helpers");
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "bgg-journal-"));
+}
+
+test("createJournal replays listing and details on resume", () => {
+  const file = path.join(tempDir(), "run.journal");
+  const journal = createJournal(file);
+  journal.recordListing([{ rank: 1, title: "A" }]);
+  journal.recordDetails("1", { weight: 2 });
+  fs.appendFileSync(file, '{"type":"details","key":"2","det'); // interrupted mid-write
+
+  const resumed = createJournal(file, { resume: true });
+  assert.deepEqual(resumed.listing, [{ rank: 1, title: "A" }]);
+  assert.deepEqual(Array.from(resumed.details.keys()), ["1"]);
+  assert.equal(readEntries(file).length, 2);
+});
+
+test("createJournal starts fresh without --resume", () => {
+  const file = path.join(tempDir(), "run.journal");
+  createJournal(file).recordListing([]);
+  const fresh = createJournal(file);
+  assert.equal(fresh.listing, null);
+  assert.equal(fs.existsSync(file), false);
+});
+
+test("scrapeAll resumes from the journal and only enriches the rest", async () => {
+  const dir = tempDir();
+  const journal = createJournal(path.join(dir, "run.journal"));
+  journal.recordListing([
+    { rank: 1, title: "Brass: Birmingham", url: "https://boardgamegeek.com/boardgame/224517/brass-birmingham" },
+    { rank: 2, title: "Solo Puzzle", url: "https://boardgamegeek.com/boardgame/999003/solo-puzzle" },
+  ]);
+  journal.recordDetails("224517", { weight: 3.87 });
+
+  // Only the second game's page exists, so the first must come from the journal
+  const cache = createResponseCache({ dir: path.join(dir, "cache"), offline: true });
+  cache.write("https://boardgamegeek.com/boardgame/999003/solo-puzzle", readFixture("game-preload-solo.html"));
+
+  const resumed = createJournal(journal.path, { resume: true });
+  const { games, failures } = await scrapeAll({ limit: 250, cache, details: "html", journal: resumed });
+  assert.deepEqual(failures, []);
+  assert.equal(games[0].weight, 3.87);
+  assert.equal(games[1].weight, 1.95);
+  assert.equal(createJournal(journal.path, { resume: true }).details.size, 2);
+});
@@ -0,0 +1,43 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createLogger } = require("../lib/log");
+
+function sink() {
+  const lines = [];
+  return { lines, write: (text) => lines.push(text) };
+}
+
+test("text logs keep the message alone and split streams by level", () => {
+  const stdout = sink();
+  const stderr = sink();
+  const log = createLogger({ stdout, stderr });
+  log.debug("hidden");
+  log.info("Scraped page 1", { page: 1 });
+  log.info("Report\n");
+  log.warn("Retrying");
+  log.error("Failed", { error: new Error("boom") });
+  assert.deepEqual(stdout.lines, ["Scraped page 1\n", "Report\n"]);
+  assert.deepEqual(stderr.lines, ["Retrying\n", "Failed\n"]);
+});
+
+test("json logs write one object per line with the fields", () => {
+  const stdout = sink();
+  const stderr = sink();
+  const log = createLogger({ format: "json", level: "debug", stdout, stderr, now: () => new Date("2024-05-01T12:00:00Z") });
+  log.debug("Page", { page: 2, skipped: undefined });
+  log.error("Error fetching details\n", { error: new Error("timeout") });
+  assert.deepEqual(JSON.parse(stdout.lines[0]), { time: "2024-05-01T12:00:00.000Z", level: "debug", msg: "Page", page: 2 });
+  assert.deepEqual(JSON.parse(stderr.lines[0]), { time: "2024-05-01T12:00:00.000Z", level: "error", msg: "Error fetching details", error: "timeout" });
+});
+
+test("createLogger rejects unknown formats and levels", () => {
+  assert.throws(() => createLogger({ format: "xml" }), /--log-format must be one of: text, json/);
+  assert.throws(() => createLogger({ level: "verbose" }), /--log-level must be one of: debug, info, warn, error/);
+  const stdout = sink();
+  const log = createLogger({ level: "warn", stdout, stderr: stdout });
+  log.info("quiet");
+  log.warn("loud");
+  assert.deepEqual(stdout.lines, ["loud\n"]);
+});
@@ -0,0 +1,55 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { pollRow, expandRanges, playerCountFields } = require("../lib/poll");
+
+test("pollRow normalises BGG's result labels and flags N+ rows", () => {
+  assert.deepEqual(pollRow("3", { Best: "12", Recommended: "35", "Not Recommended": "3" }), {
+    players: 3,
+    best: 12,
+    recommended: 35,
+    not_recommended: 3,
+  });
+  assert.equal(pollRow("5+", {}).plus, true);
+  assert.equal(pollRow("", {}), null);
+});
+
+test("expandRanges turns BGG ranges into sorted counts", () => {
+  assert.deepEqual(expandRanges([{ min: 4, max: 4 }, { min: 1, max: 2 }]), [1, 2, 4]);
+  assert.deepEqual(expandRanges(undefined), []);
+});
+
+test("playerCountFields keeps non-contiguous best counts", () => {
+  const fields = playerCountFields({
+    poll: [
+      pollRow("4", { Best: 41, Recommended: 15, "Not Recommended": 1 }),
+      pollRow("2", { Best: 30, Recommended: 20, "Not Recommended": 5 }),
+      pollRow("3", { Best: 12, Recommended: 35, "Not Recommended": 3 }),
+      pollRow("1", { Best: 2, Recommended: 10, "Not Recommended": 40 }),
+      pollRow("4+", { Best: 9, Recommended: 1, "Not Recommended": 1 }),
+    ],
+  });
+  assert.deepEqual(fields.best_players, [2, 4]);
+  assert.deepEqual(fields.recommended_players, [2, 3, 4]);
+  assert.equal(fields.min_best_players, 2);
+  assert.equal(fields.max_best_players, 4);
+  assert.deepEqual(fields.player_poll.map((r) => r.players), [1, 2, 3, 4, 4]);
+});
+
+test("playerCountFields falls back to count lists and treats an empty poll as unknown", () => {
+  assert.deepEqual(playerCountFields({ best: [3], recommended: [2, 3] }), {
+    min_best_players: 3,
+    max_best_players: 3,
+    best_players: [3],
+    recommended_players: [2, 3],
+    player_poll: null,
+  });
+  assert.deepEqual(playerCountFields({ poll: [pollRow("1", { Best: 0 })] }), {
+    min_best_players: null,
+    max_best_players: null,
+    best_players: null,
+    recommended_players: null,
+    player_poll: null,
+  });
+});
@@ -0,0 +1,203 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  foldText,
+  searchKey,
+  indexGames,
+  parseQuery,
+  matchQuery,
+  mergeSpans,
+  RANGE_FILTERS,
+  gameRange,
+  rangeBounds,
+  isRangeActive,
+  matchesRange,
+  matchesFacet,
+  facetCounts,
+  defaultFilters,
+  paramError,
+  readParams,
+  writeParams,
+  queryGames,
+} = require("../lib/query");
+
+const games = [
+  { rank: 1, title: "Orléans", year: 2014, weight: 3.04, min_players: 2, max_players: 4, best_players: [3, 4], mechanics: ["Bag Building"], publishers: ["dlp games"] },
+  { rank: 2, title: "Kōdama: The Tree Spirits", year: 2016, weight: 1.6, min_players: 2, max_players: 5, mechanics: ["Card Drafting"], owned: true },
+  { rank: 3, title: "Agricola", year: 2007, weight: 3.6, min_players: 1, max_players: 5, best_players: [4], designers: ["Uwe Rosenberg"], mechanics: ["Worker Placement"] },
+  { rank: 4, title: "Terraforming Mars", year: 2016, weight: 3.26, min_players: 1, max_players: 5, best_players: [3], mechanics: ["Card Drafting", "Tile Placement"] },
+];
+
+function titles(rows) {
+  return rows.map((g) => g.title);
+}
+
+test("foldText drops accents and folds special letters", () => {
+  assert.equal(foldText("Orléans Kōdama Ærø Straße"), "orleans kodama aero strasse");
+});
+
+test("indexGames precomputes each game's folded search key once", () => {
+  const rows = indexGames([{ title: "Kōdama: The Tree Spirits", year: 2016, designers: ["Daniel Solis"] }]);
+  const key = searchKey(rows[0]);
+  assert.equal(key.title, "kodama: the tree spirits");
+  assert.deepEqual(key.words.slice(0, 2), [{ text: "kodama", start: 0, end: 6 }, { text: "the", start: 8, end: 11 }]);
+  assert.equal(key.year, "2016");
+  assert.deepEqual(key.tags.designers, ["daniel solis"]);
+  assert.equal(searchKey(rows[0]), key);
+});
+
+test("parseQuery splits fields, phrases, negations and words", () => {
+  assert.deepEqual(parseQuery('weight>3 "tree spirits" -mars designer:rosenberg foo:bar').map((t) => t.type), [
+    "number", "phrase", "word", "text", "word", "word",
+  ]);
+  assert.deepEqual(parseQuery("year:2020..2023")[0].interval, { min: 2020, max: 2023 });
+  assert.deepEqual(parseQuery("weight:3")[0].interval, { min: 2.5, max: 3.5, maxOpen: true });
+});
+
+test("matchQuery forgives a typo in longer words and maps highlights to the original title", () => {
+  assert.ok(matchQuery(games[3], parseQuery("teraforming")));
+  assert.equal(matchQuery(games[3], parseQuery("mors")), null);
+  assert.deepEqual(matchQuery(games[0], parseQuery("orleans")).spans, [[0, 7]]);
+});
+
+test("field qualifiers compare numbers, spans and player polls", () => {
+  const matching = (text) => titles(games.filter((g) => matchQuery(g, parseQuery(text))));
+  assert.deepEqual(matching("weight>3.04"), ["Agricola", "Terraforming Mars"]);
+  assert.deepEqual(matching("weight>=3.04"), ["Orléans", "Agricola", "Terraforming Mars"]);
+  assert.deepEqual(matching("weight:3"), ["Orléans", "Terraforming Mars"]);
+  assert.deepEqual(matching("year:2010..2015"), ["Orléans"]);
+  assert.deepEqual(matching("rank:..2 year>2015"), ["Kōdama: The Tree Spirits"]);
+  assert.deepEqual(matching("players:5"), ["Kōdama: The Tree Spirits", "Agricola", "Terraforming Mars"]);
+  assert.deepEqual(matching("players:1..1 best:4"), ["Agricola"]);
+  assert.deepEqual(matching("-year:2016"), ["Orléans", "Agricola"]);
+  assert.deepEqual(matching("designer:rosen"), ["Agricola"]);
+  assert.deepEqual(matching("mechanic:drafting -mechanic:tile"), ["Kōdama: The Tree Spirits"]);
+});
+
+test("phrases match as written and negations exclude literally", () => {
+  const matching = (text) => titles(games.filter((g) => matchQuery(g, parseQuery(text))));
+  assert.deepEqual(matching('"tree spirits"'), ["Kōdama: The Tree Spirits"]);
+  assert.deepEqual(matching('"spirits tree"'), []);
+  assert.deepEqual(matching('-"tree spirits" -agricola'), ["Orléans", "Terraforming Mars"]);
+  // A typo-tolerant exclusion would drop Mars too
+  assert.deepEqual(matching("-mors"), titles(games));
+  assert.deepEqual(matchQuery(games[1], parseQuery('"the tree"')), { score: 4, spans: [[8, 16]] });
+});
+
+test("mergeSpans sorts and joins overlapping highlights", () => {
+  assert.deepEqual(mergeSpans([[8, 12], [0, 3], [2, 5], [12, 14]]), [[0, 5], [8, 14]]);
+  assert.deepEqual(mergeSpans([]), []);
+});
+
+test("queryGames filters, ranks by relevance and honours a sorted column", () => {
+  // A word-start match in "Mars" outranks the one inside "Kōdama"
+  const result = queryGames(games, readParams("q=players:5 ma"));
+  assert.deepEqual(titles(result.rows), ["Terraforming Mars", "Kōdama: The Tree Spirits"]);
+  assert.equal(result.byRelevance, true);
+  assert.deepEqual(titles(queryGames(games, readParams("q=weight>3&sort=weight:desc")).rows), ["Agricola", "Terraforming Mars", "Orléans"]);
+});
+
+test("queryGames applies ranges, player counts, tags, quick filters and facets", () => {
+  assert.deepEqual(titles(queryGames(games, readParams("weight=3-")).rows), ["Orléans", "Agricola", "Terraforming Mars"]);
+  assert.deepEqual(titles(queryGames(games, readParams("players=5-")).rows), ["Kōdama: The Tree Spirits", "Agricola", "Terraforming Mars"]);
+  assert.deepEqual(titles(queryGames(games, readParams("players=-1")).rows), ["Agricola", "Terraforming Mars"]);
+  assert.deepEqual(titles(queryGames(games, readParams("count=4")).rows), ["Orléans", "Agricola"]);
+  assert.deepEqual(titles(queryGames(games, readParams("publishers=DLP")).rows), ["Orléans"]);
+  assert.deepEqual(titles(queryGames(games, readParams("only=owned")).rows), ["Kōdama: The Tree Spirits"]);
+  const faceted = queryGames(games, readParams("mechanics=Card+Drafting&not-mechanics=Tile+Placement"));
+  assert.deepEqual(titles(faceted.rows), ["Kōdama: The Tree Spirits"]);
+  assert.equal(faceted.base.length, 4);
+});
+
+const rangeFilter = (id) => RANGE_FILTERS.find((f) => f.id === id);
+
+test("gameRange reduces a game to its range and treats one missing end as a single value", () => {
+  const players = rangeFilter("players");
+  assert.deepEqual(gameRange({ min_players: 2, max_players: 4 }, players), [2, 4]);
+  assert.deepEqual(gameRange({ min_players: 3, max_players: null }, players), [3, 3]);
+  assert.equal(gameRange({ min_players: null }, players), null);
+  assert.deepEqual(gameRange({ weight: 2.5 }, rangeFilter("weight")), [2.5, 2.5]);
+});
+
+test("matchesRange compares with overlap, contains and within, and lets unknowns through on request", () => {
+  const time = rangeFilter("time");
+  const game = { min_playing_time: 60, max_playing_time: 120 };
+  const range = (lo, hi, mode, unknown = true) => ({ lo, hi, mode, unknown });
+  assert.equal(matchesRange(game, time, range(90, 150, "overlap")), true);
+  assert.equal(matchesRange(game, time, range(130, null, "overlap")), false);
+  assert.equal(matchesRange(game, time, range(90, 90, "contains")), true);
+  assert.equal(matchesRange(game, time, range(30, 90, "contains")), false);
+  // An open end in contains mode takes the other end's value: players 3– and 12+ seat that many
+  const players = rangeFilter("players");
+  const duel = { min_players: 2, max_players: 2 };
+  const family = { min_players: 2, max_players: 5 };
+  assert.equal(matchesRange(family, players, range(3, null, "contains")), true);
+  assert.equal(matchesRange(duel, players, range(3, null, "contains")), false);
+  assert.equal(matchesRange(duel, players, range(null, 2, "contains")), true);
+  assert.equal(matchesRange(family, players, range(null, 1, "contains")), false);
+  assert.equal(matchesRange({ min_players: 4, max_players: 99 }, players, range(12, null, "contains")), true);
+  assert.equal(matchesRange(game, time, range(60, 120, "within")), true);
+  assert.equal(matchesRange(game, time, range(null, 90, "within")), false);
+  assert.equal(matchesRange({}, time, range(null, 90, "within")), true);
+  assert.equal(matchesRange({}, time, range(null, 90, "within", false)), false);
+  assert.equal(isRangeActive(range(null, null)), false);
+  assert.equal(isRangeActive(range(null, 90)), true);
+});
+
+test("rangeBounds spans the data in whole numbers and stops at the filter's cap", () => {
+  const rows = [{ min_playing_time: 20, max_playing_time: 480 }, { min_playing_time: 45 }, { title: "no time" }];
+  assert.deepEqual(rangeBounds(rows, rangeFilter("time")), { min: 20, max: 360 });
+  assert.deepEqual(rangeBounds([{ weight: 1.6 }, { weight: 3.04 }], rangeFilter("weight")), { min: 1, max: 4 });
+  assert.deepEqual(rangeBounds([], rangeFilter("players")), { min: 0, max: 12 });
+  assert.deepEqual(rangeBounds([], rangeFilter("year")), { min: 0, max: 0 });
+});
+
+const facet = (include, exclude = [], mode = "or") => ({ include, exclude, mode });
+
+test("matchesFacet applies exclusions first, then any or all of the included values", () => {
+  const [orleans, kodama, , mars] = games;
+  assert.equal(matchesFacet(orleans, "mechanics", facet([])), true);
+  assert.equal(matchesFacet(mars, "mechanics", facet(["Card Drafting", "Bag Building"])), true);
+  assert.equal(matchesFacet(mars, "mechanics", facet(["Card Drafting", "Bag Building"], [], "and")), false);
+  assert.equal(matchesFacet(mars, "mechanics", facet(["Card Drafting", "Tile Placement"], [], "and")), true);
+  assert.equal(matchesFacet(kodama, "mechanics", facet([], ["Card Drafting"])), false);
+  assert.equal(matchesFacet(kodama, "designers", facet(["Uwe Rosenberg"])), false);
+});
+
+test("facetCounts follows the other facets but ignores its own selection", () => {
+  const facets = { mechanics: facet(["Card Drafting"]), categories: facet([]), designers: facet([]) };
+  assert.deepEqual(facetCounts(games, "mechanics", facets), new Map([["Bag Building", 1], ["Card Drafting", 2], ["Worker Placement", 1], ["Tile Placement", 1]]));
+  // Only the Card Drafting games are left to count designers on
+  assert.deepEqual(facetCounts(games, "designers", facets), new Map());
+  facets.mechanics.include = [];
+  assert.deepEqual(facetCounts(games, "designers", facets), new Map([["Uwe Rosenberg", 1]]));
+});
+
+test("readParams and writeParams round-trip the viewer's query string", () => {
+  const search = "sort=weight%3Adesc&q=rosenberg&players=2-2&time=-90&time-mode=overlap&count=3&count-mode=recommended&artists=Menzel&only=owned%2Cunplayed&mechanics=Deck+Building&not-categories=Wargame&designers-mode=and";
+  assert.equal(writeParams(readParams(search)).toString(), search);
+  assert.equal(writeParams(defaultFilters()).toString(), "");
+  const filters = readParams("players=abc-&weight-mode=sideways&sort=rank%3Bdrop");
+  assert.deepEqual(filters.ranges.players, { lo: null, hi: null, mode: "contains", unknown: true });
+  assert.equal(filters.ranges.weight.mode, "within");
+  assert.equal(filters.sortKey, "rank");
+  assert.deepEqual(readParams("players=3&weight=2-x").ranges.players, { lo: 3, hi: 3, mode: "contains", unknown: true });
+  assert.deepEqual(readParams("weight=2-x").ranges.weight, { lo: null, hi: null, mode: "within", unknown: true });
+});
+
+test("paramError names what readParams would skip", () => {
+  assert.equal(paramError("sort=weight:asc&players=3&time=-90&weight=2.5-"), null);
+  assert.equal(paramError("sort=rank%3Bdrop"), "unknown sort column rank;drop");
+  assert.equal(paramError("sort=title:up"), "sort direction must be one of: asc, desc");
+  assert.equal(paramError("players=abc-"), "players must be a number or a range like 2-4, not abc-");
+  assert.equal(paramError("year=2000-2010-2020"), "year must be a number or a range like 2-4, not 2000-2010-2020");
+});
+
+test("readParams sorts a column without a direction the way the viewer's headers do", () => {
+  const dirs = ["title", "rank", "list_rank", "weight", "year"].map((key) => readParams(`sort=${key}`).sortDir);
+  assert.deepEqual(dirs, ["asc", "asc", "asc", "desc", "desc"]);
+  assert.equal(readParams("sort=title:desc").sortDir, "desc");
+  assert.equal(readParams("sort=weight:sideways").sortDir, "desc");
+});
@@ -0,0 +1,64 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { playerFit, timeFit, weightFit, recommend, formatRecommendations } = require("../lib/recommend");
+
+const game = (overrides) => ({
+  rank: 1,
+  title: "Game",
+  min_players: 2,
+  max_players: 6,
+  min_best_players: 3,
+  max_best_players: 4,
+  min_playing_time: 60,
+  max_playing_time: 90,
+  weight: 2.5,
+  geek_rating: 7.5,
+  ...overrides,
+});
+
+test("playerFit prefers the best range and rejects unsupported counts", () => {
+  assert.equal(playerFit(game(), 3), 1);
+  assert.equal(playerFit(game(), 5), 0.4);
+  assert.equal(playerFit(game(), 2), 0.4);
+  assert.equal(playerFit(game(), 7), 0);
+  assert.equal(playerFit(game({ min_best_players: null, max_best_players: null }), 5), 0.5);
+  const gapped = game({ min_best_players: 2, max_best_players: 4, best_players: [2, 4], recommended_players: [2, 3, 4] });
+  assert.equal(playerFit(gapped, 4), 1);
+  assert.equal(playerFit(gapped, 3), 0.6);
+  assert.equal(playerFit(gapped, 5), 0.2);
+  assert.equal(playerFit(game({ min_players: null, max_players: null, min_best_players: null, max_best_players: null }), 5), null);
+});
+
+test("timeFit rewards fitting the budget and decays past it", () => {
+  assert.equal(timeFit(game(), 120), 1);
+  assert.equal(timeFit(game(), 75), 0.75);
+  assert.equal(timeFit(game(), 60), 0.5);
+  assert.equal(timeFit(game({ min_playing_time: 150, max_playing_time: 150 }), 100), 0);
+  assert.equal(timeFit(game({ min_playing_time: null, max_playing_time: null }), 60), null);
+});
+
+test("weightFit loses a point per weight unit outside the band", () => {
+  assert.equal(weightFit(game(), 2, 3), 1);
+  assert.equal(weightFit(game({ weight: 3.5 }), 2, 3), 0.5);
+  assert.equal(weightFit(game({ weight: 1 }), 3, 4), 0);
+});
+
+test("recommend ranks playable games with a per-factor breakdown", () => {
+  const games = [
+    game({ rank: 1, title: "Long", min_playing_time: 180, max_playing_time: 240, geek_rating: 8.5 }),
+    game({ rank: 2, title: "Fits", geek_rating: 7.5 }),
+    game({ rank: 3, title: "Duel", min_players: 2, max_players: 2, min_best_players: 2, max_best_players: 2 }),
+    game({ rank: 4, title: "Unknown", weight: null, geek_rating: 8 }),
+    game({ rank: 5, title: "Floor", geek_rating: 7 }),
+  ];
+  const picks = recommend(games, { players: 4, minutes: 90, minWeight: 2, maxWeight: 3 });
+  assert.deepEqual(picks.map((p) => p.game.title), ["Fits", "Unknown", "Floor", "Long"]);
+  assert.deepEqual(picks[0].factors, { players: 1, time: 1, weight: 1, rating: 0.333 });
+  assert.equal(picks[0].score, 86.7);
+  assert.deepEqual(picks[1].missing, ["weight"]);
+  assert.equal(recommend(games, { players: 4, minutes: 90, limit: 1 }).length, 1);
+  assert.throws(() => recommend(games, { players: 0, minutes: 90 }), /players/);
+  assert.match(formatRecommendations(picks, { players: 4, minutes: 90, minWeight: 2, maxWeight: 3 }), /1\. {2}86\.7 {2}#2 Fits/);
+});
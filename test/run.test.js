@@ -0,0 +1,71 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { EXIT_CODES, manifestPathFor, assessRun, createRunManifest } = require("../lib/run");
+
+test("manifestPathFor puts the manifest next to the dataset", () => {
+  assert.equal(manifestPathFor("boardgames.json"), "boardgames.run.json");
+  assert.equal(manifestPathFor(path.join("data", "top")), path.join("data", "top.run.json"));
+});
+
+test("assessRun tells complete, partial and failed runs apart", () => {
+  assert.equal(assessRun({ listed: 10, failed: 0 }).exitCode, EXIT_CODES.ok);
+  const partial = assessRun({ listed: 10, failed: 4 });
+  assert.deepEqual([partial.status, partial.successRatio, partial.exitCode, partial.overwrite], ["partial", 0.6, EXIT_CODES.partial, true]);
+  assert.equal(assessRun({ listed: 10, failed: 0, listingComplete: false }).status, "partial");
+  // With nothing to lose, even a failed run writes its output
+  const failed = assessRun({ listed: 0, failed: 0 });
+  assert.deepEqual([failed.status, failed.exitCode, failed.overwrite], ["failed", EXIT_CODES.failed, true]);
+});
+
+test("assessRun keeps the existing dataset when a run is worse than it", () => {
+  const failed = assessRun({ listed: 5, failed: 5, existingCount: 250 });
+  assert.deepEqual([failed.exitCode, failed.overwrite, failed.refusal], [EXIT_CODES.failed, false, "no game out of 5 could be enriched"]);
+
+  const poor = assessRun({ listed: 250, failed: 40, minSuccessRatio: 0.9, existingCount: 250 });
+  assert.equal(poor.exitCode, EXIT_CODES.refused);
+  assert.equal(poor.refusal, "210 of 250 games (84.0%) succeeded, below --min-success-ratio 90.0%");
+  assert.equal(assessRun({ listed: 250, failed: 40, minSuccessRatio: 0.8, existingCount: 250 }).overwrite, true);
+  // Without an existing dataset there is nothing to protect
+  assert.equal(assessRun({ listed: 250, failed: 40, minSuccessRatio: 0.9 }).overwrite, true);
+
+  // A listing cut short counts the games it never reached
+  const short = assessRun({ listed: 100, failed: 0, listingComplete: false, minSuccessRatio: 0.9, existingCount: 250 });
+  assert.deepEqual([short.successRatio, short.overwrite], [0.4, false]);
+});
+
+test("createRunManifest records pages, retries and each game's outcome", () => {
+  let clock = Date.parse("2024-05-01T12:00:00Z");
+  const run = createRunManifest({ argv: ["--limit", "2"], args: { limit: 2, rate: Infinity }, now: () => new Date(clock) });
+  const brass = { rank: 1, title: "Brass", url: "https://boardgamegeek.com/boardgame/224517/brass" };
+  const ark = { rank: 2, title: "Ark Nova", url: "https://boardgamegeek.com/boardgame/342942/ark-nova" };
+  run.recordPage(1, "https://boardgamegeek.com/browse/boardgame", 2);
+  run.recordGame(brass, "pending");
+  run.recordGame(ark, "pending");
+  run.recordRetry(brass.url, [brass]);
+  run.recordRetry(brass.url, [brass]);
+  run.recordRetry("https://boardgamegeek.com/browse/boardgame/page/2");
+  run.recordGame(brass, "enriched", { strategy: "preload" });
+  run.recordGame(ark, "failed", { error: "timeout" });
+  clock += 1500;
+
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "bgg-run-")), "top.run.json");
+  const written = run.write(file, assessRun({ listed: 2, failed: 1 }));
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, "utf8")), written);
+  assert.deepEqual(written.args, { limit: 2, rate: null });
+  assert.equal(written.startedAt, "2024-05-01T12:00:00.000Z");
+  assert.equal(written.durationMs, 1500);
+  assert.equal(written.status, "partial");
+  assert.deepEqual(written.pages, [{ page: 1, url: "https://boardgamegeek.com/browse/boardgame", games: 2 }]);
+  assert.equal(written.retries.total, 3);
+  assert.equal(written.retries.byUrl[brass.url], 2);
+  assert.deepEqual(written.counts, { enriched: 1, failed: 1 });
+  assert.deepEqual(written.games, [
+    { key: "224517", rank: 1, title: "Brass", status: "enriched", retries: 2, strategy: "preload" },
+    { key: "342942", rank: 2, title: "Ark Nova", status: "failed", retries: 0, error: "timeout" },
+  ]);
+});
@@ -0,0 +1,242 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  normalizeNumber,
+  extractGamesFromHtml,
+  getNextPageUrl,
+  parseBestPlayersFromText,
+  htmlToText,
+  extractDetailsFromGameHtml,
+  createHtmlExtractors,
+  scrapeListing,
+} = require("../lib/scraper");
+const { createResponseCache } = require("../lib/cache");
+const { resolveSource } = require("../lib/sources");
+const { readFixture } = require("./helpers");
+
+test("normalizeNumber treats dashes and blanks as missing", () => {
+  assert.equal(normalizeNumber("53,346"), 53346);
+  assert.equal(normalizeNumber("–"), null);
+  assert.equal(normalizeNumber("-"), null);
+  assert.equal(normalizeNumber("N/A"), null);
+  assert.equal(normalizeNumber(""), null);
+});
+
+test("extractGamesFromHtml parses ranked rows and skips the header", () => {
+  const games = extractGamesFromHtml(readFixture("browse-page.html"));
+  assert.equal(games.length, 3);
+  assert.deepEqual(games[0], {
+    rank: 1,
+    title: "Brass: Birmingham",
+    year: 2018,
+    image: "https://cf.geekdo-images.com/brass__micro/img/pic3490053.jpg",
+    url: "https://boardgamegeek.com/boardgame/224517/brass-birmingham",
+    geek_rating: 8.401,
+    avg_rating: 8.58,
+    num_voters: 53346,
+  });
+});
+
+test("extractGamesFromHtml handles a missing year and lazy-loaded image", () => {
+  const [, game] = extractGamesFromHtml(readFixture("browse-page.html"));
+  assert.equal(game.year, null);
+  assert.equal(game.image, "https://cf.geekdo-images.com/proto__micro/img/pic1.png");
+  assert.equal(game.url, "https://boardgamegeek.com/boardgame/999001/untitled-prototype");
+  assert.equal(game.num_voters, 1204);
+});
+
+test("extractGamesFromHtml maps unrated cells to null", () => {
+  const game = extractGamesFromHtml(readFixture("browse-page.html"))[2];
+  assert.equal(game.image, null);
+  assert.equal(game.geek_rating, null);
+  assert.equal(game.avg_rating, null);
+  assert.equal(game.num_voters, null);
+});
+
+test("getNextPageUrl resolves the Next link and stops on the last page", () => {
+  assert.equal(
+    getNextPageUrl(readFixture("browse-page.html")),
+    "https://boardgamegeek.com/browse/boardgame/page/2"
+  );
+  assert.equal(getNextPageUrl(readFixture("browse-last-page.html")), null);
+});
+
+test("extractDetailsFromGameHtml records fields a lower-priority strategy filled in", () => {
+  const item = { minplayers: "2", maxplayers: "4", minplaytime: "30", maxplaytime: "45", minage: "10" };
+  const preload = `<script>GEEK.geekitemPreload = ${JSON.stringify({ item })};</script>`;
+  const nextData = `<script id="__NEXT_DATA__">${JSON.stringify({ props: { pageProps: { game: { averageweight: "2.5" } } } })}</script>`;
+  const details = extractDetailsFromGameHtml(`${preload}${nextData}`);
+  assert.equal(details.weight, 2.5);
+  assert.deepEqual(details._source, { strategy: "preload", filled: { weight: "next-data" } });
+  const preloadOnly = extractDetailsFromGameHtml(`${preload}${nextData}`, createHtmlExtractors({ order: ["preload"] }));
+  assert.equal(preloadOnly.weight, null);
+  // The visible text is a guess, so it never fills what the preload left empty
+  const guessed = extractDetailsFromGameHtml(`${preload}<p>Weight: 4.5 / 5</p>`);
+  assert.equal(guessed.weight, null);
+  assert.deepEqual(guessed._source, { strategy: "preload", filled: {} });
+  assert.throws(() => createHtmlExtractors({ order: ["ld-json"] }), /Unknown extractor ld-json/);
+});
+
+test("scrapeListing keeps unranked rows of a subdomain list and numbers them by position", async () => {
+  const source = resolveSource("strategy");
+  const cache = createResponseCache({ dir: fs.mkdtempSync(path.join(os.tmpdir(), "bgg-listing-")), offline: true });
+  cache.write(source.url, readFixture("browse-page.html"));
+  const { games, complete, pages } = await scrapeListing({ source, limit: 3, cache });
+  assert.equal(complete, true);
+  assert.deepEqual(pages, [{ page: 1, url: source.url, games: 3 }]);
+  assert.deepEqual(games.map((g) => [g.rank, g.source, g.subdomain_rank]), [
+    [1, "strategy", 1],
+    [2, "strategy", 2],
+    [3, "strategy", 3],
+  ]);
+});
+
+test("scrapeListing keeps the overall ranks of a subdomain list", async () => {
+  const source = resolveSource("thematic");
+  const cache = createResponseCache({ dir: fs.mkdtempSync(path.join(os.tmpdir(), "bgg-listing-")), offline: true });
+  cache.write(source.url, readFixture("browse-subdomain.html"));
+  const { games } = await scrapeListing({ source, limit: 3, cache });
+  assert.deepEqual(games.map((g) => [g.rank, g.list_rank, g.subdomain_rank]), [
+    [12, 1, 1],
+    [47, 2, 2],
+    [null, 3, 3],
+  ]);
+});
+
+test("htmlToText strips markup and keeps paragraph breaks", () => {
+  assert.equal(htmlToText("<p>One &amp; two</p><p>Three<br/>four</p>"), "One & two\n\nThree\nfour");
+  assert.equal(htmlToText(""), null);
+});
+
+test("parseBestPlayersFromText collapses listed counts to a range", () => {
+  assert.deepEqual(parseBestPlayersFromText("Best: 3, 4"), { min: 3, max: 4 });
+  assert.deepEqual(parseBestPlayersFromText("Best: 2"), { min: 2, max: 2 });
+  assert.deepEqual(parseBestPlayersFromText("Best: 2, 4–5"), { min: 2, max: 5 });
+  assert.deepEqual(parseBestPlayersFromText("Recommended: 2–4"), { min: null, max: null });
+});
+
+test("extractDetailsFromGameHtml reads the geekitemPreload blob first", () => {
+  assert.deepEqual(extractDetailsFromGameHtml(readFixture("game-preload.html")), {
+    min_players: 2,
+    max_players: 4,
+    min_best_players: 3,
+    max_best_players: 4,
+    best_players: [3, 4],
+    recommended_players: [2, 3, 4],
+    player_poll: null,
+    min_playing_time: 60,
+    max_playing_time: 120,
+    weight: 3.87,
+    min_age: 14,
+    categories: ["Economic", "Industry / Manufacturing"],
+    mechanics: ["Hand Management", "Network and Route Building"],
+    designers: ["Gavan Brown", "Matt Tolman", "Martin Wallace"],
+    artists: ["Lina Cossette"],
+    publishers: ["Roxley"],
+    description: "Brass: Birmingham is an economic strategy game.\n\nPlayers build networks & industries.",
+    _source: { strategy: "preload", filled: {} },
+  });
+});
+
+test("extractDetailsFromGameHtml falls back to stats weight and empty best polls", () => {
+  assert.deepEqual(extractDetailsFromGameHtml(readFixture("game-preload-solo.html")), {
+    min_players: 1,
+    max_players: 1,
+    min_best_players: null,
+    max_best_players: null,
+    best_players: null,
+    recommended_players: null,
+    player_poll: null,
+    min_playing_time: 20,
+    max_playing_time: 20,
+    weight: 1.95,
+    min_age: null,
+    categories: [],
+    mechanics: [],
+    designers: [],
+    artists: [],
+    publishers: [],
+    description: null,
+    _source: { strategy: "preload", filled: {} },
+  });
+});
+
+test("extractDetailsFromGameHtml reads __NEXT_DATA__ when there is no preload", () => {
+  assert.deepEqual(extractDetailsFromGameHtml(readFixture("game-next-data.html")), {
+    min_players: 2,
+    max_players: 5,
+    min_best_players: 2,
+    max_best_players: 4,
+    best_players: [2, 4],
+    recommended_players: [2, 3, 4],
+    player_poll: [
+      { players: 1, best: 2, recommended: 10, not_recommended: 40 },
+      { players: 2, best: 30, recommended: 20, not_recommended: 5 },
+      { players: 3, best: 12, recommended: 35, not_recommended: 3 },
+      { players: 4, best: 41, recommended: 15, not_recommended: 1 },
+      { players: 5, best: 0, recommended: 0, not_recommended: 0, plus: true },
+    ],
+    min_playing_time: 45,
+    max_playing_time: 90,
+    weight: 2.46,
+    min_age: null,
+    categories: [],
+    mechanics: [],
+    designers: [],
+    artists: [],
+    publishers: [],
+    description: null,
+    _source: { strategy: "next-data", filled: {} },
+  });
+});
+
+test("extractDetailsFromGameHtml falls back to the visible text", () => {
+  assert.deepEqual(extractDetailsFromGameHtml(readFixture("game-text-fallback.html")), {
+    min_players: 2,
+    max_players: 4,
+    min_best_players: 3,
+    max_best_players: 4,
+    best_players: [3, 4],
+    recommended_players: [2, 3, 4],
+    player_poll: null,
+    min_playing_time: 60,
+    max_playing_time: 120,
+    weight: 3.87,
+    min_age: null,
+    categories: [],
+    mechanics: [],
+    designers: [],
+    artists: [],
+    publishers: [],
+    description: null,
+    _source: { strategy: "text-fallback", filled: {} },
+  });
+});
+
+test("extractDetailsFromGameHtml reads single-number counts from the text", () => {
+  assert.deepEqual(extractDetailsFromGameHtml(readFixture("game-text-single.html")), {
+    min_players: 2,
+    max_players: 2,
+    min_best_players: null,
+    max_best_players: null,
+    best_players: null,
+    recommended_players: null,
+    player_poll: null,
+    min_playing_time: 30,
+    max_playing_time: 30,
+    weight: 1.8,
+    min_age: null,
+    categories: [],
+    mechanics: [],
+    designers: [],
+    artists: [],
+    publishers: [],
+    description: null,
+    _source: { strategy: "text-fallback", filled: {} },
+  });
+});
@@ -0,0 +1,151 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createServer } = require("../lib/server");
+const { datasetHash, saveSnapshot } = require("../lib/history");
+
+const games = [
+  { rank: 1, title: "Brass: Birmingham", url: "https://boardgamegeek.com/boardgame/224517/brass-birmingham", weight: 3.87, min_players: 2, max_players: 4 },
+  { rank: 2, title: "Pandemic Legacy: Season 1", url: "https://boardgamegeek.com/boardgame/161936/pandemic-legacy-season-1", weight: 2.83, min_players: 2, max_players: 4 },
+  { rank: 3, title: "Ark Nova", url: "https://boardgamegeek.com/boardgame/342942/ark-nova", weight: 3.77, min_players: 1, max_players: 4 },
+];
+
+// A served directory with the viewer's page, a dataset, its history and a second list
+function siteDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bgg-server-"));
+  fs.writeFileSync(path.join(dir, "index.html"), "<!doctype html><title>viewer</title>");
+  fs.writeFileSync(path.join(dir, "boardgames.json"), JSON.stringify(games));
+  fs.writeFileSync(path.join(dir, "boardgames-party.json"), JSON.stringify([{ rank: 1, title: "Codenames" }]));
+  fs.writeFileSync(path.join(dir, "datasets.json"), JSON.stringify([
+    { key: "overall", file: "boardgames.json", history: "history" },
+    { key: "party", file: "boardgames-party.json", history: null },
+  ]));
+  saveSnapshot(path.join(dir, "history"), games.slice(0, 2), new Date("2026-10-01T00:00:00Z"));
+  return dir;
+}
+
+async function withServer(fn) {
+  const dir = siteDir();
+  const server = createServer({ root: dir });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  try {
+    await fn(`http://127.0.0.1:${server.address().port}`, dir);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+test("only the viewer's files are served, never config, caches or .git", async () => {
+  await withServer(async (base, dir) => {
+    fs.mkdirSync(path.join(dir, ".git"));
+    fs.writeFileSync(path.join(dir, ".git", "config"), "[core]");
+    fs.writeFileSync(path.join(dir, "package.json"), "{}");
+    fs.writeFileSync(path.join(dir, "bgg250.config.json"), "{}");
+    fs.writeFileSync(path.join(dir, "boardgames.run.json"), "{}");
+    fs.mkdirSync(path.join(dir, "images", ".cache"), { recursive: true });
+    fs.writeFileSync(path.join(dir, "images", ".cache", "x"), "secret");
+    for (const file of [".git/config", "package.json", "bgg250.config.json", "boardgames.run.json", "boardgames.json.journal", "images/.cache/x"]) {
+      assert.equal((await fetch(`${base}/${file}`)).status, 404, file);
+    }
+  });
+});
+
+test("/api/games filters, sorts and pages with the viewer's query parameters", async () => {
+  await withServer(async (base) => {
+    const res = await fetch(`${base}/api/games?weight=3.5-&sort=weight:asc&per_page=1&page=2`);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("access-control-allow-origin"), "*");
+    const body = await res.json();
+    assert.deepEqual({ ...body, games: body.games.map((g) => g.title) }, { total: 2, page: 2, per_page: 1, pages: 2, games: ["Brass: Birmingham"] });
+    const search = await (await fetch(`${base}/api/games?q=${encodeURIComponent("pandemc -ark")}`)).json();
+    assert.deepEqual(search.games.map((g) => g.rank), [2]);
+    const byTitle = await (await fetch(`${base}/api/games?sort=title`)).json();
+    assert.deepEqual(byTitle.games.map((g) => g.title), ["Ark Nova", "Brass: Birmingham", "Pandemic Legacy: Season 1"]);
+    // A bare number is a range of one: Ark Nova is the only game for 1 player
+    const solo = await (await fetch(`${base}/api/games?players=1`)).json();
+    assert.deepEqual(solo.games.map((g) => g.title), ["Ark Nova"]);
+    const party = await (await fetch(`${base}/api/games?data=party`)).json();
+    assert.deepEqual(party.games.map((g) => g.title), ["Codenames"]);
+  });
+});
+
+test("/api/games rejects bad paging and unknown datasets", async () => {
+  await withServer(async (base) => {
+    const res = await fetch(`${base}/api/games?page=0`);
+    assert.equal(res.status, 400);
+    assert.deepEqual(await res.json(), { error: "page must be a positive integer" });
+    assert.equal((await fetch(`${base}/api/games?data=nope`)).status, 404);
+    const sort = await fetch(`${base}/api/games?sort=title:up`);
+    assert.equal(sort.status, 400);
+    assert.deepEqual(await sort.json(), { error: "sort direction must be one of: asc, desc" });
+  });
+});
+
+test("/api/games rejects range values and sort columns it cannot read", async () => {
+  await withServer(async (base) => {
+    const range = await fetch(`${base}/api/games?players=abc-`);
+    assert.equal(range.status, 400);
+    assert.deepEqual(await range.json(), { error: "players must be a number or a range like 2-4, not abc-" });
+    assert.equal((await fetch(`${base}/api/games?weight=1-2-3`)).status, 400);
+    const sort = await fetch(`${base}/api/games?sort=${encodeURIComponent("rank;drop")}`);
+    assert.equal(sort.status, 400);
+    assert.deepEqual(await sort.json(), { error: "unknown sort column rank;drop" });
+  });
+});
+
+test("/api/games/:id finds a game by BGG id", async () => {
+  await withServer(async (base) => {
+    assert.equal((await (await fetch(`${base}/api/games/342942`)).json()).title, "Ark Nova");
+    const missing = await fetch(`${base}/api/games/1`);
+    assert.equal(missing.status, 404);
+    assert.deepEqual(await missing.json(), { error: "No game with id 1" });
+  });
+});
+
+test("/api/snapshots lists the history and serves manifest entries only", async () => {
+  await withServer(async (base) => {
+    const { snapshots } = await (await fetch(`${base}/api/snapshots`)).json();
+    assert.deepEqual(snapshots, [{ file: "boardgames-2026-10-01T00-00-00Z.json", taken_at: "2026-10-01T00:00:00.000Z", count: 2, hash: datasetHash(games.slice(0, 2)) }]);
+    const snapshot = await (await fetch(`${base}/api/snapshots/${snapshots[0].file}`)).json();
+    assert.equal(snapshot.length, 2);
+    assert.equal((await fetch(`${base}/api/snapshots/index.json`)).status, 404);
+    assert.equal((await fetch(`${base}/api/snapshots?data=party`)).status, 404);
+  });
+});
+
+test("/api/data answers If-None-Match with 304 until the dataset changes", async () => {
+  await withServer(async (base, dir) => {
+    const first = await fetch(`${base}/api/data`);
+    const etag = first.headers.get("etag");
+    assert.deepEqual(await first.json(), games);
+    const again = await fetch(`${base}/api/data`, { headers: { "If-None-Match": etag } });
+    assert.equal(again.status, 304);
+    fs.writeFileSync(path.join(dir, "boardgames.json"), JSON.stringify(games.slice(0, 1)));
+    const changed = await fetch(`${base}/api/data`, { headers: { "If-None-Match": etag } });
+    assert.equal(changed.status, 200);
+    assert.notEqual(changed.headers.get("etag"), etag);
+    assert.equal((await (await fetch(`${base}/api/games`)).json()).total, 1);
+  });
+});
+
+test("static files are served from the root and nothing outside it", async () => {
+  await withServer(async (base) => {
+    const page = await fetch(`${base}/`);
+    assert.equal(page.headers.get("content-type"), "text/html; charset=utf-8");
+    assert.match(await page.text(), /viewer/);
+    assert.equal((await fetch(`${base}/..%2F..%2Fetc%2Fpasswd`)).status, 403);
+    assert.equal((await fetch(`${base}/missing.js`)).status, 404);
+    const malformed = await fetch(`${base}/%E0%A4%A`);
+    assert.equal(malformed.status, 400);
+    assert.match((await malformed.json()).error, /Malformed URL encoding/);
+    assert.equal((await fetch(`${base}/api/games/%E0%A4%A`)).status, 400);
+    assert.equal((await fetch(`${base}/boardgames-party.json`)).status, 200);
+    assert.equal((await fetch(`${base}/history/index.json`)).status, 200);
+    assert.equal((await fetch(`${base}/api/nothing`)).status, 404);
+    assert.equal((await fetch(`${base}/api/games`, { method: "POST" })).status, 405);
+  });
+});
@@ -0,0 +1,61 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  parseSortKey,
+  resolveSource,
+  sourceSlug,
+  annotateSource,
+  readDatasetIndex,
+  recordDataset,
+} = require("../lib/sources");
+
+test("resolveSource maps subdomain names to the filtered browse page", () => {
+  const source = resolveSource("strategy");
+  assert.equal(source.url, "https://boardgamegeek.com/browse/boardgame?sort=rank&rankobjecttype=family&rankobjectid=5497");
+  assert.equal(source.subdomain, "strategygames");
+  assert.equal(source.rankOrdered, true);
+  assert.equal(resolveSource().url, "https://boardgamegeek.com/browse/boardgame");
+  assert.equal(resolveSource("expansions").url, "https://boardgamegeek.com/browse/boardgameexpansion");
+});
+
+test("resolveSource accepts browse URLs and a sort key", () => {
+  const source = resolveSource("http://www.boardgamegeek.com/browse/boardgame?designerid=2", { sort: "numvoters:desc" });
+  assert.equal(source.url, "https://boardgamegeek.com/browse/boardgame?designerid=2&sort=numvoters&sortdir=desc");
+  assert.equal(source.custom, true);
+  assert.equal(source.rankOrdered, false);
+  assert.match(sourceSlug(source), /^custom-[0-9a-z]+$/);
+  assert.equal(sourceSlug(resolveSource("party")), "party");
+  assert.throws(() => resolveSource("https://example.com/browse/boardgame"), /boardgamegeek\.com browse page/);
+  assert.throws(() => resolveSource("cooperative"), /Unknown --source "cooperative"/);
+  assert.deepEqual(parseSortKey("avgrating"), { sort: "avgrating", sortdir: null });
+  assert.throws(() => parseSortKey("rank:up"), /asc or desc/);
+});
+
+test("annotateSource keeps the scraped rank and records the list position", () => {
+  const strategy = annotateSource([{ rank: 3 }, { rank: 9 }, { rank: null }], resolveSource("strategy"));
+  assert.deepEqual(strategy, [
+    { rank: 3, source: "strategy", list_rank: 1, subdomain_rank: 1 },
+    { rank: 9, source: "strategy", list_rank: 2, subdomain_rank: 2 },
+    { rank: null, source: "strategy", list_rank: 3, subdomain_rank: 3 },
+  ]);
+  const overall = annotateSource([{ rank: 1 }, { rank: 2 }], resolveSource());
+  assert.deepEqual(overall[1], { rank: 2, source: "overall", list_rank: 2, subdomain_rank: null });
+  const byVotes = annotateSource([{ rank: 40 }], resolveSource("thematic", { sort: "numvoters" }));
+  assert.deepEqual(byVotes[0], { rank: 40, source: "thematic", list_rank: 1, subdomain_rank: null });
+});
+
+test("recordDataset keeps one entry per list with the overall list first", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bgg-sources-"));
+  recordDataset(dir, resolveSource("party"), { file: path.join(dir, "boardgames-party.json"), historyDir: path.join(dir, "history", "party"), count: 10 });
+  recordDataset(dir, resolveSource(), { file: path.join(dir, "boardgames.json"), count: 250, hash: "0123456789abcdef" });
+  recordDataset(dir, resolveSource("party"), { file: path.join(dir, "boardgames-party.json"), count: 12 });
+  assert.deepEqual(readDatasetIndex(dir), [
+    { key: "overall", label: "Overall", source: "overall", file: "boardgames.json", history: null, count: 250, hash: "0123456789abcdef" },
+    { key: "party", label: "Party", source: "party", file: "boardgames-party.json", history: null, count: 12, hash: null },
+  ]);
+});
@@ -0,0 +1,79 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { checkInvariants, checkDataset, validateGames, formatReport } = require("../lib/validate");
+
+function game(rank, overrides = {}) {
+  return {
+    rank,
+    title: `Game ${rank}`,
+    year: 2020,
+    image: "@https://cf.geekdo-images.com/pic.jpg",
+    url: `https://boardgamegeek.com/boardgame/${rank}/game`,
+    geek_rating: 7.5,
+    avg_rating: 8,
+    num_voters: 1000,
+    min_players: 2,
+    max_players: 4,
+    min_best_players: 3,
+    max_best_players: 3,
+    min_playing_time: 60,
+    max_playing_time: 90,
+    weight: 2.5,
+    ...overrides,
+  };
+}
+
+test("checkInvariants flags inverted ranges and best counts outside the player range", () => {
+  assert.deepEqual(checkInvariants(game(1)), []);
+  assert.deepEqual(checkInvariants(game(1, { min_players: 5 })), [
+    "min_players > max_players (5 > 4)",
+    "best-player range starts below min_players (5 > 3)",
+  ]);
+  assert.deepEqual(checkInvariants(game(1, { max_best_players: 6 })), ["best-player range ends above max_players (6 > 4)"]);
+  assert.deepEqual(checkInvariants(game(1, { min_players: null, max_best_players: null })), []);
+});
+
+test("checkDataset reports skipped ranks and repeated games", () => {
+  assert.deepEqual(checkDataset([game(1), game(2), game(4)]), ["ranks skip from 2 to 4"]);
+  assert.deepEqual(checkDataset([game(2), game(3)]), ["ranks start at 2 instead of 1"]);
+  const repeated = [game(1), game(2, { url: "https://boardgamegeek.com/boardgame/1/game", title: "Again" })];
+  assert.deepEqual(checkDataset(repeated), ["Again appears at rank 1 and 2"]);
+});
+
+test("checkDataset only needs contiguous list positions on other lists", () => {
+  const strategy = [game(12, { source: "strategy", list_rank: 1 }), game(47, { source: "strategy", list_rank: 2 }), game(null, { source: "strategy", list_rank: 3, url: "https://boardgamegeek.com/boardgame/999/unranked" })];
+  assert.deepEqual(checkDataset(strategy), []);
+  strategy[2].list_rank = 5;
+  assert.deepEqual(checkDataset(strategy), ["list positions skip from 2 to 5"]);
+  assert.equal(validateGames(strategy.slice(0, 2).concat([{ ...strategy[2], list_rank: 3 }])).ok, true);
+});
+
+test("validateGames passes clean data and reports null rates", () => {
+  const report = validateGames([game(1), game(2, { weight: null })]);
+  assert.equal(report.ok, true);
+  assert.equal(report.nullRates.weight, 0.5);
+  assert.equal(report.nullRates.rank, 0);
+});
+
+test("validateGames applies schema errors and thresholds", () => {
+  const report = validateGames([game(1, { weight: 7, title: "" }), game(2, { weight: null })], {
+    maxNullRate: { weight: 0.25 },
+  });
+  assert.equal(report.ok, false);
+  assert.equal(report.offenders.length, 1);
+  assert.match(report.offenders[0].problems.join("; "), /\/title must NOT have fewer than 1 characters/);
+  assert.match(report.offenders[0].problems.join("; "), /\/weight must be <= 5/);
+  assert.deepEqual(report.violations, [
+    "1 problems found, at most 0 allowed",
+    "weight is missing on 50.0% of games, limit 25.0%",
+  ]);
+  assert.equal(validateGames([game(1, { weight: 7 })], { maxInvalid: 1 }).ok, true);
+});
+
+test("formatReport lists offenders and the result", () => {
+  const text = formatReport(validateGames([game(1, { min_playing_time: 120 })]));
+  assert.match(text, /#1 Game 1: min_playing_time > max_playing_time \(120 > 90\)/);
+  assert.match(text, /Result: FAILED/);
+});
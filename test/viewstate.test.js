@@ -0,0 +1,99 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  writeGameNight,
+  readGameNight,
+  parsePresets,
+  mergePresets,
+  exportPresets,
+  rowWindow,
+  gameId,
+  gameHash,
+  gameIdFromHash,
+  stepIndex,
+  sameRanking,
+  historyPoints,
+} = require("../lib/viewstate");
+
+const brass = { rank: 1, title: "Brass: Birmingham", url: "https://boardgamegeek.com/boardgame/224517/brass-birmingham", geek_rating: 8.4 };
+
+const night = { active: false, players: "4", minutes: "90", minWeight: "1.5", maxWeight: "3" };
+
+test("writeGameNight and readGameNight round-trip game night through the query string", () => {
+  assert.equal(writeGameNight(new URLSearchParams("q=catan"), night).toString(), "q=catan");
+  const params = writeGameNight(new URLSearchParams(), { ...night, active: true, players: "2", maxWeight: "2.5" });
+  assert.equal(params.toString(), "night=2p&night-minutes=90&night-weight=1.5-2.5");
+  assert.deepEqual(readGameNight(params, night), { active: true, players: "2", minutes: "90", minWeight: "1.5", maxWeight: "2.5" });
+  assert.deepEqual(readGameNight(new URLSearchParams("q=catan"), night), night);
+  // Garbled values keep the current ones
+  assert.deepEqual(readGameNight(new URLSearchParams("night=lotsp&night-weight=-x"), night), { ...night, active: true });
+});
+
+test("parsePresets reads storage lists and exported files and drops malformed entries", () => {
+  const presets = [{ name: "Heavy 2-player", query: "players=2-2&weight=3.5-" }, { name: " Party night ", query: "tab=charts" }];
+  assert.deepEqual(parsePresets(presets), [presets[0], { name: "Party night", query: "tab=charts" }]);
+  assert.deepEqual(parsePresets(JSON.parse(JSON.stringify(exportPresets(presets)))), parsePresets(presets));
+  assert.deepEqual(exportPresets([]), { version: 1, presets: [] });
+  assert.deepEqual(parsePresets([null, { name: "", query: "q=a" }, { name: "No query" }, { name: "Ok", query: "" }]), [{ name: "Ok", query: "" }]);
+  assert.deepEqual(parsePresets({ presets: "nope" }), []);
+  assert.deepEqual(parsePresets(null), []);
+});
+
+test("mergePresets replaces presets by name and sorts them", () => {
+  const merged = mergePresets([{ name: "Solo", query: "players=1-1" }, { name: "Party", query: "q=party" }], [{ name: "Solo", query: "players=1-1&weight=-2" }, { name: "Cozy", query: "" }]);
+  assert.deepEqual(merged, [{ name: "Cozy", query: "" }, { name: "Party", query: "q=party" }, { name: "Solo", query: "players=1-1&weight=-2" }]);
+});
+
+test("rowWindow covers the viewport plus overscan and stays inside the rows", () => {
+  const rendered = (top, count = 20000) => rowWindow({ top, viewportHeight: 800, rowHeight: 40, overscan: 15, count });
+  // Table body still below the fold: the first screenful
+  assert.deepEqual(rendered(200), [0, 30]);
+  // Scrolled 4000px into the body: rows 100-120 are on screen
+  assert.deepEqual(rendered(-4000), [85, 135]);
+  assert.deepEqual(rendered(-4000, 110), [85, 110]);
+  assert.deepEqual(rendered(-4000, 50), [50, 50]);
+});
+
+test("sameRanking compares games, ranks and ratings in order", () => {
+  const ark = { rank: 2, title: "Ark Nova", url: "https://boardgamegeek.com/boardgame/342942/ark-nova", geek_rating: 8.3 };
+  assert.equal(sameRanking([brass, ark], [{ ...brass, weight: 3.9 }, ark]), true);
+  assert.equal(sameRanking([brass, ark], [brass, { ...ark, geek_rating: 8.31 }]), false);
+  assert.equal(sameRanking([brass, ark], [{ ...ark, rank: 1 }, { ...brass, rank: 2 }]), false);
+  assert.equal(sameRanking([brass, ark], [brass]), false);
+});
+
+test("gameId reads the BGG id and falls back to the title", () => {
+  assert.equal(gameId(brass), "224517");
+  assert.equal(gameId({ title: "Odd One", url: "https://example.com/odd" }), "title:Odd One");
+});
+
+test("gameHash and gameIdFromHash round-trip drawer deep links", () => {
+  assert.equal(gameHash("224517"), "#game/224517");
+  assert.equal(gameIdFromHash(gameHash("title:Café & Co")), "title:Café & Co");
+  assert.equal(gameIdFromHash("#game/%E0%A4%A"), null);
+  assert.equal(gameIdFromHash("#charts"), null);
+  assert.equal(gameIdFromHash(""), null);
+});
+
+test("stepIndex starts at the first row and stops at either end", () => {
+  assert.equal(stepIndex(-1, 1, 3), 0);
+  assert.equal(stepIndex(0, 1, 3), 1);
+  assert.equal(stepIndex(2, 1, 3), 2);
+  assert.equal(stepIndex(0, -1, 3), 0);
+  assert.equal(stepIndex(-1, 1, 0), -1);
+});
+
+test("historyPoints follows one game through the snapshots it appears in", () => {
+  const manifest = [
+    { file: "a.json", taken_at: "2026-09-01T00:00:00.000Z" },
+    { file: "b.json", taken_at: "2026-09-15T00:00:00.000Z" },
+    { file: "c.json", taken_at: "2026-10-01T00:00:00.000Z" },
+  ];
+  const snapshots = [[{ ...brass, rank: 3, geek_rating: 8.2 }], null, [{ rank: 1, title: "Ark Nova", url: "https://boardgamegeek.com/boardgame/342942/ark-nova" }, { ...brass, rank: 2 }]];
+  assert.deepEqual(historyPoints(manifest, snapshots, "224517"), [
+    { taken_at: "2026-09-01T00:00:00.000Z", rank: 3, geek_rating: 8.2 },
+    { taken_at: "2026-10-01T00:00:00.000Z", rank: 2, geek_rating: 8.4 },
+  ]);
+});
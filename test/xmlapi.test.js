@@ -0,0 +1,161 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const {
+  extractGameId,
+  chunk,
+  buildThingUrl,
+  parseThingXml,
+  fetchThingDetails,
+} = require("../lib/xmlapi");
+const { enrichWithXmlApi } = require("../lib/scraper");
+const { readFixture } = require("./helpers");
+
+// Serves the thing fixture, answering the first `queuedResponses` requests with 202, or
+// with whatever status `statusFor(n)` gives the nth request
+function startMockApi({ queuedResponses = 0, statusFor = (n) => (n <= queuedResponses ? 202 : 200) } = {}) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const status = statusFor(requests.length);
+    if (status !== 200) {
+      res.writeHead(status, { "Content-Type": "text/xml" });
+      res.end("<message>Your request for this collection has been accepted and will be processed.</message>");
+      return;
+    }
+    res.writeHead(200, { "Content-Type": "text/xml" });
+    res.end(readFixture("thing-batch.xml"));
+  });
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({ server, requests, apiBase: `http://127.0.0.1:${server.address().port}/xmlapi2` });
+    });
+  });
+}
+
+test("extractGameId reads the numeric id from game urls", () => {
+  assert.equal(extractGameId("https://boardgamegeek.com/boardgame/224517/brass-birmingham"), "224517");
+  assert.equal(extractGameId("https://boardgamegeek.com/boardgameexpansion/12/foo"), "12");
+  assert.equal(extractGameId("https://boardgamegeek.com/browse/boardgame"), null);
+  assert.equal(extractGameId(null), null);
+});
+
+test("chunk and buildThingUrl batch ids for the thing endpoint", () => {
+  assert.deepEqual(chunk([1, 2, 3, 4, 5], 2), [[1, 2], [3, 4], [5]]);
+  assert.equal(buildThingUrl(["1", "2"], "http://localhost/xmlapi2/"), "http://localhost/xmlapi2/thing?id=1,2&stats=1");
+});
+
+test("parseThingXml maps items to the detail shape", () => {
+  const details = parseThingXml(readFixture("thing-batch.xml"));
+  assert.deepEqual(details.get("224517"), {
+    min_players: 2,
+    max_players: 4,
+    min_best_players: 3,
+    max_best_players: 4,
+    best_players: [3, 4],
+    recommended_players: [2, 3, 4],
+    player_poll: [
+      { players: 1, best: 0, recommended: 3, not_recommended: 801 },
+      { players: 2, best: 120, recommended: 700, not_recommended: 210 },
+      { players: 3, best: 720, recommended: 480, not_recommended: 12 },
+      { players: 4, best: 1010, recommended: 220, not_recommended: 20 },
+      { players: 4, best: 1, recommended: 2, not_recommended: 600, plus: true },
+    ],
+    min_playing_time: 60,
+    max_playing_time: 120,
+    weight: 3.87,
+    min_age: 14,
+    categories: ["Economic"],
+    mechanics: ["Hand Management", "Network and Route Building"],
+    designers: ["Gavan Brown", "Martin Wallace"],
+    artists: ["Lina Cossette"],
+    publishers: ["Roxley"],
+    description: "Brass: Birmingham is an economic strategy game.\n\nPlayers build networks & industries.",
+    image_remote: {
+      thumb: "https://cf.geekdo-images.com/brass__thumb/img/pic3490053.jpg",
+      original: "https://cf.geekdo-images.com/brass__original/img/pic3490053.jpg",
+    },
+  });
+  assert.deepEqual(details.get("999003"), {
+    min_players: 1,
+    max_players: 1,
+    min_best_players: null,
+    max_best_players: null,
+    best_players: null,
+    recommended_players: null,
+    player_poll: null,
+    min_playing_time: null,
+    max_playing_time: null,
+    weight: null,
+    min_age: null,
+    categories: [],
+    mechanics: [],
+    designers: [],
+    artists: [],
+    publishers: [],
+    description: null,
+    image_remote: null,
+  });
+});
+
+test("fetchThingDetails retries while the API answers 202", async () => {
+  const { server, requests, apiBase } = await startMockApi({ queuedResponses: 2 });
+  try {
+    const details = await fetchThingDetails(["224517", "999003"], { apiBase, retryDelayMs: 1 });
+    assert.equal(details.size, 2);
+    assert.equal(requests.length, 3);
+    assert.equal(requests[0], "/xmlapi2/thing?id=224517,999003&stats=1");
+  } finally {
+    server.close();
+  }
+});
+
+test("fetchThingDetails gives up after the poll limit", async () => {
+  const { server, requests, apiBase } = await startMockApi({ queuedResponses: 10 });
+  try {
+    await assert.rejects(
+      fetchThingDetails(["224517"], { apiBase, polls: 2, retryDelayMs: 1 }),
+      /still queued after 2 poll/
+    );
+    assert.equal(requests.length, 2);
+  } finally {
+    server.close();
+  }
+});
+
+test("fetchThingDetails shares one transport retry budget across polls", async () => {
+  // Every poll is queued or fails: 202, 503, 202, 503, ...
+  const { server, requests, apiBase } = await startMockApi({ statusFor: (n) => (n % 2 ? 202 : 503) });
+  try {
+    await assert.rejects(fetchThingDetails(["224517"], { apiBase, polls: 5, attempts: 3, retryDelayMs: 1 }));
+    assert.ok(requests.length <= 5 + 3 - 1, `${requests.length} requests`);
+  } finally {
+    server.close();
+  }
+  const failing = await startMockApi({ statusFor: () => 503 });
+  try {
+    await assert.rejects(fetchThingDetails(["224517"], { apiBase: failing.apiBase, polls: 5, attempts: 3, retryDelayMs: 1 }), /503/);
+    assert.equal(failing.requests.length, 3);
+  } finally {
+    failing.server.close();
+  }
+});
+
+test("enrichWithXmlApi merges batch results into game records", async () => {
+  const { server, apiBase } = await startMockApi();
+  const games = [
+    { rank: 1, title: "Brass: Birmingham", url: "https://boardgamegeek.com/boardgame/224517/brass-birmingham" },
+    { rank: 2, title: "Solo Puzzle", url: "https://boardgamegeek.com/boardgame/999003/solo-puzzle" },
+  ];
+  try {
+    const failures = await enrichWithXmlApi(games, { apiBase, concurrency: 2 });
+    assert.deepEqual(failures, []);
+    assert.equal(games[0].weight, 3.87);
+    assert.equal(games[0].min_best_players, 3);
+    assert.equal(games[1].max_players, 1);
+  } finally {
+    server.close();
+  }
+});
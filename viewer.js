@@ -6,153 +6,744 @@
     sortKey: 'rank',
     sortDir: 'asc', // 'asc' | 'desc'
     query: '',
-    minWeightOp: 'all', // 'all' | 'lte' | 'gte'
-    minWeightValue: '',
-    maxWeightOp: 'all', // 'all' | 'lte' | 'gte'
-    maxWeightValue: '',
-    minPlayersOp: 'all',
-    minPlayersValue: '',
-    maxPlayersOp: 'all',
-    maxPlayersValue: '',
-    minBestPlayersOp: 'all',
-    minBestPlayersValue: '',
-    maxBestPlayersOp: 'all',
-    maxBestPlayersValue: '',
-    minTimeOp: 'all',
-    minTimeValue: '',
-    maxTimeOp: 'all',
-    maxTimeValue: ''
+    ranges: {}, // range filter id -> { lo, hi, mode, unknown }; lo/hi null means unbounded
+    playerCountValue: '',
+    playerCountMode: 'best', // 'best' | 'recommended'
+    publisherQuery: '',
+    artistQuery: '',
+    facets: {}, // key -> { include: [], exclude: [], mode: 'or' | 'and', search: '', expanded: false }
+    quick: {}, // quick filter key -> boolean
+    gameNight: { active: false, players: '4', minutes: '90', minWeight: '1.5', maxWeight: '3' },
+    tab: 'table', // 'table' | 'charts'
+    selectedId: null // BGG id of the game shown in the detail drawer
   };
 
-  const numberKeys = new Set([
-    'rank','year','geek_rating','avg_rating','num_voters','min_players','max_players','min_best_players','max_best_players','min_playing_time','max_playing_time','weight'
-  ]);
+  // Filtering, search and sorting live in lib/query.js, shared with the API server
+  const Query = window.BGGQuery;
+  // Game night and preset encoding, the rendered row window, drawer deep links and game
+  // history live in lib/viewstate.js, where they can be tested
+  const ViewState = window.BGGViewState;
+  const gameId = ViewState.gameId;
+  // Scales and statistics for the charts dashboard live in lib/charts.js
+  const { extent, linearScale, niceTicks, pearson, boxStats, yearBins } = window.BGGCharts;
+  const quickFilters = Query.QUICK_FILTERS;
+  const rangeFilters = Query.RANGE_FILTERS;
 
-  function getCellValue(game, key) {
-    const value = game[key];
-    if (value === null || value === undefined) return '';
-    if (numberKeys.has(key)) return value;
-    return String(value);
-  }
+  // Labels for Query.RANGE_MODES; the sliders are built from rangeFilters
+  const rangeModes = [
+    { value: 'overlap', label: 'overlaps' },
+    { value: 'contains', label: 'covers' },
+    { value: 'within', label: 'within' }
+  ];
+  const rangeUnknowns = new Map(); // range filter id -> games with no value, counted once on load
 
-  function compare(a, b, key, dir) {
-    const va = getCellValue(a, key);
-    const vb = getCellValue(b, key);
-    let res = 0;
-    if (typeof va === 'number' && typeof vb === 'number') {
-      res = va - vb;
-    } else {
-      res = String(va).localeCompare(String(vb), undefined, { sensitivity: 'base', numeric: true });
+  // Multi-valued fields with their free-text filter in `state`
+  const tagFilters = [
+    { key: 'publishers', stateKey: 'publisherQuery', inputId: 'publisher-value', label: 'Publisher' },
+    { key: 'artists', stateKey: 'artistQuery', inputId: 'artist-value', label: 'Artist' }
+  ];
+
+  // Multi-valued fields filtered through the facet panel
+  const facetDefs = [
+    { key: 'mechanics', label: 'Mechanics' },
+    { key: 'categories', label: 'Categories' },
+    { key: 'designers', label: 'Designers' }
+  ];
+  const FACET_COLLAPSED_LIMIT = 12;
+
+  // Every filter starts from the shared defaults; facets add their panel state on top
+  const initialFilters = Query.defaultFilters();
+  Object.assign(state.ranges, initialFilters.ranges);
+  Object.assign(state.quick, initialFilters.quick);
+  facetDefs.forEach(d => { state.facets[d.key] = { ...initialFilters.facets[d.key], search: '', expanded: false }; });
+
+  // Written by the scraper for each --source it has run; without it there is one dataset
+  const DATASET_INDEX = 'datasets.json';
+  const DEFAULT_DATASET = { key: 'overall', label: 'Overall', file: 'boardgames.json', history: 'history' };
+  const PRESETS_STORAGE_KEY = 'bgg250.presets';
+  // URL changes closer together than this (typing, dragging a slider) share one history entry
+  const URL_PUSH_INTERVAL_MS = 1000;
+  const gameNightInputs = { players: 'gn-players', minutes: 'gn-minutes', minWeight: 'gn-min-weight', maxWeight: 'gn-max-weight' };
+
+  // Fields shown in the detail drawer, in display order
+  const detailFields = [
+    { key: 'rank', label: 'Rank' },
+    // Only worth a line on lists where the position differs from the overall rank
+    { key: 'list_rank', label: 'Position in list', optional: true, sameAs: 'rank' },
+    { key: 'subdomain_rank', label: 'Subdomain rank', optional: true },
+    { key: 'year', label: 'Year' },
+    { key: 'geek_rating', label: 'Geek rating' },
+    { key: 'avg_rating', label: 'Avg rating' },
+    { key: 'num_voters', label: 'Voters' },
+    { key: 'min_players', label: 'Min players' },
+    { key: 'max_players', label: 'Max players' },
+    { key: 'best_players', label: 'Best with' },
+    { key: 'recommended_players', label: 'Recommended with' },
+    { key: 'min_playing_time', label: 'Min time (min)' },
+    { key: 'max_playing_time', label: 'Max time (min)' },
+    { key: 'weight', label: 'Weight' },
+    { key: 'min_age', label: 'Min age' },
+    { key: 'mechanics', label: 'Mechanics' },
+    { key: 'categories', label: 'Categories' },
+    { key: 'designers', label: 'Designers' },
+    { key: 'artists', label: 'Artists' },
+    { key: 'publishers', label: 'Publishers' },
+    { key: 'owned', label: 'Owned', collection: true },
+    { key: 'wishlist', label: 'Wishlist', collection: true },
+    { key: 'want_to_play', label: 'Want to play', collection: true },
+    { key: 'my_rating', label: 'My rating', collection: true },
+    { key: 'num_plays', label: 'Plays', collection: true }
+  ];
+
+  // Fills el with text, wrapping the given [start, end) spans in <mark>
+  function appendHighlighted(el, text, spans) {
+    let pos = 0;
+    for (const [start, end] of spans || []) {
+      if (start > pos) el.appendChild(document.createTextNode(text.slice(pos, start)));
+      const mark = document.createElement('mark');
+      mark.textContent = text.slice(start, end);
+      el.appendChild(mark);
+      pos = end;
     }
-    return dir === 'asc' ? res : -res;
+    if (pos < text.length) el.appendChild(document.createTextNode(text.slice(pos)));
+  }
+
+  // Relevance, title highlights and sort order of the last query run
+  let queryResult = { matches: new Map(), byRelevance: false };
+
+  // The viewer's state as a filter set for lib/query.js
+  function currentFilters() {
+    const tags = {};
+    for (const f of tagFilters) tags[f.key] = state[f.stateKey];
+    return { ...state, tags };
   }
 
   function applyFilterAndSort() {
-    const q = state.query.trim().toLowerCase();
-    let rows = state.games.slice();
-    if (q) {
-      rows = rows.filter(g => (
-        (g.title || '').toLowerCase().includes(q) || String(g.year || '').includes(q)
-      ));
-    }
-    // Weight filter
-    if (state.minWeightValue !== '') {
-      const normalized = String(state.minWeightValue).replace(',', '.');
-      const threshold = Number(normalized);
-      if (!Number.isNaN(threshold)) {
-        const op = state.minWeightOp === 'all' ? 'gte' : state.minWeightOp; // default to >= when a value is present
-        if (op === 'lte') rows = rows.filter(g => { const gw = Number(g.weight); return !Number.isNaN(gw) && gw <= threshold; });
-        if (op === 'gte') rows = rows.filter(g => { const gw = Number(g.weight); return !Number.isNaN(gw) && gw >= threshold; });
+    queryResult = Query.queryGames(state.games, currentFilters());
+    const { rows, base } = queryResult;
+    state.filtered = rows;
+    renderPicks(rows);
+    renderTableBody(rows);
+    renderDashboard(rows);
+    renderFacets(base);
+    renderRangeFilters();
+    renderSummary();
+    updateSortIndicators();
+    updateUrl();
+  }
+
+  const gameRange = Query.gameRange;
+
+  function isRangeActive(f) {
+    return Query.isRangeActive(state.ranges[f.id]);
+  }
+
+  function formatRangeValue(f, value, bound) {
+    const text = f.decimals ? Number(value).toFixed(f.decimals) : String(value);
+    return `${text}${bound && f.cap !== undefined && value >= f.cap ? '+' : ''}`;
+  }
+
+  function describeRange(f) {
+    const r = state.ranges[f.id];
+    const box = document.querySelector(`.range-filter[data-id="${f.id}"]`);
+    const lo = r.lo ?? Number(box ? box.querySelector('.range-lo').min : 0);
+    const hi = r.hi ?? Number(box ? box.querySelector('.range-hi').max : 0);
+    const text = lo === hi && r.hi !== null ? formatRangeValue(f, lo) : `${formatRangeValue(f, lo)}–${formatRangeValue(f, hi, r.hi === null)}`;
+    return `${text}${f.unit ? ` ${f.unit}` : ''}`;
+  }
+
+  // Builds one dual-handle slider per range filter; everything is driven by `rangeFilters`
+  function buildRangeFilters() {
+    const container = document.getElementById('range-filters');
+    if (!container) return;
+    container.innerHTML = '';
+    for (const f of rangeFilters) {
+      const r = state.ranges[f.id];
+      const unknownCount = state.games.filter(g => !gameRange(g, f)).length;
+      rangeUnknowns.set(f.id, unknownCount);
+      // Nothing to slide over when no game has the field
+      if (unknownCount === state.games.length) continue;
+      const bounds = Query.rangeBounds(state.games, f);
+      const single = f.minKey === f.maxKey;
+      const box = document.createElement('div');
+      box.className = 'range-filter';
+      box.setAttribute('data-id', f.id);
+
+      const header = document.createElement('div');
+      header.className = 'range-header';
+      header.appendChild(createCell('small', 'range-label', f.label));
+      if (!single) {
+        const mode = document.createElement('select');
+        mode.className = 'range-mode';
+        mode.setAttribute('aria-label', `${f.label} match mode`);
+        for (const m of rangeModes) {
+          const option = document.createElement('option');
+          option.value = m.value;
+          option.textContent = m.label;
+          mode.appendChild(option);
+        }
+        mode.value = r.mode;
+        mode.addEventListener('change', () => { r.mode = mode.value; applyFilterAndSort(); });
+        header.appendChild(mode);
       }
-    }
-    if (state.maxWeightValue !== '') {
-      const normalized = String(state.maxWeightValue).replace(',', '.');
-      const threshold = Number(normalized);
-      if (!Number.isNaN(threshold)) {
-        const op = state.maxWeightOp === 'all' ? 'lte' : state.maxWeightOp; // default to <= when a value is present
-        if (op === 'lte') rows = rows.filter(g => { const gw = Number(g.weight); return !Number.isNaN(gw) && gw <= threshold; });
-        if (op === 'gte') rows = rows.filter(g => { const gw = Number(g.weight); return !Number.isNaN(gw) && gw >= threshold; });
+      header.appendChild(createCell('span', 'range-value'));
+      if (unknownCount) {
+        const label = document.createElement('label');
+        label.className = 'range-unknown';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = r.unknown;
+        checkbox.addEventListener('change', () => { r.unknown = checkbox.checked; applyFilterAndSort(); });
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(` unknown (${unknownCount})`));
+        header.appendChild(label);
       }
+      box.appendChild(header);
+
+      const track = document.createElement('div');
+      track.className = 'dual-range';
+      const inputs = ['lo', 'hi'].map(end => {
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.className = `range-${end}`;
+        input.min = bounds.min;
+        input.max = bounds.max;
+        input.step = f.step;
+        input.value = end === 'lo' ? (r.lo ?? bounds.min) : (r.hi ?? bounds.max);
+        input.setAttribute('aria-label', `${f.label} ${end === 'lo' ? 'from' : 'to'}`);
+        track.appendChild(input);
+        return input;
+      });
+      const [loInput, hiInput] = inputs;
+      const onInput = (e) => {
+        // Handles may meet but not cross
+        if (Number(loInput.value) > Number(hiInput.value)) {
+          if (e.target === loInput) loInput.value = hiInput.value;
+          else hiInput.value = loInput.value;
+        }
+        r.lo = Number(loInput.value) <= bounds.min ? null : Number(loInput.value);
+        r.hi = Number(hiInput.value) >= bounds.max ? null : Number(hiInput.value);
+        box.querySelector('.range-value').textContent = describeRange(f);
+        scheduleFilter();
+      };
+      inputs.forEach(input => input.addEventListener('input', onInput));
+      box.appendChild(track);
+      container.appendChild(box);
     }
+  }
 
-    // Min players
-    if (state.minPlayersValue !== '') {
-      const t = Number(state.minPlayersValue);
-      if (!Number.isNaN(t)) {
-        const op = state.minPlayersOp === 'all' ? 'gte' : state.minPlayersOp;
-        if (op === 'lte') rows = rows.filter(g => { const v = Number(g.min_players); return !Number.isNaN(v) && v <= t; });
-        if (op === 'gte') rows = rows.filter(g => { const v = Number(g.min_players); return !Number.isNaN(v) && v >= t; });
-      }
+  function renderRangeFilters() {
+    for (const f of rangeFilters) {
+      const box = document.querySelector(`.range-filter[data-id="${f.id}"]`);
+      if (!box) continue;
+      const lo = box.querySelector('.range-lo');
+      const hi = box.querySelector('.range-hi');
+      const span = Number(lo.max) - Number(lo.min) || 1;
+      box.querySelector('.dual-range').style.setProperty('--lo', `${((lo.value - lo.min) / span) * 100}%`);
+      box.querySelector('.dual-range').style.setProperty('--hi', `${((hi.value - lo.min) / span) * 100}%`);
+      box.querySelector('.range-value').textContent = describeRange(f);
+      box.classList.toggle('active', isRangeActive(f));
     }
+  }
 
-    // Max players
-    if (state.maxPlayersValue !== '') {
-      const t = Number(state.maxPlayersValue);
-      if (!Number.isNaN(t)) {
-        const op = state.maxPlayersOp === 'all' ? 'gte' : state.maxPlayersOp;
-        if (op === 'lte') rows = rows.filter(g => { const v = Number(g.max_players); return !Number.isNaN(v) && v <= t; });
-        if (op === 'gte') rows = rows.filter(g => { const v = Number(g.max_players); return !Number.isNaN(v) && v >= t; });
+
+  function toggleFacetValue(key, value, kind) {
+    const facet = state.facets[key];
+    const other = kind === 'include' ? 'exclude' : 'include';
+    facet[other] = facet[other].filter(v => v !== value);
+    facet[kind] = facet[kind].includes(value) ? facet[kind].filter(v => v !== value) : facet[kind].concat(value);
+    applyFilterAndSort();
+  }
+
+  function createFacetButton(className, text, title, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = className;
+    button.textContent = text;
+    if (title) button.title = title;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  function renderFacets(baseRows) {
+    for (const d of facetDefs) {
+      const facet = state.facets[d.key];
+      const box = document.querySelector(`.facet[data-key="${d.key}"]`);
+      if (!box) continue;
+      // baseRows has every other filter applied already
+      const counts = Query.facetCounts(baseRows, d.key, state.facets);
+      box.querySelector('.facet-mode').textContent = facet.mode === 'and' ? 'AND' : 'OR';
+
+      const chips = box.querySelector('.facet-chips');
+      chips.innerHTML = '';
+      for (const kind of ['include', 'exclude']) {
+        for (const v of facet[kind]) {
+          const chip = createFacetButton(`facet-chip ${kind}`, `${kind === 'include' ? '+' : '−'} ${v} ×`, 'Remove', () => toggleFacetValue(d.key, v, kind));
+          chips.appendChild(chip);
+        }
       }
-    }
 
-    // Best min players
-    if (state.minBestPlayersValue !== '') {
-      const t = Number(state.minBestPlayersValue);
-      if (!Number.isNaN(t)) {
-        const op = state.minBestPlayersOp === 'all' ? 'gte' : state.minBestPlayersOp;
-        if (op === 'lte') rows = rows.filter(g => { const v = Number(g.min_best_players); return !Number.isNaN(v) && v <= t; });
-        if (op === 'gte') rows = rows.filter(g => { const v = Number(g.min_best_players); return !Number.isNaN(v) && v >= t; });
+      const needle = facet.search.trim().toLowerCase();
+      const values = Array.from(counts.entries())
+        .filter(([v]) => !needle || String(v).toLowerCase().includes(needle))
+        .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])));
+      const visible = facet.expanded ? values : values.slice(0, FACET_COLLAPSED_LIMIT);
+
+      const list = box.querySelector('.facet-values');
+      list.innerHTML = '';
+      for (const [v, count] of visible) {
+        const li = document.createElement('li');
+        if (facet.include.includes(v)) li.className = 'included';
+        if (facet.exclude.includes(v)) li.className = 'excluded';
+        li.appendChild(createFacetButton('facet-value', v, 'Include', () => toggleFacetValue(d.key, v, 'include')));
+        li.appendChild(createCell('span', 'facet-count', count));
+        li.appendChild(createFacetButton('facet-exclude', '−', 'Exclude', () => toggleFacetValue(d.key, v, 'exclude')));
+        list.appendChild(li);
       }
+      const more = box.querySelector('.facet-more');
+      more.classList.toggle('hidden', values.length <= FACET_COLLAPSED_LIMIT);
+      more.textContent = facet.expanded ? 'Show fewer' : `Show all ${values.length}`;
     }
+  }
 
-    // Best max players
-    if (state.maxBestPlayersValue !== '') {
-      const t = Number(state.maxBestPlayersValue);
-      if (!Number.isNaN(t)) {
-        const op = state.maxBestPlayersOp === 'all' ? 'gte' : state.maxBestPlayersOp;
-        if (op === 'lte') rows = rows.filter(g => { const v = Number(g.max_best_players); return !Number.isNaN(v) && v <= t; });
-        if (op === 'gte') rows = rows.filter(g => { const v = Number(g.max_best_players); return !Number.isNaN(v) && v >= t; });
-      }
+  // Builds the static parts of each facet box; values and counts are filled by renderFacets
+  function buildFacetPanel() {
+    const container = document.getElementById('facets');
+    if (!container) return;
+    container.innerHTML = '';
+    for (const d of facetDefs) {
+      const facet = state.facets[d.key];
+      const box = document.createElement('div');
+      box.className = 'facet';
+      box.setAttribute('data-key', d.key);
+
+      const header = document.createElement('div');
+      header.className = 'facet-header';
+      header.appendChild(createCell('small', 'facet-label', d.label));
+      header.appendChild(createFacetButton('facet-mode', 'OR', 'Match any (OR) or all (AND) included values', () => {
+        facet.mode = facet.mode === 'and' ? 'or' : 'and';
+        applyFilterAndSort();
+      }));
+      box.appendChild(header);
+
+      const search = document.createElement('input');
+      search.type = 'search';
+      search.className = 'facet-search';
+      search.placeholder = `Find ${d.label.toLowerCase()}...`;
+      search.autocomplete = 'off';
+      search.addEventListener('input', () => { facet.search = search.value; scheduleFilter(); });
+      box.appendChild(search);
+
+      const chips = document.createElement('div');
+      chips.className = 'facet-chips';
+      box.appendChild(chips);
+
+      const list = document.createElement('ul');
+      list.className = 'facet-values';
+      box.appendChild(list);
+
+      box.appendChild(createFacetButton('facet-more hidden', '', null, () => {
+        facet.expanded = !facet.expanded;
+        applyFilterAndSort();
+      }));
+      container.appendChild(box);
     }
+  }
 
-    // Min time
-    if (state.minTimeValue !== '') {
-      const t = Number(state.minTimeValue);
-      if (!Number.isNaN(t)) {
-        const op = state.minTimeOp === 'all' ? 'gte' : state.minTimeOp;
-        if (op === 'lte') rows = rows.filter(g => { const v = Number(g.min_playing_time); return !Number.isNaN(v) && v <= t; });
-        if (op === 'gte') rows = rows.filter(g => { const v = Number(g.min_playing_time); return !Number.isNaN(v) && v >= t; });
+  const PICK_COUNT = 10;
+  const factorLabels = { players: 'Players', time: 'Time', weight: 'Weight', rating: 'Rating' };
+
+  // Game night: rank the filtered games with the shared scorer in lib/recommend.js
+  function renderPicks(rows) {
+    const section = document.getElementById('picks');
+    if (!section) return;
+    const gn = state.gameNight;
+    section.classList.toggle('hidden', !gn.active);
+    if (!gn.active) return;
+    const list = section.querySelector('.picks-list');
+    list.innerHTML = '';
+    const players = Number(gn.players);
+    const minutes = Number(gn.minutes);
+    if (!(players >= 1) || !(minutes > 0)) {
+      list.appendChild(createCell('li', 'muted', 'Enter a player count and the minutes you have.'));
+      return;
+    }
+    const picks = window.BGGRecommend.recommend(rows, {
+      players,
+      minutes,
+      minWeight: gn.minWeight === '' ? 0 : Number(gn.minWeight),
+      maxWeight: gn.maxWeight === '' ? 5 : Number(gn.maxWeight),
+      limit: PICK_COUNT
+    });
+    if (!picks.length) list.appendChild(createCell('li', 'muted', `No game in the current list seats ${players}.`));
+    for (const pick of picks) {
+      const li = document.createElement('li');
+      li.className = 'pick';
+      li.setAttribute('data-id', gameId(pick.game));
+      li.appendChild(createCell('span', 'pick-score', pick.score.toFixed(0)));
+      const title = createCell('span', 'pick-title', pick.game.title);
+      title.appendChild(createCell('span', 'muted', ` #${pick.game.rank}`));
+      li.appendChild(title);
+      const factors = document.createElement('div');
+      factors.className = 'pick-factors';
+      for (const key of Object.keys(factorLabels)) {
+        const factor = document.createElement('span');
+        factor.className = 'pick-factor';
+        const missing = pick.missing.includes(key);
+        factor.title = missing ? `${factorLabels[key]}: no data, scored as neutral` : `${factorLabels[key]}: ${pick.factors[key]}`;
+        factor.appendChild(createCell('small', 'muted', factorLabels[key]));
+        const bar = createCell('span', `pick-bar${missing ? ' missing' : ''}`);
+        bar.style.setProperty('--fill', `${Math.round(pick.factors[key] * 100)}%`);
+        factor.appendChild(bar);
+        factors.appendChild(factor);
       }
+      li.appendChild(factors);
+      li.addEventListener('click', () => selectGame(gameId(pick.game)));
+      list.appendChild(li);
     }
+  }
 
-    // Max time
-    if (state.maxTimeValue !== '') {
-      const t = Number(state.maxTimeValue);
-      if (!Number.isNaN(t)) {
-        const op = state.maxTimeOp === 'all' ? 'gte' : state.maxTimeOp;
-        if (op === 'lte') rows = rows.filter(g => { const v = Number(g.max_playing_time); return !Number.isNaN(v) && v <= t; });
-        if (op === 'gte') rows = rows.filter(g => { const v = Number(g.max_playing_time); return !Number.isNaN(v) && v >= t; });
-      }
+  // ---- Charts dashboard ----
+  // Plain SVG drawn from the filtered rows, so every chart follows the current filters.
+  // Clicking a bar or box sets the filter it stands for and clicking it again clears it;
+  // dragging across the scatter plot sets the weight and rating ranges.
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+  const CHART = { width: 440, height: 260, top: 14, right: 14, bottom: 40, left: 46 };
+  // Box plot groups, one per weight point; a box filters to band..band+1 like the weight slider
+  const WEIGHT_BANDS = [1, 2, 3, 4];
+  const TIME_TICKS = [5, 10, 15, 30, 60, 120, 240, 480, 960, 1920];
+
+  function svgEl(tag, attrs = {}, text) {
+    const el = document.createElementNS(SVG_NS, tag);
+    for (const [name, value] of Object.entries(attrs)) el.setAttribute(name, value);
+    if (text !== undefined) el.textContent = text;
+    return el;
+  }
+
+  const plotArea = () => ({ x0: CHART.left, x1: CHART.width - CHART.right, y0: CHART.height - CHART.bottom, y1: CHART.top });
+
+  function createChartFrame(title, caption) {
+    const figure = document.createElement('figure');
+    figure.className = 'chart';
+    const heading = document.createElement('figcaption');
+    heading.appendChild(createCell('h3', null, title));
+    if (caption) heading.appendChild(createCell('small', 'muted', caption));
+    figure.appendChild(heading);
+    const svg = svgEl('svg', { viewBox: `0 0 ${CHART.width} ${CHART.height}`, role: 'img', 'aria-label': title });
+    figure.appendChild(svg);
+    return { figure, svg };
+  }
+
+  function emptyChart(title, message) {
+    const { figure } = createChartFrame(title);
+    figure.appendChild(createCell('div', 'muted chart-empty', message));
+    return figure;
+  }
+
+  // Gridlines with their labels on the left, tick labels along the bottom and both axis titles
+  function drawAxes(svg, { xTicks, yTicks, x, y, xLabel, yLabel, xFormat = String, yFormat = String }) {
+    const area = plotArea();
+    const axes = svgEl('g', { class: 'chart-axes' });
+    for (const t of yTicks) {
+      axes.appendChild(svgEl('line', { x1: area.x0, x2: area.x1, y1: y(t), y2: y(t), class: 'chart-grid' }));
+      axes.appendChild(svgEl('text', { x: area.x0 - 6, y: y(t) + 4, 'text-anchor': 'end' }, yFormat(t)));
     }
-    rows.sort((a, b) => compare(a, b, state.sortKey, state.sortDir));
-    state.filtered = rows;
-    renderTableBody(rows);
-    renderSummary();
-    updateSortIndicators();
+    for (const t of xTicks) {
+      axes.appendChild(svgEl('text', { x: x(t), y: area.y0 + 16, 'text-anchor': 'middle' }, xFormat(t)));
+    }
+    axes.appendChild(svgEl('line', { x1: area.x0, x2: area.x1, y1: area.y0, y2: area.y0, class: 'chart-baseline' }));
+    axes.appendChild(svgEl('text', { x: (area.x0 + area.x1) / 2, y: CHART.height - 4, 'text-anchor': 'middle', class: 'chart-label' }, xLabel));
+    axes.appendChild(svgEl('text', {
+      x: 0, y: 0, 'text-anchor': 'middle', class: 'chart-label',
+      transform: `translate(12 ${(area.y0 + area.y1) / 2}) rotate(-90)`
+    }, yLabel));
+    svg.appendChild(axes);
+  }
+
+  // Sets a filter from a chart click, or clears it when the click repeats the current one
+  function toggleChartFilter(isActive, apply, clear) {
+    if (isActive) clear();
+    else apply();
+    syncControls();
+    applyFilterAndSort();
+  }
+
+  function setRange(id, lo, hi) {
+    Object.assign(state.ranges[id], { lo, hi });
+  }
+
+  function rangeIs(id, lo, hi) {
+    return state.ranges[id].lo === lo && state.ranges[id].hi === hi;
+  }
+
+  // Bars with their count on top; `bars` is [{ label, value, title, active, onClick }]
+  function drawBars(svg, bars, { xLabel, yLabel }) {
+    const area = plotArea();
+    const max = Math.max(1, ...bars.map(b => b.value));
+    const yTicks = niceTicks(0, max, 4).filter(t => Number.isInteger(t));
+    const y = linearScale(0, yTicks[yTicks.length - 1] || max, area.y0, area.y1);
+    const slot = (area.x1 - area.x0) / bars.length;
+    const x = i => area.x0 + slot * (i + 0.5);
+    // Long label runs (decades of years) only get every few labels
+    const every = Math.ceil(bars.length / 12);
+    drawAxes(svg, {
+      xTicks: bars.map((b, i) => i).filter(i => i % every === 0),
+      yTicks,
+      x,
+      y,
+      xLabel,
+      yLabel,
+      xFormat: i => bars[i].label
+    });
+    bars.forEach((bar, i) => {
+      const top = y(bar.value);
+      const rect = svgEl('rect', {
+        x: x(i) - slot * 0.4,
+        y: top,
+        width: slot * 0.8,
+        height: Math.max(0, area.y0 - top),
+        class: `chart-bar${bar.active ? ' active' : ''}`,
+        tabindex: '0'
+      });
+      rect.appendChild(svgEl('title', {}, bar.title));
+      rect.addEventListener('click', bar.onClick);
+      rect.addEventListener('keydown', e => { if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); bar.onClick(); } });
+      svg.appendChild(rect);
+      if (bar.value && slot >= 14) svg.appendChild(svgEl('text', { x: x(i), y: top - 3, 'text-anchor': 'middle', class: 'chart-value' }, bar.value));
+    });
+  }
+
+  function renderScatter(rows) {
+    const title = 'Weight vs average rating';
+    const games = rows.filter(g => typeof g.weight === 'number' && typeof g.avg_rating === 'number');
+    if (!games.length) return emptyChart(title, 'No games with both a weight and a rating.');
+    const fit = pearson(games.map(g => [g.weight, g.avg_rating]));
+    const caption = games.length > 2 ? `r = ${fit.r.toFixed(2)} across ${games.length} games • drag or click a dot to filter` : '';
+    const { figure, svg } = createChartFrame(title, caption);
+    const area = plotArea();
+    const [lowest, highest] = extent(games.map(g => g.avg_rating));
+    const yMin = Math.floor(lowest * 2) / 2;
+    const yMax = Math.ceil(highest * 2) / 2;
+    const x = linearScale(1, 5, area.x0, area.x1);
+    const y = linearScale(yMin, yMax === yMin ? yMin + 0.5 : yMax, area.y0, area.y1);
+    drawAxes(svg, {
+      xTicks: [1, 2, 3, 4, 5],
+      yTicks: niceTicks(yMin, yMax, 5),
+      x,
+      y,
+      xLabel: 'Weight',
+      yLabel: 'Average rating',
+      yFormat: t => t.toFixed(1)
+    });
+
+    // Brush: everything under the dots catches the drag
+    const catcher = svgEl('rect', { x: area.x0, y: area.y1, width: area.x1 - area.x0, height: area.y0 - area.y1, class: 'chart-brush-area' });
+    svg.appendChild(catcher);
+    const brush = svgEl('rect', { class: 'chart-brush hidden' });
+    svg.appendChild(brush);
+    const toChart = e => {
+      const box = svg.getBoundingClientRect();
+      const px = ((e.clientX - box.left) * CHART.width) / (box.width || CHART.width);
+      const py = ((e.clientY - box.top) * CHART.height) / (box.height || CHART.height);
+      return [Math.min(area.x1, Math.max(area.x0, px)), Math.min(area.y0, Math.max(area.y1, py))];
+    };
+    let start = null;
+    catcher.addEventListener('pointerdown', e => {
+      start = toChart(e);
+      if (catcher.setPointerCapture) catcher.setPointerCapture(e.pointerId);
+    });
+    catcher.addEventListener('pointermove', e => {
+      if (!start) return;
+      const [px, py] = toChart(e);
+      brush.setAttribute('x', Math.min(start[0], px));
+      brush.setAttribute('y', Math.min(start[1], py));
+      brush.setAttribute('width', Math.abs(px - start[0]));
+      brush.setAttribute('height', Math.abs(py - start[1]));
+      brush.classList.remove('hidden');
+    });
+    catcher.addEventListener('pointerup', e => {
+      if (!start) return;
+      const [px, py] = toChart(e);
+      const from = start;
+      start = null;
+      brush.classList.add('hidden');
+      // A click without a drag is not a selection
+      if (Math.abs(px - from[0]) < 4 && Math.abs(py - from[1]) < 4) return;
+      const round = (v, dir) => Math[dir](v * 10) / 10;
+      setRange('weight', round(x.invert(Math.min(from[0], px)), 'floor'), round(x.invert(Math.max(from[0], px)), 'ceil'));
+      setRange('rating', round(y.invert(Math.max(from[1], py)), 'floor'), round(y.invert(Math.min(from[1], py)), 'ceil'));
+      syncControls();
+      applyFilterAndSort();
+    });
+
+    if (games.length > 2) {
+      const line = w => fit.my + fit.slope * (w - fit.mx);
+      const [w0, w1] = extent(games.map(g => g.weight));
+      svg.appendChild(svgEl('line', { x1: x(w0), y1: y(line(w0)), x2: x(w1), y2: y(line(w1)), class: 'chart-trend' }));
+    }
+    // A dot filters to its cell: half a point of weight by half a point of rating
+    const cell = v => [Math.floor(v * 2) / 2, Math.floor(v * 2) / 2 + 0.5];
+    for (const g of games) {
+      const [wLo, wHi] = cell(g.weight);
+      const [rLo, rHi] = cell(g.avg_rating);
+      const active = rangeIs('weight', wLo, wHi) && rangeIs('rating', rLo, rHi);
+      const dot = svgEl('circle', {
+        cx: x(g.weight).toFixed(1),
+        cy: y(g.avg_rating).toFixed(1),
+        r: 3.5,
+        class: `chart-point${gameId(g) === state.selectedId ? ' active' : ''}`
+      });
+      dot.appendChild(svgEl('title', {}, `#${g.rank} ${g.title} • weight ${g.weight} • rating ${g.avg_rating}`));
+      dot.addEventListener('click', () => toggleChartFilter(
+        active,
+        () => { setRange('weight', wLo, wHi); setRange('rating', rLo, rHi); },
+        () => { setRange('weight', null, null); setRange('rating', null, null); }
+      ));
+      svg.appendChild(dot);
+    }
+    return figure;
+  }
+
+  function renderYearHistogram(rows) {
+    const title = 'Release years';
+    const years = rows.map(g => g.year).filter(y => typeof y === 'number');
+    if (!years.length) return emptyChart(title, 'No release years in these games.');
+    const { size, bins } = yearBins(years);
+    const bars = bins.map(({ start, end, count }) => {
+      const label = size === 1 ? String(start) : size === 10 ? `${start}s` : `${start}–${String(end).slice(-2)}`;
+      const active = rangeIs('year', start, end);
+      return {
+        label,
+        value: count,
+        title: `${size === 1 ? start : `${start}–${end}`}: ${count} game${count === 1 ? '' : 's'}`,
+        active,
+        onClick: () => toggleChartFilter(active, () => setRange('year', start, end), () => setRange('year', null, null))
+      };
+    });
+    const { figure, svg } = createChartFrame(title, size === 1 ? 'Click a bar to filter' : `${size}-year bins • click a bar to filter`);
+    drawBars(svg, bars, { xLabel: 'Year', yLabel: 'Games' });
+    return figure;
+  }
+
+  function renderBestPlayerChart(rows) {
+    const title = 'Best player counts';
+    const counts = new Map();
+    for (const g of rows) {
+      for (const n of Query.playerCounts(g, 'best')) counts.set(n, (counts.get(n) || 0) + 1);
+    }
+    if (!counts.size) return emptyChart(title, 'No player-count poll results in these games.');
+    const bars = [];
+    const most = extent(counts.keys())[1];
+    for (let n = 1; n <= most; n++) {
+      const active = state.playerCountMode === 'best' && state.playerCountValue === String(n);
+      const count = counts.get(n) || 0;
+      bars.push({
+        label: String(n),
+        value: count,
+        title: `Best with ${n}: ${count} game${count === 1 ? '' : 's'}`,
+        active,
+        onClick: () => toggleChartFilter(
+          active,
+          () => { state.playerCountValue = String(n); state.playerCountMode = 'best'; },
+          () => { state.playerCountValue = ''; }
+        )
+      });
+    }
+    const { figure, svg } = createChartFrame(title, 'Games the community rates best at each count • click a bar to filter');
+    drawBars(svg, bars, { xLabel: 'Players', yLabel: 'Games' });
+    return figure;
+  }
+
+  function renderTimeBoxPlot(rows) {
+    const title = 'Playing time by weight';
+    const playTime = g => (typeof g.max_playing_time === 'number' ? g.max_playing_time : g.min_playing_time);
+    const groups = WEIGHT_BANDS.map(band => {
+      const games = rows.filter(g => typeof g.weight === 'number' && typeof playTime(g) === 'number' && playTime(g) > 0 &&
+        g.weight >= band && (g.weight < band + 1 || band === WEIGHT_BANDS[WEIGHT_BANDS.length - 1]));
+      return { band, games, stats: games.length ? boxStats(games.map(playTime)) : null };
+    });
+    const times = groups.flatMap(grp => grp.games.map(playTime));
+    if (!times.length) return emptyChart(title, 'No playing times with a weight in these games.');
+    const { figure, svg } = createChartFrame(title, 'Longest listed time, log scale • click a box to filter by weight');
+    const area = plotArea();
+    const [shortest, longest] = extent(times);
+    const lo = Math.log(shortest * 0.8);
+    const hi = Math.log(longest * 1.2);
+    const logY = linearScale(lo, hi, area.y0, area.y1);
+    const y = v => logY(Math.log(v));
+    const slot = (area.x1 - area.x0) / groups.length;
+    const x = i => area.x0 + slot * (i + 0.5);
+    drawAxes(svg, {
+      xTicks: groups.map((grp, i) => i),
+      yTicks: TIME_TICKS.filter(t => Math.log(t) >= lo && Math.log(t) <= hi),
+      x,
+      y,
+      xLabel: 'Weight',
+      yLabel: 'Minutes',
+      xFormat: i => `${groups[i].band}–${groups[i].band + 1}`
+    });
+    groups.forEach((grp, i) => {
+      if (!grp.stats) return;
+      const s = grp.stats;
+      const active = rangeIs('weight', grp.band, grp.band + 1);
+      const g = svgEl('g', { class: `chart-box${active ? ' active' : ''}`, tabindex: '0' });
+      const half = slot * 0.25;
+      g.appendChild(svgEl('line', { x1: x(i), x2: x(i), y1: y(s.low), y2: y(s.high), class: 'chart-whisker' }));
+      g.appendChild(svgEl('rect', { x: x(i) - half, y: y(s.q3), width: half * 2, height: Math.max(1, y(s.q1) - y(s.q3)) }));
+      g.appendChild(svgEl('line', { x1: x(i) - half, x2: x(i) + half, y1: y(s.median), y2: y(s.median), class: 'chart-median' }));
+      g.appendChild(svgEl('title', {}, `Weight ${grp.band}–${grp.band + 1}: ${s.count} games • median ${Math.round(s.median)} min • ` +
+        `middle half ${Math.round(s.q1)}–${Math.round(s.q3)} min`));
+      const onClick = () => toggleChartFilter(active, () => setRange('weight', grp.band, grp.band + 1), () => setRange('weight', null, null));
+      g.addEventListener('click', onClick);
+      g.addEventListener('keydown', e => { if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); onClick(); } });
+      svg.appendChild(g);
+      for (const game of grp.games) {
+        const t = playTime(game);
+        if (t >= s.low && t <= s.high) continue;
+        const dot = svgEl('circle', { cx: x(i), cy: y(t), r: 3, class: 'chart-point' });
+        dot.appendChild(svgEl('title', {}, `#${game.rank} ${game.title} • ${t} min • weight ${game.weight}`));
+        dot.addEventListener('click', onClick);
+        svg.appendChild(dot);
+      }
+    });
+    return figure;
+  }
+
+  function renderDashboard(rows) {
+    const container = document.getElementById('dashboard');
+    if (!container || state.tab !== 'charts') return;
+    container.innerHTML = '';
+    container.appendChild(renderScatter(rows));
+    container.appendChild(renderYearHistogram(rows));
+    container.appendChild(renderBestPlayerChart(rows));
+    container.appendChild(renderTimeBoxPlot(rows));
   }
 
   function renderSummary() {
     const el = document.getElementById('summary');
     if (!el) return;
     const parts = [];
-    if (state.minWeightValue !== '') parts.push(`Min Weight ${(state.minWeightOp === 'lte') ? '≤' : '≥'} ${String(state.minWeightValue).replace(',', '.')}`);
-    if (state.maxWeightValue !== '') parts.push(`Max Weight ${(state.maxWeightOp === 'lte') ? '≤' : '≥'} ${String(state.maxWeightValue).replace(',', '.')}`);
-    if (state.minPlayersValue !== '') parts.push(`Min P ${(state.minPlayersOp === 'lte') ? '≤' : '≥'} ${state.minPlayersValue}`);
-    if (state.maxPlayersValue !== '') parts.push(`Max P ${(state.maxPlayersOp === 'lte') ? '≤' : '≥'} ${state.maxPlayersValue}`);
-    if (state.minBestPlayersValue !== '') parts.push(`Best Min ${(state.minBestPlayersOp === 'lte') ? '≤' : '≥'} ${state.minBestPlayersValue}`);
-    if (state.maxBestPlayersValue !== '') parts.push(`Best Max ${(state.maxBestPlayersOp === 'lte') ? '≤' : '≥'} ${state.maxBestPlayersValue}`);
-    if (state.minTimeValue !== '') parts.push(`Min Time ${(state.minTimeOp === 'lte') ? '≤' : '≥'} ${state.minTimeValue}`);
-    if (state.maxTimeValue !== '') parts.push(`Max Time ${(state.maxTimeOp === 'lte') ? '≤' : '≥'} ${state.maxTimeValue}`);
+    for (const f of rangeFilters) {
+      if (!isRangeActive(f)) continue;
+      const r = state.ranges[f.id];
+      const mode = f.minKey === f.maxKey ? '' : ` ${rangeModes.find(m => m.value === r.mode).label}`;
+      parts.push(`${f.label}${mode} ${describeRange(f)}${r.unknown && rangeUnknowns.get(f.id) ? ' (+ unknown)' : ''}`);
+    }
+    if (state.playerCountValue !== '') parts.push(`${state.playerCountMode === 'best' ? 'Best' : 'Recommended'} at ${state.playerCountValue}`);
+    for (const f of tagFilters) {
+      if (state[f.stateKey].trim()) parts.push(`${f.label}: ${state[f.stateKey].trim()}`);
+    }
+    for (const f of quickFilters) {
+      if (state.quick[f.key]) parts.push(f.label);
+    }
+    for (const d of facetDefs) {
+      const facet = state.facets[d.key];
+      const values = facet.include.map(v => `+${v}`).concat(facet.exclude.map(v => `−${v}`));
+      if (!values.length) continue;
+      const mode = facet.include.length > 1 ? ` (${facet.mode.toUpperCase()})` : '';
+      parts.push(`${d.label}: ${values.join(', ')}${mode}`);
+    }
+    if (queryResult.byRelevance) parts.push('Best matches first');
     const extra = parts.length ? ` • ${parts.join(' • ')}` : '';
     el.textContent = `${state.filtered.length} of ${state.games.length} games${extra}`;
   }
@@ -164,51 +755,156 @@
     return td;
   }
 
+  function createMovementCell(game) {
+    if (game.is_new) return createCell('td', 'move new', 'NEW');
+    const delta = game.rank_delta;
+    if (delta === null || delta === undefined) return createCell('td', 'move');
+    if (delta > 0) return createCell('td', 'move up', `▲${delta}`);
+    if (delta < 0) return createCell('td', 'move down', `▼${-delta}`);
+    return createCell('td', 'move same', '–');
+  }
+
+  // Personal rating with its difference from the community average
+  function createMyRatingCell(game) {
+    const td = createCell('td', 'num collection', game.my_rating ?? '');
+    if (typeof game.my_rating !== 'number' || typeof game.avg_rating !== 'number') return td;
+    const delta = Math.round((game.my_rating - game.avg_rating) * 10) / 10;
+    const cls = delta > 0 ? 'up' : delta < 0 ? 'down' : 'same';
+    td.appendChild(createCell('span', `rating-delta ${cls}`, ` (${delta > 0 ? '+' : ''}${delta})`));
+    td.title = `My rating ${game.my_rating} vs average ${game.avg_rating}`;
+    return td;
+  }
+
+  function createTagCell(values) {
+    const td = createCell('td', 'tags optional');
+    if (!Array.isArray(values)) return td;
+    for (const v of values) td.appendChild(createCell('span', 'tag', v));
+    return td;
+  }
+
+  // Cover at `width` CSS pixels; the browser picks the local or remote variant for the screen density
+  function createCover(game, width) {
+    const sources = window.BGGImages.imageSources(game);
+    if (!sources) return null;
+    const img = document.createElement('img');
+    img.src = sources.src;
+    img.srcset = sources.srcset;
+    img.sizes = `${width}px`;
+    img.alt = `${game.title}`;
+    return img;
+  }
+
+  function createRow(g) {
+    const tr = document.createElement('tr');
+    tr.setAttribute('data-id', gameId(g));
+    if (gameId(g) === state.selectedId) tr.className = 'selected';
+    tr.appendChild(createCell('td', 'rank num', g.rank));
+    tr.appendChild(createMovementCell(g));
+    const imgTd = createCell('td', 'img');
+    const img = createCover(g, 40);
+    if (img) {
+      img.loading = 'lazy';
+      imgTd.appendChild(img);
+    }
+    tr.appendChild(imgTd);
+    const titleTd = createCell('td', 'title');
+    const link = document.createElement('a');
+    link.href = g.url || '#';
+    appendHighlighted(link, String(g.title || ''), queryResult.matches.get(g)?.spans);
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    titleTd.appendChild(link);
+    if (g.year) {
+      const small = document.createElement('span');
+      small.className = 'muted';
+      small.textContent = ` (${g.year})`;
+      titleTd.appendChild(small);
+    }
+    if (Array.isArray(g.designers) && g.designers.length) {
+      const credits = document.createElement('div');
+      credits.className = 'credits muted';
+      credits.textContent = `by ${g.designers.join(', ')}`;
+      titleTd.appendChild(credits);
+    }
+    if (g.description) titleTd.title = g.description;
+    tr.appendChild(titleTd);
+    tr.appendChild(createCell('td', 'num', g.year ?? ''));
+    tr.appendChild(createCell('td', 'num optional', g.geek_rating ?? ''));
+    tr.appendChild(createCell('td', 'num optional', g.avg_rating ?? ''));
+    tr.appendChild(createMyRatingCell(g));
+    tr.appendChild(createCell('td', 'num', g.num_voters ?? ''));
+    tr.appendChild(createCell('td', 'num optional', g.min_players ?? ''));
+    tr.appendChild(createCell('td', 'num optional', g.max_players ?? ''));
+    tr.appendChild(createCell('td', 'num optional', g.min_best_players ?? ''));
+    tr.appendChild(createCell('td', 'num optional', g.max_best_players ?? ''));
+    tr.appendChild(createCell('td', 'num optional', g.min_playing_time ?? ''));
+    tr.appendChild(createCell('td', 'num optional', g.max_playing_time ?? ''));
+    tr.appendChild(createCell('td', 'num', g.weight ?? ''));
+    tr.appendChild(createCell('td', 'num optional', g.min_age ?? ''));
+    tr.appendChild(createTagCell(g.mechanics));
+    tr.appendChild(createTagCell(g.categories));
+    return tr;
+  }
+
+  // Up to this many rows are rendered in full; bigger results only get DOM for the rows
+  // near the viewport, with spacer rows standing in for the rest
+  const VIRTUALIZE_ABOVE = 500;
+  const OVERSCAN_ROWS = 15;
+  let estimatedRowHeight = 61; // refined from the rows actually rendered
+  let renderedWindow = null; // [first, last) of state.filtered currently in the DOM
+
+  function createSpacer(height) {
+    const tr = document.createElement('tr');
+    tr.className = 'spacer';
+    const td = document.createElement('td');
+    td.colSpan = document.querySelectorAll('#gamesTable thead th').length;
+    td.style.height = `${height}px`;
+    tr.appendChild(td);
+    return tr;
+  }
+
+  function visibleWindow(count) {
+    const top = document.querySelector('#gamesTable tbody').getBoundingClientRect().top;
+    return ViewState.rowWindow({ top, viewportHeight: window.innerHeight, rowHeight: estimatedRowHeight, overscan: OVERSCAN_ROWS, count });
+  }
+
   function renderTableBody(rows) {
+    renderedWindow = null;
+    renderRowWindow(rows);
+  }
+
+  function renderRowWindow(rows = state.filtered) {
     const tbody = document.querySelector('#gamesTable tbody');
-    tbody.innerHTML = '';
+    const virtual = rows.length > VIRTUALIZE_ABOVE;
+    const [first, last] = virtual ? visibleWindow(rows.length) : [0, rows.length];
+    if (renderedWindow && renderedWindow[0] === first && renderedWindow[1] === last) return;
+    renderedWindow = [first, last];
     const fragment = document.createDocumentFragment();
-    for (const g of rows) {
-      const tr = document.createElement('tr');
-      tr.appendChild(createCell('td', 'rank num', g.rank));
-      const imgTd = createCell('td', 'img');
-      if (g.image) {
-        const src = String(g.image).startsWith('@') ? String(g.image).slice(1) : g.image;
-        const img = document.createElement('img');
-        img.src = src;
-        img.alt = `${g.title}`;
-        img.loading = 'lazy';
-        imgTd.appendChild(img);
-      }
-      tr.appendChild(imgTd);
-      const titleTd = createCell('td', 'title');
-      const link = document.createElement('a');
-      link.href = g.url || '#';
-      link.textContent = g.title || '';
-      link.target = '_blank';
-      link.rel = 'noopener noreferrer';
-      titleTd.appendChild(link);
-      if (g.year) {
-        const small = document.createElement('span');
-        small.className = 'muted';
-        small.textContent = ` (${g.year})`;
-        titleTd.appendChild(small);
-      }
-      tr.appendChild(titleTd);
-      tr.appendChild(createCell('td', 'num', g.year ?? ''));
-      tr.appendChild(createCell('td', 'num optional', g.geek_rating ?? ''));
-      tr.appendChild(createCell('td', 'num optional', g.avg_rating ?? ''));
-      tr.appendChild(createCell('td', 'num', g.num_voters ?? ''));
-      tr.appendChild(createCell('td', 'num optional', g.min_players ?? ''));
-      tr.appendChild(createCell('td', 'num optional', g.max_players ?? ''));
-      tr.appendChild(createCell('td', 'num optional', g.min_best_players ?? ''));
-      tr.appendChild(createCell('td', 'num optional', g.max_best_players ?? ''));
-      tr.appendChild(createCell('td', 'num optional', g.min_playing_time ?? ''));
-      tr.appendChild(createCell('td', 'num optional', g.max_playing_time ?? ''));
-      tr.appendChild(createCell('td', 'num', g.weight ?? ''));
-      fragment.appendChild(tr);
-    }
+    if (first > 0) fragment.appendChild(createSpacer(first * estimatedRowHeight));
+    // Keeps :nth-child striping on the same rows as the window moves
+    if (first > 0 && first % 2 === 0) fragment.appendChild(createSpacer(0));
+    for (let i = first; i < last; i += 1) fragment.appendChild(createRow(rows[i]));
+    if (last < rows.length) fragment.appendChild(createSpacer((rows.length - last) * estimatedRowHeight));
+    tbody.innerHTML = '';
     tbody.appendChild(fragment);
+    if (virtual && last > first) {
+      const measured = Array.from(tbody.querySelectorAll('tr[data-id]')).reduce((sum, tr) => sum + tr.offsetHeight, 0) / (last - first);
+      if (measured > 0) estimatedRowHeight = measured;
+    }
+  }
+
+  // Scrolls a row that may not be rendered yet into view by its estimated offset
+  function scrollRowIntoView(id) {
+    const row = document.querySelector(`#gamesTable tbody tr[data-id="${id}"]`);
+    if (row) {
+      if (row.scrollIntoView) row.scrollIntoView({ block: 'nearest' });
+      return;
+    }
+    const index = state.filtered.findIndex(g => gameId(g) === id);
+    if (index === -1) return;
+    const tbodyTop = document.querySelector('#gamesTable tbody').getBoundingClientRect().top + window.scrollY;
+    window.scrollTo(0, tbodyTop + index * estimatedRowHeight - window.innerHeight / 3);
+    renderRowWindow();
   }
 
   function updateSortIndicators() {
@@ -227,11 +923,20 @@
     });
   }
 
+  // Typing and dragging fire per keystroke / pixel; filter once the input settles
+  const FILTER_DEBOUNCE_MS = 120;
+  let filterTimer = null;
+
+  function scheduleFilter() {
+    clearTimeout(filterTimer);
+    filterTimer = setTimeout(applyFilterAndSort, FILTER_DEBOUNCE_MS);
+  }
+
   function attachEvents() {
     const search = document.getElementById('search');
     search.addEventListener('input', () => {
       state.query = search.value;
-      applyFilterAndSort();
+      scheduleFilter();
     });
 
     // Filters toggle
@@ -253,93 +958,61 @@
       }
     });
 
-    // Weight
-    const minWeightOp = document.getElementById('min-weight-op');
-    const minWeightVal = document.getElementById('min-weight-value');
-    const maxWeightOp = document.getElementById('max-weight-op');
-    const maxWeightVal = document.getElementById('max-weight-value');
-
-    const onMinWeightChange = () => { state.minWeightValue = minWeightVal.value; applyFilterAndSort(); };
-    const onMinWeightOpChange = () => { state.minWeightOp = minWeightOp.value; applyFilterAndSort(); };
-    const onMaxWeightChange = () => { state.maxWeightValue = maxWeightVal.value; applyFilterAndSort(); };
-    const onMaxWeightOpChange = () => { state.maxWeightOp = maxWeightOp.value; applyFilterAndSort(); };
-
-    minWeightOp.addEventListener('change', onMinWeightOpChange);
-    minWeightVal.addEventListener('input', onMinWeightChange);
-    minWeightVal.addEventListener('change', onMinWeightChange);
-    maxWeightOp.addEventListener('change', onMaxWeightOpChange);
-    maxWeightVal.addEventListener('input', onMaxWeightChange);
-    maxWeightVal.addEventListener('change', onMaxWeightChange);
-    state.minWeightOp = minWeightOp.value;
-    state.minWeightValue = minWeightVal.value;
-    state.maxWeightOp = maxWeightOp.value;
-    state.maxWeightValue = maxWeightVal.value;
-
-    // Min Players
-    const minPlayersOp = document.getElementById('min-players-op');
-    const minPlayersVal = document.getElementById('min-players-value');
-    const onMinPlayersChange = () => { state.minPlayersValue = minPlayersVal.value; applyFilterAndSort(); };
-    const onMinPlayersOpChange = () => { state.minPlayersOp = minPlayersOp.value; applyFilterAndSort(); };
-    minPlayersOp.addEventListener('change', onMinPlayersOpChange);
-    minPlayersVal.addEventListener('input', onMinPlayersChange);
-    minPlayersVal.addEventListener('change', onMinPlayersChange);
-    state.minPlayersOp = minPlayersOp.value;
-    state.minPlayersValue = minPlayersVal.value;
-
-    // Max Players
-    const maxPlayersOp = document.getElementById('max-players-op');
-    const maxPlayersVal = document.getElementById('max-players-value');
-    const onMaxPlayersChange = () => { state.maxPlayersValue = maxPlayersVal.value; applyFilterAndSort(); };
-    const onMaxPlayersOpChange = () => { state.maxPlayersOp = maxPlayersOp.value; applyFilterAndSort(); };
-    maxPlayersOp.addEventListener('change', onMaxPlayersOpChange);
-    maxPlayersVal.addEventListener('input', onMaxPlayersChange);
-    maxPlayersVal.addEventListener('change', onMaxPlayersChange);
-    state.maxPlayersOp = maxPlayersOp.value;
-    state.maxPlayersValue = maxPlayersVal.value;
-
-    // Best Min Players
-    const minBestPlayersOp = document.getElementById('min-best-players-op');
-    const minBestPlayersVal = document.getElementById('min-best-players-value');
-    const onMinBestPlayersChange = () => { state.minBestPlayersValue = minBestPlayersVal.value; applyFilterAndSort(); };
-    const onMinBestPlayersOpChange = () => { state.minBestPlayersOp = minBestPlayersOp.value; applyFilterAndSort(); };
-    minBestPlayersOp.addEventListener('change', onMinBestPlayersOpChange);
-    minBestPlayersVal.addEventListener('input', onMinBestPlayersChange);
-    minBestPlayersVal.addEventListener('change', onMinBestPlayersChange);
-    state.minBestPlayersOp = minBestPlayersOp.value;
-    state.minBestPlayersValue = minBestPlayersVal.value;
-
-    // Best Max Players
-    const maxBestPlayersOp = document.getElementById('max-best-players-op');
-    const maxBestPlayersVal = document.getElementById('max-best-players-value');
-    const onMaxBestPlayersChange = () => { state.maxBestPlayersValue = maxBestPlayersVal.value; applyFilterAndSort(); };
-    const onMaxBestPlayersOpChange = () => { state.maxBestPlayersOp = maxBestPlayersOp.value; applyFilterAndSort(); };
-    maxBestPlayersOp.addEventListener('change', onMaxBestPlayersOpChange);
-    maxBestPlayersVal.addEventListener('input', onMaxBestPlayersChange);
-    maxBestPlayersVal.addEventListener('change', onMaxBestPlayersChange);
-    state.maxBestPlayersOp = maxBestPlayersOp.value;
-    state.maxBestPlayersValue = maxBestPlayersVal.value;
-
-    // Min Time
-    const minTimeOp = document.getElementById('min-time-op');
-    const minTimeVal = document.getElementById('min-time-value');
-    const onMinTimeChange = () => { state.minTimeValue = minTimeVal.value; applyFilterAndSort(); };
-    const onMinTimeOpChange = () => { state.minTimeOp = minTimeOp.value; applyFilterAndSort(); };
-    minTimeOp.addEventListener('change', onMinTimeOpChange);
-    minTimeVal.addEventListener('input', onMinTimeChange);
-    minTimeVal.addEventListener('change', onMinTimeChange);
-    state.minTimeOp = minTimeOp.value;
-    state.minTimeValue = minTimeVal.value;
-
-    // Max Time
-    const maxTimeOp = document.getElementById('max-time-op');
-    const maxTimeVal = document.getElementById('max-time-value');
-    const onMaxTimeChange = () => { state.maxTimeValue = maxTimeVal.value; applyFilterAndSort(); };
-    const onMaxTimeOpChange = () => { state.maxTimeOp = maxTimeOp.value; applyFilterAndSort(); };
-    maxTimeOp.addEventListener('change', onMaxTimeOpChange);
-    maxTimeVal.addEventListener('input', onMaxTimeChange);
-    maxTimeVal.addEventListener('change', onMaxTimeChange);
-    state.maxTimeOp = maxTimeOp.value;
-    state.maxTimeValue = maxTimeVal.value;
+    // Game night
+    const gameNightToggle = document.getElementById('game-night-toggle');
+    gameNightToggle.addEventListener('click', () => {
+      state.gameNight.active = !state.gameNight.active;
+      syncControls();
+      applyFilterAndSort();
+    });
+    for (const [key, id] of Object.entries(gameNightInputs)) {
+      const input = document.getElementById(id);
+      const onChange = () => { state.gameNight[key] = input.value; scheduleFilter(); };
+      input.addEventListener('input', onChange);
+      input.addEventListener('change', onChange);
+    }
+
+    // Players / Playing time / Weight / Min age
+    buildRangeFilters();
+
+    // Player count: best / recommended
+    const playerCountMode = document.getElementById('player-count-mode');
+    const playerCountVal = document.getElementById('player-count-value');
+    const onPlayerCountChange = () => { state.playerCountValue = playerCountVal.value; scheduleFilter(); };
+    const onPlayerCountModeChange = () => { state.playerCountMode = playerCountMode.value; applyFilterAndSort(); };
+    playerCountMode.addEventListener('change', onPlayerCountModeChange);
+    playerCountVal.addEventListener('input', onPlayerCountChange);
+    playerCountVal.addEventListener('change', onPlayerCountChange);
+
+    // Publisher / Artist
+    for (const f of tagFilters) {
+      const input = document.getElementById(f.inputId);
+      const onChange = () => { state[f.stateKey] = input.value; scheduleFilter(); };
+      input.addEventListener('input', onChange);
+      input.addEventListener('change', onChange);
+    }
+
+    // Owned / Wishlist / Unplayed
+    document.querySelectorAll('#quick-filters [data-quick]').forEach(button => {
+      button.addEventListener('click', () => {
+        const key = button.getAttribute('data-quick');
+        state.quick[key] = !state.quick[key];
+        syncControls();
+        applyFilterAndSort();
+      });
+    });
+
+    // Mechanics / Categories / Designers
+    buildFacetPanel();
+
+    // Table / Charts
+    document.querySelectorAll('.view-tab').forEach(tab => {
+      tab.addEventListener('click', () => {
+        state.tab = tab.getAttribute('data-tab');
+        syncControls();
+        applyFilterAndSort();
+      });
+    });
 
     document.querySelectorAll('thead th.sortable').forEach(th => {
       th.addEventListener('click', () => {
@@ -348,42 +1021,663 @@
           state.sortDir = state.sortDir === 'asc' ? 'desc' : 'asc';
         } else {
           state.sortKey = key;
-          state.sortDir = key === 'title' ? 'asc' : 'desc';
+          state.sortDir = Query.defaultSortDir(key);
         }
         applyFilterAndSort();
       });
     });
   }
 
-  async function load() {
-    // Prefer boardgames.json, fall back to first_page_detailed.json
-    const candidates = ['boardgames.json'];
-    let data = null;
-    let lastErr = null;
-    for (const url of candidates) {
+  // Suggest known values in each tag filter's datalist
+  function populateTagOptions() {
+    for (const f of tagFilters) {
+      const input = document.getElementById(f.inputId);
+      const list = input && input.list;
+      if (!list) continue;
+      const values = new Set();
+      state.games.forEach(g => { if (Array.isArray(g[f.key])) g[f.key].forEach(v => values.add(v)); });
+      list.innerHTML = '';
+      Array.from(values).sort((a, b) => a.localeCompare(b)).forEach(v => {
+        const option = document.createElement('option');
+        option.value = v;
+        list.appendChild(option);
+      });
+    }
+  }
+
+  // The parts of `state` that make up a view: everything a link or preset should restore
+  function viewState() {
+    const facets = {};
+    for (const d of facetDefs) {
+      const f = state.facets[d.key];
+      facets[d.key] = { include: f.include.slice(), exclude: f.exclude.slice(), mode: f.mode };
+    }
+    const view = {
+      sortKey: state.sortKey,
+      sortDir: state.sortDir,
+      query: state.query,
+      ranges: JSON.parse(JSON.stringify(state.ranges)),
+      playerCountValue: state.playerCountValue,
+      playerCountMode: state.playerCountMode,
+      quick: { ...state.quick },
+      facets,
+      gameNight: { ...state.gameNight },
+      tab: state.tab
+    };
+    for (const f of tagFilters) view[f.stateKey] = state[f.stateKey];
+    return view;
+  }
+
+  let defaultView = null; // captured before the URL is first read
+
+  function applyView(view) {
+    state.sortKey = view.sortKey;
+    state.sortDir = view.sortDir;
+    state.query = view.query;
+    // Mutated in place: the range sliders' handlers hold on to these objects
+    for (const f of rangeFilters) Object.assign(state.ranges[f.id], view.ranges[f.id]);
+    state.playerCountValue = view.playerCountValue;
+    state.playerCountMode = view.playerCountMode;
+    Object.assign(state.quick, view.quick);
+    Object.assign(state.gameNight, view.gameNight);
+    state.tab = view.tab;
+    for (const f of tagFilters) state[f.stateKey] = view[f.stateKey];
+    for (const d of facetDefs) {
+      const facet = state.facets[d.key];
+      facet.include = view.facets[d.key].include.slice();
+      facet.exclude = view.facets[d.key].exclude.slice();
+      facet.mode = view.facets[d.key].mode;
+    }
+  }
+
+  // Query string holding only what differs from the defaults, e.g.
+  // ?sort=weight:desc&players=2-2&time=-90&mechanics=Deck+Building&not-categories=Wargame
+  function serializeState() {
+    const d = defaultView;
+    const params = ViewState.writeGameNight(Query.writeParams(currentFilters(), d), state.gameNight);
+    if (state.tab !== d.tab) params.set('tab', state.tab);
+    return params.toString();
+  }
+
+  // Rebuilds the view from a query string; unknown keys and malformed values are ignored
+  function restoreState(search) {
+    applyView(defaultView);
+    const params = new URLSearchParams(search);
+    // Ranges, quick filters and facets are read into state's own objects
+    const filters = Query.readParams(params, currentFilters());
+    state.sortKey = filters.sortKey;
+    state.sortDir = filters.sortDir;
+    if (!document.querySelector(`thead th.sortable[data-key="${state.sortKey}"]`)) {
+      state.sortKey = defaultView.sortKey;
+      state.sortDir = defaultView.sortDir;
+    }
+    state.query = filters.query;
+    state.playerCountValue = filters.playerCountValue;
+    state.playerCountMode = filters.playerCountMode;
+    for (const f of tagFilters) state[f.stateKey] = filters.tags[f.key];
+    Object.assign(state.gameNight, ViewState.readGameNight(params, state.gameNight));
+    if (params.get('tab') === 'charts') state.tab = 'charts';
+  }
+
+  let lastUrlChange = 0;
+  let restoringUrl = false;
+
+  // The dataset belongs in the address but not in the view, so a preset applies to any list
+  function locationQuery() {
+    const params = new URLSearchParams();
+    if (currentDataset && currentDataset !== datasets[0]) params.set('data', currentDataset.key);
+    for (const [key, value] of new URLSearchParams(serializeState())) params.append(key, value);
+    return params.toString();
+  }
+
+  function updateUrl() {
+    if (!defaultView) return;
+    const query = locationQuery();
+    if (query === window.location.search.replace(/^\?/, '')) return;
+    const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+    const now = Date.now();
+    // Restoring from the URL only normalises it; a burst of edits becomes one back step
+    if (restoringUrl || now - lastUrlChange < URL_PUSH_INTERVAL_MS) window.history.replaceState(null, '', url);
+    else window.history.pushState(null, '', url);
+    lastUrlChange = now;
+  }
+
+  // Writes `state` back into every control, after a restore or a preset
+  function syncControls() {
+    document.getElementById('search').value = state.query;
+    buildRangeFilters();
+    document.getElementById('player-count-value').value = state.playerCountValue;
+    document.getElementById('player-count-mode').value = state.playerCountMode;
+    for (const f of tagFilters) document.getElementById(f.inputId).value = state[f.stateKey];
+    document.querySelectorAll('#quick-filters [data-quick]').forEach(button => {
+      const active = Boolean(state.quick[button.getAttribute('data-quick')]);
+      button.classList.toggle('active', active);
+      button.setAttribute('aria-pressed', String(active));
+    });
+    const gameNightToggle = document.getElementById('game-night-toggle');
+    gameNightToggle.setAttribute('aria-pressed', String(state.gameNight.active));
+    document.getElementById('game-night-section').classList.toggle('hidden', !state.gameNight.active);
+    for (const [key, id] of Object.entries(gameNightInputs)) document.getElementById(id).value = state.gameNight[key];
+    document.querySelectorAll('.view-tab').forEach(tab => {
+      tab.setAttribute('aria-selected', String(tab.getAttribute('data-tab') === state.tab));
+    });
+    document.getElementById('table-view').classList.toggle('hidden', state.tab !== 'table');
+    document.getElementById('dashboard').classList.toggle('hidden', state.tab !== 'charts');
+  }
+
+  function showView(search) {
+    restoringUrl = true;
+    try {
+      restoreState(search);
+      syncControls();
+      applyFilterAndSort();
+    } finally {
+      restoringUrl = false;
+    }
+  }
+
+  function readPresets() {
+    try {
+      return ViewState.parsePresets(JSON.parse(window.localStorage.getItem(PRESETS_STORAGE_KEY) || '[]'));
+    } catch (_e) {
+      return [];
+    }
+  }
+
+  function writePresets(presets) {
+    try {
+      window.localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(presets));
+    } catch (e) {
+      window.alert(`Could not save presets: ${e.message}`);
+    }
+  }
+
+  function renderPresetOptions(selected) {
+    const select = document.getElementById('preset-select');
+    if (!select) return;
+    select.innerHTML = '';
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = 'Saved views…';
+    select.appendChild(placeholder);
+    for (const preset of readPresets()) {
+      const option = document.createElement('option');
+      option.value = preset.name;
+      option.textContent = preset.name;
+      select.appendChild(option);
+    }
+    select.value = selected || '';
+  }
+
+  function attachPresetEvents() {
+    const select = document.getElementById('preset-select');
+    if (!select) return;
+    renderPresetOptions();
+    select.addEventListener('change', () => {
+      const preset = readPresets().find(p => p.name === select.value);
+      if (!preset) return;
+      restoreState(preset.query);
+      syncControls();
+      applyFilterAndSort();
+    });
+    document.getElementById('preset-save').addEventListener('click', () => {
+      const name = (window.prompt('Name this view', select.value) || '').trim();
+      if (!name) return;
+      writePresets(ViewState.mergePresets(readPresets(), [{ name, query: serializeState() }]));
+      renderPresetOptions(name);
+    });
+    document.getElementById('preset-delete').addEventListener('click', () => {
+      if (!select.value) return;
+      writePresets(readPresets().filter(p => p.name !== select.value));
+      renderPresetOptions();
+    });
+    document.getElementById('preset-export').addEventListener('click', () => {
+      const blob = new window.Blob([JSON.stringify(ViewState.exportPresets(readPresets()), null, 2)], { type: 'application/json' });
+      const link = document.createElement('a');
+      link.href = window.URL.createObjectURL(blob);
+      link.download = 'bgg250-presets.json';
+      link.click();
+      window.URL.revokeObjectURL(link.href);
+    });
+    const fileInput = document.getElementById('preset-file');
+    document.getElementById('preset-import').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+      const file = fileInput.files[0];
+      fileInput.value = '';
+      if (!file) return;
       try {
-        const res = await fetch(url, { cache: 'no-store' });
-        if (!res.ok) throw new Error(`${res.status}`);
-        data = await res.json();
-        break;
+        const incoming = ViewState.parsePresets(JSON.parse(await file.text()));
+        if (!incoming.length) throw new Error('no presets found');
+        writePresets(ViewState.mergePresets(readPresets(), incoming));
+        renderPresetOptions();
       } catch (e) {
-        lastErr = e;
+        window.alert(`Could not import presets: ${e.message}`);
       }
+    });
+  }
+
+  async function fetchJson(url) {
+    const res = await fetch(url, { cache: 'no-store' });
+    if (!res.ok) throw new Error(`${res.status}`);
+    return res.json();
+  }
+
+  let datasets = [DEFAULT_DATASET];
+  let currentDataset = null;
+  let historyDir = DEFAULT_DATASET.history;
+  let manifestPromise = null;
+  const snapshotPromises = new Map();
+
+  // Snapshot manifest written by the scraper; empty when no history has been saved
+  function loadHistoryManifest() {
+    if (!historyDir) return Promise.resolve([]);
+    if (!manifestPromise) {
+      manifestPromise = fetchJson(`${historyDir}/index.json`)
+        .then(entries => (Array.isArray(entries) ? entries : []))
+        .catch(() => []);
+    }
+    return manifestPromise;
+  }
+
+  function loadSnapshotFile(file) {
+    if (!snapshotPromises.has(file)) {
+      snapshotPromises.set(file, fetchJson(`${historyDir}/${file}`).catch(() => null));
     }
-    if (!data) throw lastErr || new Error('Failed to load data');
+    return snapshotPromises.get(file);
+  }
+
+  // The newest saved snapshot that differs from the dataset being shown, or null without
+  // history. Snapshots are told apart by the content hash the scraper records in the
+  // manifest and datasets.json; without one, only the ranking is compared.
+  async function loadPreviousSnapshot(games) {
+    const manifest = await loadHistoryManifest();
+    const hash = currentDataset && currentDataset.hash;
+    for (let i = manifest.length - 1; i >= 0; i -= 1) {
+      const entry = manifest[i];
+      if (hash && entry.hash === hash) continue;
+      const snapshot = await loadSnapshotFile(entry.file);
+      if (!Array.isArray(snapshot)) continue;
+      if ((hash && entry.hash) || !ViewState.sameRanking(snapshot, games)) return snapshot;
+    }
+    return null;
+  }
+
+  // One point per snapshot the game appears in, oldest first
+  async function loadGameHistory(id) {
+    const manifest = await loadHistoryManifest();
+    const snapshots = await Promise.all(manifest.map(e => loadSnapshotFile(e.file)));
+    return ViewState.historyPoints(manifest, snapshots, id);
+  }
+
+  function createSparkline(points, key, { invert = false, label }) {
+    const values = points.map(p => p[key]).filter(v => typeof v === 'number');
+    const wrap = document.createElement('div');
+    wrap.className = 'sparkline';
+    wrap.appendChild(createCell('small', 'muted', label));
+    if (values.length < 2) {
+      wrap.appendChild(createCell('div', 'muted', 'Not enough history yet'));
+      return wrap;
+    }
+    const width = 240;
+    const height = 48;
+    const pad = 4;
+    const [min, max] = extent(values);
+    const span = max - min || 1;
+    const coords = values.map((v, i) => {
+      const x = pad + (i * (width - pad * 2)) / (values.length - 1);
+      // Rank 1 is best, so inverted series plot lower numbers higher up
+      const t = (v - min) / span;
+      const y = pad + (invert ? t : 1 - t) * (height - pad * 2);
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    });
+    const ns = 'http://www.w3.org/2000/svg';
+    const svg = document.createElementNS(ns, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.setAttribute('width', width);
+    svg.setAttribute('height', height);
+    svg.setAttribute('role', 'img');
+    svg.setAttribute('aria-label', `${label}: ${values.join(', ')}`);
+    const line = document.createElementNS(ns, 'polyline');
+    line.setAttribute('points', coords.join(' '));
+    line.setAttribute('fill', 'none');
+    line.setAttribute('stroke', 'currentColor');
+    line.setAttribute('stroke-width', '1.5');
+    svg.appendChild(line);
+    const last = coords[coords.length - 1].split(',');
+    const dot = document.createElementNS(ns, 'circle');
+    dot.setAttribute('cx', last[0]);
+    dot.setAttribute('cy', last[1]);
+    dot.setAttribute('r', '2.5');
+    dot.setAttribute('fill', 'currentColor');
+    svg.appendChild(dot);
+    wrap.appendChild(svg);
+    wrap.appendChild(createCell('div', 'muted sparkline-range', `${values[0]} → ${values[values.length - 1]} (min ${min}, max ${max})`));
+    return wrap;
+  }
+
+  // One stacked bar per player count: Best / Recommended / Not recommended vote shares
+  function createPollChart(poll) {
+    const wrap = document.createElement('div');
+    wrap.className = 'poll';
+    wrap.appendChild(createCell('small', 'muted', 'Suggested players (community votes)'));
+    for (const row of poll) {
+      const total = row.best + row.recommended + row.not_recommended;
+      const line = document.createElement('div');
+      line.className = 'poll-row';
+      line.appendChild(createCell('span', 'poll-count', `${row.players}${row.plus ? '+' : ''}`));
+      const bar = createCell('span', 'poll-bar');
+      for (const key of ['best', 'recommended', 'not_recommended']) {
+        const part = createCell('span', `poll-${key.replace('_', '-')}`);
+        part.style.width = total ? `${(row[key] / total) * 100}%` : '0';
+        bar.appendChild(part);
+      }
+      bar.title = `Best ${row.best} • Recommended ${row.recommended} • Not recommended ${row.not_recommended}`;
+      line.appendChild(bar);
+      line.appendChild(createCell('span', 'poll-total muted', total));
+      wrap.appendChild(line);
+    }
+    return wrap;
+  }
+
+  function formatDetailValue(value) {
+    if (value === null || value === undefined || value === '') return '—';
+    if (Array.isArray(value)) return value.length ? value.join(', ') : '—';
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    return String(value);
+  }
+
+  function renderDrawer(game) {
+    const drawer = document.getElementById('drawer');
+    const body = drawer.querySelector('.drawer-body');
+    body.innerHTML = '';
+
+    const head = document.createElement('div');
+    head.className = 'drawer-head';
+    const img = createCover(game, 128);
+    if (img) head.appendChild(img);
+    const heading = document.createElement('div');
+    heading.appendChild(createCell('h2', null, game.title || ''));
+    if (game.url) {
+      const link = document.createElement('a');
+      link.href = game.url;
+      link.textContent = 'View on BoardGameGeek';
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      heading.appendChild(link);
+    }
+    head.appendChild(heading);
+    body.appendChild(head);
+
+    const history = document.createElement('div');
+    history.className = 'drawer-history muted';
+    history.textContent = 'Loading history…';
+    body.appendChild(history);
+    const id = gameId(game);
+    loadGameHistory(id).then(points => {
+      if (state.selectedId !== id) return;
+      history.className = 'drawer-history';
+      history.innerHTML = '';
+      history.appendChild(createSparkline(points, 'rank', { invert: true, label: 'Rank' }));
+      history.appendChild(createSparkline(points, 'geek_rating', { label: 'Geek rating' }));
+    });
+
+    const dl = document.createElement('dl');
+    for (const f of detailFields) {
+      if (f.collection && !hasCollection()) continue;
+      if (f.optional && (game[f.key] === null || game[f.key] === undefined)) continue;
+      if (f.sameAs && game[f.key] === game[f.sameAs]) continue;
+      dl.appendChild(createCell('dt', null, f.label));
+      dl.appendChild(createCell('dd', null, formatDetailValue(game[f.key])));
+    }
+    body.appendChild(dl);
+    if (Array.isArray(game.player_poll) && game.player_poll.length) body.appendChild(createPollChart(game.player_poll));
+    if (game.description) body.appendChild(createCell('p', 'drawer-description', game.description));
+  }
+
+  function openDrawer(id) {
+    const game = state.games.find(g => gameId(g) === id);
+    if (!game) return closeDrawer();
+    state.selectedId = id;
+    const drawer = document.getElementById('drawer');
+    drawer.classList.remove('hidden');
+    drawer.setAttribute('aria-hidden', 'false');
+    renderDrawer(game);
+    document.querySelectorAll('#gamesTable tbody tr').forEach(tr => {
+      tr.classList.toggle('selected', tr.getAttribute('data-id') === id);
+    });
+    scrollRowIntoView(id);
+  }
+
+  function closeDrawer() {
+    state.selectedId = null;
+    const drawer = document.getElementById('drawer');
+    drawer.classList.add('hidden');
+    drawer.setAttribute('aria-hidden', 'true');
+    document.querySelectorAll('#gamesTable tbody tr.selected').forEach(tr => tr.classList.remove('selected'));
+  }
+
+  // #game/<id> is the source of truth for the drawer so links and back/forward work
+  function syncDrawerWithHash() {
+    const id = ViewState.gameIdFromHash(window.location.hash);
+    if (id) openDrawer(id);
+    else if (state.selectedId) closeDrawer();
+  }
+
+  function selectGame(id) {
+    if (id) {
+      window.location.hash = ViewState.gameHash(id);
+      return;
+    }
+    // Drop the hash entirely rather than leaving a bare "#" behind
+    window.history.pushState(null, '', window.location.pathname + window.location.search);
+    syncDrawerWithHash();
+  }
+
+  // Moves through the games in their current filtered and sorted order
+  function stepSelection(offset) {
+    const rows = state.filtered;
+    if (!rows.length) return;
+    const index = rows.findIndex(g => gameId(g) === state.selectedId);
+    const next = ViewState.stepIndex(index, offset, rows.length);
+    selectGame(gameId(rows[next]));
+  }
+
+  function attachDrawerEvents() {
+    document.querySelector('#gamesTable tbody').addEventListener('click', (e) => {
+      if (e.target.closest('a')) return; // let the title link open BGG
+      const tr = e.target.closest('tr[data-id]');
+      if (tr) selectGame(tr.getAttribute('data-id'));
+    });
+    document.querySelector('#drawer .drawer-close').addEventListener('click', () => selectGame(null));
+    document.addEventListener('keydown', (e) => {
+      if (!state.selectedId) return;
+      if (e.target.closest && e.target.closest('input, select, textarea')) return;
+      if (e.key === 'Escape') selectGame(null);
+      else if (e.key === 'ArrowDown' || e.key === 'j') { e.preventDefault(); stepSelection(1); }
+      else if (e.key === 'ArrowUp' || e.key === 'k') { e.preventDefault(); stepSelection(-1); }
+    });
+    window.addEventListener('hashchange', syncDrawerWithHash);
+  }
+
+  // True when the dataset was scraped with `--collection`
+  function hasCollection() {
+    return state.games.some(g => typeof g.owned === 'boolean');
+  }
+
+  function annotateMovement(games, previous) {
+    if (!previous) return;
+    const previousRanks = new Map(previous.map(g => [gameId(g), g.rank]));
+    for (const g of games) {
+      const before = previousRanks.get(gameId(g));
+      g.is_new = before === undefined;
+      g.rank_delta = g.is_new ? null : before - g.rank;
+    }
+  }
+
+  function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${Math.round(bytes / 1024)} KB`;
+  }
+
+  function showLoadProgress(received, total) {
+    const box = document.getElementById('load-progress');
+    if (!box) return;
+    box.classList.remove('hidden');
+    const bar = box.querySelector('progress');
+    if (total) {
+      bar.max = total;
+      bar.value = received;
+    } else {
+      bar.removeAttribute('value'); // indeterminate without a Content-Length
+    }
+    box.querySelector('.load-progress-text').textContent = total
+      ? `Loading games… ${formatBytes(received)} of ${formatBytes(total)}`
+      : `Loading games… ${formatBytes(received)}`;
+  }
+
+  // Reads the body chunk by chunk so a large --all-pages dataset shows progress while it loads
+  async function fetchJsonWithProgress(url) {
+    const res = await fetch(url, { cache: 'no-store' });
+    if (!res.ok) throw new Error(`${res.status}`);
+    if (!res.body || !res.body.getReader) return res.json();
+    const total = Number(res.headers.get('Content-Length')) || 0;
+    const reader = res.body.getReader();
+    const chunks = [];
+    let received = 0;
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      received += value.length;
+      showLoadProgress(received, total);
+    }
+    const bytes = new Uint8Array(received);
+    let offset = 0;
+    for (const chunk of chunks) {
+      bytes.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return JSON.parse(new TextDecoder().decode(bytes));
+  }
+
+  async function loadDatasetIndex() {
+    try {
+      const entries = await fetchJson(DATASET_INDEX);
+      const valid = Array.isArray(entries) ? entries.filter(e => e && e.key && e.file) : [];
+      if (valid.length) return valid;
+    } catch (_e) {
+      // No index yet: only the overall list has been scraped
+    }
+    return [DEFAULT_DATASET];
+  }
+
+  function datasetFor(search) {
+    const key = new URLSearchParams(search).get('data');
+    return datasets.find(d => d.key === key) || datasets[0];
+  }
+
+  function populateDatasetSelect() {
+    const select = document.getElementById('dataset-select');
+    select.innerHTML = '';
+    for (const d of datasets) {
+      const option = document.createElement('option');
+      option.value = d.key;
+      option.textContent = typeof d.count === 'number' ? `${d.label} (${d.count})` : d.label;
+      select.appendChild(option);
+    }
+    document.getElementById('dataset-control').classList.toggle('hidden', datasets.length < 2);
+  }
+
+  let datasetLoads = 0;
+
+  // Replaces the games with another list and its history; resolves false if a later switch won
+  async function loadDataset(entry) {
+    const token = ++datasetLoads;
+    let data;
+    try {
+      data = await fetchJsonWithProgress(entry.file);
+    } finally {
+      const progress = document.getElementById('load-progress');
+      if (progress) progress.classList.add('hidden');
+    }
+    if (token !== datasetLoads) return false;
+    currentDataset = entry;
+    historyDir = entry.history || null;
+    manifestPromise = null;
+    snapshotPromises.clear();
     state.games = Array.isArray(data) ? data : [];
-    attachEvents();
-    applyFilterAndSort();
+    Query.indexGames(state.games);
+    const previous = await loadPreviousSnapshot(state.games);
+    if (token !== datasetLoads) return false;
+    annotateMovement(state.games, previous);
+    document.body.classList.toggle('has-collection', hasCollection());
+    document.getElementById('dataset-select').value = entry.key;
+    populateTagOptions();
+    return true;
   }
 
-  load().catch(err => {
+  function showLoadError(err) {
     const el = document.querySelector('main .wrap');
     const div = document.createElement('div');
     div.style.color = '#fca5a5';
     div.style.margin = '16px 0';
     div.textContent = `Failed to load data: ${err.message}`;
     el.appendChild(div);
-  });
-})();
+  }
 
+  async function switchDataset(entry) {
+    try {
+      if (!(await loadDataset(entry))) return;
+    } catch (err) {
+      document.getElementById('dataset-select').value = currentDataset.key;
+      showLoadError(err);
+      return;
+    }
+    syncControls();
+    applyFilterAndSort();
+    syncDrawerWithHash();
+  }
 
+  async function load() {
+    datasets = await loadDatasetIndex();
+    populateDatasetSelect();
+    await loadDataset(datasetFor(window.location.search));
+    attachEvents();
+    attachDrawerEvents();
+    attachPresetEvents();
+    document.getElementById('dataset-select').addEventListener('change', e => {
+      const entry = datasets.find(d => d.key === e.target.value);
+      if (entry && entry !== currentDataset) switchDataset(entry);
+    });
+    defaultView = viewState();
+    showView(window.location.search);
+    window.addEventListener('popstate', async () => {
+      const entry = datasetFor(window.location.search);
+      if (entry !== currentDataset) {
+        try {
+          if (!(await loadDataset(entry))) return;
+        } catch (err) {
+          showLoadError(err);
+          return;
+        }
+      }
+      showView(window.location.search);
+      syncDrawerWithHash();
+    });
+    // Only large results are windowed; rerender the window once per frame while scrolling
+    let framePending = false;
+    const onViewportChange = () => {
+      if (framePending || state.filtered.length <= VIRTUALIZE_ABOVE) return;
+      framePending = true;
+      window.requestAnimationFrame(() => {
+        framePending = false;
+        renderRowWindow();
+      });
+    };
+    window.addEventListener('scroll', onViewportChange, { passive: true });
+    window.addEventListener('resize', onViewportChange);
+    syncDrawerWithHash();
+  }
+
+  load().catch(showLoadError);
+})();